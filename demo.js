@@ -29,11 +29,16 @@ importInput.addEventListener('change', async (e) => {
   const file = e.target.files?.[0];
   if (!file) return;
   try {
-    const text = await file.text();
-    const json = JSON.parse(text);
-    table.fromJSON(json);
+    const ext = file.name.split('.').pop().toLowerCase();
+    if (ext === 'xlsx' || ext === 'xls') {
+      await table.importFromExcel(file);
+    } else if (ext === 'csv' || ext === 'tsv' || ext === 'txt') {
+      table.importFromCSV(await file.text());
+    } else {
+      table.fromJSON(JSON.parse(await file.text()));
+    }
   } catch (err) {
-    alert('Invalid JSON file.');
+    alert('Could not import this file.');
     console.error(err);
   } finally {
     importInput.value = '';
@@ -1,8 +1,57 @@
 // ES module library for reusable customizable table
-// Public API: new CustomTable(container, options?), methods: addRow, addColumn, removeRow, removeColumn,
+// Public API: new CustomTable(container, options?), methods: addRow, addColumn, insertRow, insertColumn, removeRow, removeColumn, sortBy,
 // toJSON(), fromJSON(obj), getModel(), setModel(model), destroy()
+// Events: on(type, handler), off(type, handler?), once(type, handler)
+// Import: importFromExcel(fileOrArrayBuffer, { sheet? }), importFromCSV(text, { delimiter?, headerRow? })
+// Sheets: getSheetNames(), addSheet(name?), removeSheet(name), setActiveSheet(name)
+// Names: defineName(name, refA1), getName(name), getNames(), removeName(name)
+// Sizes: setColumnWidth(c, px), setRowHeight(r, px), autoFitColumn(c), autoFitRow(r)
+// View: freezePanes(rows, cols), getFrozenPanes(), hideRows/unhideRows/hideColumns/unhideColumns(index, count?)
+// Filters: setAutoFilter(refA1), filterColumn(col, criterion), clearFilters(), reapplyFilter(), getAutoFilter()
+// Search: find(query, opts?), replaceAll(query, replacement, opts?)
+// Validation: setValidation(rangeA1, rule), getValidation(r, c), isCellValid(r, c)
+// Hyperlinks: setHyperlink(r, c, target), getHyperlink(r, c)
+// Images: addImage(src, anchor), updateImage(id, changes), removeImage(id), getImages()
+// Conditional formats: addConditionalFormat(rangeA1, rule), updateConditionalFormat(index, rangeA1, rule), removeConditionalFormat(index),
+//   moveConditionalFormat(index, toIndex), clearConditionalFormats(), getConditionalFormats()
+// Locking: setCellEditable(r, c, editable), setRowEditable(r, editable), setColumnEditable(c, editable), setReadOnly(readOnly)
 import XLSX from './xlsx.mjs';
 
+// Spreadsheet error value produced by the formula engine (#REF!, #DIV/0!, #CIRC!, ...)
+class FormulaError {
+    constructor(code) { this.code = code; }
+    toString() { return this.code; }
+}
+
+// Supported formula functions with their [min, max] argument counts
+const FORMULA_FUNCTIONS = {
+    SUM: [1, Infinity],
+    AVERAGE: [1, Infinity],
+    MIN: [1, Infinity],
+    MAX: [1, Infinity],
+    COUNT: [1, Infinity],
+    IF: [2, 3],
+    ROUND: [1, 2],
+    CONCAT: [1, Infinity],
+    VLOOKUP: [3, 4]
+};
+
+// Style keys that carry cell semantics rather than CSS (never written to element.style)
+const NON_CSS_STYLE_KEYS = new Set(['format']);
+
+// Month/day names used by date formats (mmm/mmmm, ddd/dddd)
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Text order for sorting: locale collation, digits compared as numbers ('item 2' < 'item 10')
+const TEXT_COLLATOR = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// AutoFilter conditions (values lists are the other kind of criterion)
+const FILTER_OPERATORS = new Set(['contains', 'equals', 'gt', 'lt', 'between', 'blank']);
+
+// SheetJS error codes for the errors Excel understands
+const XLSX_ERROR_CODES = { '#NULL!': 0x00, '#DIV/0!': 0x07, '#VALUE!': 0x0F, '#REF!': 0x17, '#NAME?': 0x1D, '#NUM!': 0x24, '#N/A': 0x2A };
+
 export class CustomTable {
     constructor(container, options = {}) {
         if (!container) throw new Error('CustomTable: container is required');
@@ -10,22 +59,81 @@ export class CustomTable {
         const rows = options.rows ?? 2;
         const cols = options.cols ?? 2;
         this.model = this.#createEmptyModel(rows, cols);
+        // Workbook: every sheet keeps its own model; `this.model` always points at the active one
+        this.sheets = [{ name: 'Sheet1', model: this.model, defaultCellStyle: null, selection: null }];
+        this._activeSheet = 0;
         this._styleEditIndex = null;
         this._wrapEl = null;
         this._panelEl = null;
-        this._selection = null; // { type: 'cell'|'col', r?, c? }
+        // Persistent nodes created by #mount (the grid inside thead/tbody is patched in place)
+        this._theadEl = null;
+        this._tbodyEl = null;
+        this._scrollEl = null;
+        this._tabsEl = null;
+        this._captionEl = null;
+        this._drawingLayerEl = null;    // images over the grid (scrolls with it)
+        this._drawingObserver = null;   // ResizeObserver re-placing them when the grid changes size
+        this._onDocMouseDown = null; // closes the style panel on outside clicks
+
+        // Virtual scrolling (options.virtual: true or { rowHeight, columnWidth, rowHeaderWidth, buffer }):
+        // only the visible window of rows/columns plus a buffer is rendered inside the .ctTable scroller
+        const virtual = options.virtual;
+        this._virtual = virtual ? {
+            rowHeight: virtual.rowHeight ?? 30,         // px, rows without a height in rowStyles
+            columnWidth: virtual.columnWidth ?? 90,     // px, columns without a width in columnStyles
+            rowHeaderWidth: virtual.rowHeaderWidth ?? 72,
+            buffer: virtual.buffer ?? 8                 // extra rows rendered above/below (half as many columns)
+        } : null;
+        this._window = null;     // rendered window { sr, sc, er, ec, fr, fc } in virtual mode (fr/fc: frozen rows/columns)
+        this._vMetrics = null;   // { rowTops, colLefts }: cumulative pixel offsets of rows/columns
+        this._scrollFrame = null;
+        this._frozen = null;          // { rows, cols, tops, lefts }: sticky offsets of the frozen panes (px)
+        this._frozenObserver = null;  // ResizeObserver re-measuring them while frozen cells resize
+        this._selection = null; // { type: 'cell'|'row'|'col'|'range', r?, c?, r2?, c2? } (range: r,c = active cell)
+        this._dragAnchor = null; // cell where a mouse drag selection started
+        this._editing = null; // edit mode: { r, c, raw, undoDepth } of the cell being edited, else navigation mode
         this._defaultCellStyle = null; // spreadsheet default cell style applied to wrapper (font, etc.)
 
         // --- Undo/Redo state ---
         this._undoStack = [];
         this._redoStack = [];
         this._maxHistory = options.historyLimit ?? 100;
+        // Size cap of the undo history, in cells (workbook snapshots count every cell they hold)
+        this._maxHistoryCells = options.historyCellLimit ?? 1000000;
+        this._historyCosts = new WeakMap(); // entry -> its size in cells (#historyCost)
+        this._historyGroup = null; // entries collected by #historyStep
+        // Host entries for the context menu: an array of items, or (context, items) => items
+        this._contextMenuItems = options.contextMenuItems ?? null;
+        // options.readOnly: every cell is locked and the structure and style controls are hidden
+        this._readOnly = !!options.readOnly;
         this._isRestoring = false;
 
         // Typing transaction (debounce a stream of keystrokes as one undo step)
         this._typingKey = null;   // `${r}:${c}` currently being edited
         this._typingTimer = null;
         this._typingDelay = 600;  // ms of inactivity to end typing transaction
+        // Formula dependency graph (built lazily): node key `${sheet}:${r}:${c}`
+        this._formulaDependents = null; // precedent node -> Set of dependent formula nodes
+        this._formulaPrecedents = null; // formula node -> precedent node keys
+        this._formulaAsts = new Map();  // formula text -> parsed AST (or FormulaError)
+        this._cfStats = new Map();      // conditional format entry -> range statistics (cleared when values change)
+        // Images of the workbook: id -> data URL; sheets place them with model.drawings
+        this._images = {};
+        this._activeDrawing = null; // id of the selected drawing (image) of the active sheet
+        this._drawingDrag = null;   // { id } while a drawing is moved or resized with the mouse
+        // Named ranges of the workbook: [{ name, sheet (sheet name), sr, sc, er, ec }]
+        this._names = [];
+
+        // Pen used by the toolbar border picker
+        this._borderPen = { width: '1px', color: '#000000' };
+        // Last copy made from this table: { text, cells, r, c } (pasting the same text reuses it)
+        this._clipboard = null;
+        // Last sort from a column header: { model, c, dir } (clicking that column again reverses it)
+        this._lastSort = null;
+        // Event listeners: type -> Set of handlers (see on/off/once)
+        this._listeners = new Map();
+        this._lastSelectionKey = null; // last selection announced via 'selectionchange'
+
         this._height = options.height || null;
         this._width = options.width || null;
 
@@ -34,58 +142,77 @@ export class CustomTable {
 
     // Public methods
     addRow() {
-        this.#pushUndoSnapshot('addRow');
+        this.#pushHistory({ type: 'lines', sheet: this._activeSheet, axis: 'row', index: this.model.rows, count: 1 });
         const newRow = Array.from({ length: this.model.cols }, () => '');
         this.model.data.push(newRow);
         this.model.rows += 1;
-        this.#render();
+        this.#appendRowNodes();
+        this.#emit('rowinsert', { index: this.model.rows - 1, count: 1 });
     }
 
     addColumn() {
-        this.#pushUndoSnapshot('addColumn');
+        this.#pushHistory({ type: 'lines', sheet: this._activeSheet, axis: 'col', index: this.model.cols, count: 1 });
         for (let r = 0; r < this.model.rows; r++) this.model.data[r].push('');
         this.model.cols += 1;
         if (!Array.isArray(this.model.columnStyles)) this.model.columnStyles = [];
         this.model.columnStyles.push(null);
-        this.#render();
+        this.#appendColumnNodes();
+        this.#emit('colinsert', { index: this.model.cols - 1, count: 1 });
+    }
+
+    // Insert `count` blank rows before row `index` (index === rows appends). Styles, merges and
+    // formula references below the insertion point move down; merges spanning it grow.
+    insertRow(index, count = 1) {
+        if (this._readOnly) return;
+        if (!Number.isInteger(index) || index < 0 || index > this.model.rows) return;
+        if (!Number.isInteger(count) || count < 1) return;
+        this.#pushHistory({ type: 'lines', sheet: this._activeSheet, axis: 'row', index, count, merges: this.#deepClone(this.model.mergedCells || []) });
+        this.#insertLines('row', index, count);
+        this.#recalcAll();
+        this.#insertRowNodes(index, count);
+        this.#emit('rowinsert', { index, count });
+    }
+
+    // Column counterpart of insertRow
+    insertColumn(index, count = 1) {
+        if (this._readOnly) return;
+        if (!Number.isInteger(index) || index < 0 || index > this.model.cols) return;
+        if (!Number.isInteger(count) || count < 1) return;
+        this.#pushHistory({ type: 'lines', sheet: this._activeSheet, axis: 'col', index, count, merges: this.#deepClone(this.model.mergedCells || []) });
+        this.#insertLines('col', index, count);
+        this.#recalcAll();
+        this.#insertColumnNodes(index, count);
+        this.#emit('colinsert', { index, count });
     }
 
-    removeRow(index) {
+    // Remove `count` rows from `index` (at least one row always stays); refused (false) when they hold a locked cell
+    removeRow(index, count = 1) {
         if (this.model.rows <= 1) return;
         if (index < 0 || index >= this.model.rows) return;
-        this.#pushUndoSnapshot('removeRow');
-        this.model.data.splice(index, 1);
-        this.model.rows -= 1;
-        if (Array.isArray(this.model.rowStyles)) {
-            this.model.rowStyles.splice(index, 1);
-        }
-        // Reindex or remove affected cell styles
-        if (this.model.cellStyles) {
-            this.model.cellStyles = this.#reindexCellStylesAfterRemoveRow(this.model.cellStyles, index);
-        }
-        // Adjust merged cells after row removal
-        if (Array.isArray(this.model.mergedCells)) {
-            this.model.mergedCells = this.#reindexMergesAfterRemoveRow(this.model.mergedCells, index);
-        }
-        this.#render();
+        if (!Number.isInteger(count) || count < 1) return;
+        count = Math.min(count, this.model.rows - index, this.model.rows - 1);
+        if (this.#linesLocked('row', index, count)) return false;
+        const removed = this.#removeLines('row', index, count);
+        this.#pushHistory({ type: 'lines', sheet: this._activeSheet, axis: 'row', index, count, removed });
+        this.#recalcAll();
+        this.#removeRowNodes(index, count);
+        this.#syncFilterButtons();
+        this.#emit('rowremove', { index, count });
     }
 
-    removeColumn(index) {
+    // Remove `count` columns from `index` (at least one column always stays); refused (false) when they hold a locked cell
+    removeColumn(index, count = 1) {
         if (this.model.cols <= 1) return;
         if (index < 0 || index >= this.model.cols) return;
-        this.#pushUndoSnapshot('removeColumn');
-        for (let r = 0; r < this.model.rows; r++) this.model.data[r].splice(index, 1);
-        this.model.cols -= 1;
-        if (Array.isArray(this.model.columnStyles)) {
-            this.model.columnStyles.splice(index, 1);
-        }
-        if (this.model.cellStyles) {
-            this.model.cellStyles = this.#reindexCellStylesAfterRemoveCol(this.model.cellStyles, index);
-        }
-        if (Array.isArray(this.model.mergedCells)) {
-            this.model.mergedCells = this.#reindexMergesAfterRemoveCol(this.model.mergedCells, index);
-        }
-        this.#render();
+        if (!Number.isInteger(count) || count < 1) return;
+        count = Math.min(count, this.model.cols - index, this.model.cols - 1);
+        if (this.#linesLocked('col', index, count)) return false;
+        const removed = this.#removeLines('col', index, count);
+        this.#pushHistory({ type: 'lines', sheet: this._activeSheet, axis: 'col', index, count, removed });
+        this.#recalcAll();
+        this.#removeColumnNodes(index, count);
+        this.#syncFilterButtons();
+        this.#emit('colremove', { index, count });
     }
 
     trimRow() {
@@ -98,7 +225,8 @@ export class CustomTable {
         // Find the last row that has content or styling
         for (let r = this.model.rows - 1; r >= 0; r--) {
             // Check if row has any content
-            const hasContent = this.model.data[r].some(cell => cell && cell.trim() !== '');
+            const hasContent = this.model.data[r].some(cell => cell && cell.trim() !== '')
+                || Object.keys(this.model.formulas || {}).some(k => this.#parseCellKey(k)?.r === r);
             
             // // Check if row has styling (including background color)
             // const hasRowStyle = Array.isArray(this.model.rowStyles) && 
@@ -177,7 +305,22 @@ export class CustomTable {
                 );
             }
             
-            this.#render();
+            this.model.hiddenRows = this.#shiftIndexes(this.model.hiddenRows, rowsToKeep, -rowsToRemove);
+            this.model.lockedRows = this.#shiftIndexes(this.model.lockedRows, rowsToKeep, -rowsToRemove);
+            this.#shiftAutoFilter('row', rowsToKeep, -rowsToRemove);
+            this.#shiftConditionalFormats('row', rowsToKeep, -rowsToRemove);
+            this.#shiftNames('row', rowsToKeep, -rowsToRemove);
+            this.#shiftDrawings('row', rowsToKeep, -rowsToRemove);
+            this.model.cellLocks = Object.fromEntries(Object.entries(this.model.cellLocks || {})
+                .filter(([key]) => this.#parseCellKey(key)?.r < rowsToKeep));
+            this.model.cellValidations = Object.fromEntries(Object.entries(this.model.cellValidations || {})
+                .filter(([key]) => this.#parseCellKey(key)?.r < rowsToKeep));
+            this.model.hyperlinks = Object.fromEntries(Object.entries(this.model.hyperlinks || {})
+                .filter(([key]) => this.#parseCellKey(key)?.r < rowsToKeep));
+            this.model.frozenRows = this.#frozenRows();
+            this.#removeRowNodes(rowsToKeep, rowsToRemove);
+            this.#syncFilterButtons();
+            this.#emit('rowremove', { index: rowsToKeep, count: rowsToRemove });
             return rowsToRemove;
         }
         
@@ -196,7 +339,7 @@ export class CustomTable {
             // Check if column has any content
             let hasContent = false;
             for (let r = 0; r < this.model.rows; r++) {
-                if (this.model.data[r][c] && this.model.data[r][c].trim() !== '') {
+                if ((this.model.data[r][c] && this.model.data[r][c].trim() !== '') || this.model.formulas?.[this.#cellKey(r, c)]) {
                     hasContent = true;
                     break;
                 }
@@ -275,28 +418,202 @@ export class CustomTable {
                 );
             }
             
-            this.#render();
+            this.model.hiddenColumns = this.#shiftIndexes(this.model.hiddenColumns, colsToKeep, -colsToRemove);
+            this.model.lockedColumns = this.#shiftIndexes(this.model.lockedColumns, colsToKeep, -colsToRemove);
+            this.#shiftAutoFilter('col', colsToKeep, -colsToRemove);
+            this.#shiftConditionalFormats('col', colsToKeep, -colsToRemove);
+            this.#shiftNames('col', colsToKeep, -colsToRemove);
+            this.#shiftDrawings('col', colsToKeep, -colsToRemove);
+            this.model.cellLocks = Object.fromEntries(Object.entries(this.model.cellLocks || {})
+                .filter(([key]) => this.#parseCellKey(key)?.c < colsToKeep));
+            this.model.cellValidations = Object.fromEntries(Object.entries(this.model.cellValidations || {})
+                .filter(([key]) => this.#parseCellKey(key)?.c < colsToKeep));
+            this.model.hyperlinks = Object.fromEntries(Object.entries(this.model.hyperlinks || {})
+                .filter(([key]) => this.#parseCellKey(key)?.c < colsToKeep));
+            this.model.frozenColumns = this.#frozenColumns();
+            this.#removeColumnNodes(colsToKeep, colsToRemove);
+            this.#syncFilterButtons();
+            this.#emit('colremove', { index: colsToKeep, count: colsToRemove });
             return colsToRemove;
         }
         
         return 0;
     }
 
+    // ----- Sheet (workbook) APIs -----
+    getSheetNames() {
+        return this.sheets.map(s => s.name);
+    }
+
+    getActiveSheet() {
+        return this.sheets[this._activeSheet]?.name ?? null;
+    }
+
+    // Add a blank sheet (appended, or inserted at `index`) and make it active. Returns the new name or null.
+    addSheet(name, index) {
+        let sheetName = name == null ? this.#nextSheetName() : String(name).trim();
+        if (!this.#isValidSheetName(sheetName)) return null;
+        const at = Number.isInteger(index) ? Math.max(0, Math.min(this.sheets.length, index)) : this.sheets.length;
+        this.#pushUndoSnapshot('addSheet');
+        this.#stashActiveSheet();
+        const entry = { name: sheetName, model: this.#createEmptyModel(2, 2), defaultCellStyle: null, selection: null };
+        this.sheets.splice(at, 0, entry);
+        this.#activateSheet(at);
+        this.#recalcAll();
+        this.#render();
+        this.#emit('sheetchange', { action: 'add', name: sheetName, index: at });
+        return sheetName;
+    }
+
+    removeSheet(nameOrIndex) {
+        const index = this.#resolveSheetIndex(nameOrIndex);
+        if (index < 0 || this.sheets.length <= 1) return false;
+        this.#pushUndoSnapshot('removeSheet');
+        this.#stashActiveSheet();
+        const [removed] = this.sheets.splice(index, 1);
+        // Names on the removed sheet are kept with a #REF! reference, like Excel
+        this._names = this._names.map(n => (n.sheet === removed.name ? { name: n.name, sheet: null } : n));
+        // Keep the same sheet active if it still exists; otherwise fall back to its left neighbour
+        let next = this._activeSheet;
+        if (index < next || next >= this.sheets.length) next = Math.max(0, next - 1);
+        this.#activateSheet(next);
+        // References to the removed sheet now evaluate to #REF!
+        this.#recalcAll();
+        this.#render();
+        this.#emit('sheetchange', { action: 'remove', name: removed.name, index });
+        return true;
+    }
+
+    renameSheet(nameOrIndex, newName) {
+        const index = this.#resolveSheetIndex(nameOrIndex);
+        if (index < 0) return false;
+        const name = String(newName ?? '').trim();
+        if (name === this.sheets[index].name) return true;
+        if (!this.#isValidSheetName(name, index)) return false;
+        this.#pushUndoSnapshot('renameSheet');
+        const oldName = this.sheets[index].name;
+        this.#renameSheetInFormulas(oldName, name);
+        for (const n of this._names) if (n.sheet === oldName) n.sheet = name;
+        this.sheets[index].name = name;
+        this.#recalcAll();
+        this.#renderSheetTabs();
+        this.#refreshFormulaText();
+        this.#emit('sheetchange', { action: 'rename', name, oldName, index });
+        return true;
+    }
+
+    // Move a sheet to a new position in the tab order
+    moveSheet(nameOrIndex, toIndex) {
+        const from = this.#resolveSheetIndex(nameOrIndex);
+        if (from < 0 || !Number.isInteger(toIndex)) return false;
+        const to = Math.max(0, Math.min(this.sheets.length - 1, toIndex));
+        if (from === to) return true;
+        this.#pushUndoSnapshot('moveSheet');
+        this.#stashActiveSheet();
+        const active = this.sheets[this._activeSheet];
+        const [entry] = this.sheets.splice(from, 1);
+        this.sheets.splice(to, 0, entry);
+        this._activeSheet = this.sheets.indexOf(active);
+        this.#recalcAll();
+        this.#renderSheetTabs();
+        this.#emit('sheetchange', { action: 'move', name: entry.name, from, index: to });
+        return true;
+    }
+
+    setActiveSheet(nameOrIndex) {
+        const index = this.#resolveSheetIndex(nameOrIndex);
+        if (index < 0) return false;
+        if (index === this._activeSheet) return true;
+        this.#endTypingTxn();
+        this.#stashActiveSheet();
+        this.#activateSheet(index);
+        this.#render();
+        this.#emit('sheetchange', { action: 'activate', name: this.sheets[index].name, index });
+        return true;
+    }
+
+    // Define (or redefine) a workbook-level named range: ref is 'A1:C10' on the active sheet or
+    // sheet-qualified ('Sheet2!A1', "'My sheet'!$B$2:$D$5"). Returns false for an invalid name or range. Undoable.
+    defineName(name, ref) {
+        const text = String(name ?? '').trim();
+        const dest = this.#parseSheetRange(ref);
+        if (!this.#isValidRangeName(text) || !dest) return false;
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('defineName');
+        const entry = { name: text, sheet: this.sheets[dest.sheet].name, ...dest.rect };
+        const at = this.#findNameIndex(text);
+        if (at >= 0) this._names[at] = entry;
+        else this._names.push(entry);
+        this.#recalcAll();
+        this.#refreshFormulaText();
+        this.#refreshNameBox();
+        this.#emit('namechange', { action: 'define', name: text, ref: this.#nameRef(entry) });
+        return true;
+    }
+
+    // { name, sheet, ref } of a named range (ref is the A1 range on `sheet`), or null
+    getName(name) {
+        const entry = this._names[this.#findNameIndex(String(name ?? '').trim())];
+        return entry ? { name: entry.name, sheet: entry.sheet, ref: this.#nameRangeA1(entry) } : null;
+    }
+
+    getNames() {
+        return this._names.map(entry => this.getName(entry.name));
+    }
+
+    removeName(name) {
+        const at = this.#findNameIndex(String(name ?? '').trim());
+        if (at < 0) return false;
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('removeName');
+        const [entry] = this._names.splice(at, 1);
+        this.#recalcAll();
+        this.#refreshFormulaText();
+        this.#refreshNameBox();
+        this.#emit('namechange', { action: 'remove', name: entry.name, ref: this.#nameRef(entry) });
+        return true;
+    }
+
     // Deprecated: internal model export removed. Returns Spreadsheet JSON instead.
     toJSON() {
         return this.toSpreadsheetJSON();
     }
 
-    // Export current table to a spreadsheet-style JSON (commercial.json-like)
+    // Export current workbook to a spreadsheet-style JSON (commercial.json-like)
     toSpreadsheetJSON() {
         const DEFAULT_COL_WIDTH = 64;
         const DEFAULT_ROW_HEIGHT = 21;
 
+        this.#stashActiveSheet();
+        const sheets = this.sheets.map(entry => this.#withSheet(entry, () => this.#sheetToSpreadsheetJSON(entry.name)));
+
+        // Only the images some drawing still shows are written
+        const images = {};
+        for (const sheet of sheets) {
+            for (const d of sheet.drawings) images[d.image] = this._images[d.image];
+        }
+
+        const out = {
+            activeSheet: this.getActiveSheet(),
+            sheets,
+            names: this._names.map(n => ({ name: n.name, value: this.#nameRef(n) })),
+            columnWidth: DEFAULT_COL_WIDTH,
+            rowHeight: DEFAULT_ROW_HEIGHT,
+            images
+        };
+        return out;
+    }
+
+    // Serialize the active sheet (this.model) to one entry of the Spreadsheet JSON `sheets` array
+    #sheetToSpreadsheetJSON(sheetName) {
         // Columns: map width from columnStyles
         const columns = Array.from({ length: this.model.cols }, (_, c) => {
             const cs = this.model.columnStyles?.[c] || null;
             const width = this.#pxToNumber(cs?.width);
-            return width != null ? { width } : {};
+            const col = width != null ? { width } : {};
+            if (this.#isColumnHidden(c)) col.hidden = true;
+            if (this.model.lockedColumns?.includes(c)) col.enable = false;
+            return col;
         });
 
         // Rows: sparse by default; include when value or style override exists
@@ -324,17 +641,33 @@ export class CustomTable {
                     }
                 }
                 const styled = this.#mapToSpreadsheetStyle(overrides);
+                const f = this.model.formulas?.[ck] || null;
                 const hasContent = typeof v === 'string' ? v.length > 0 : true;
-                if (hasContent || (styled && Object.keys(styled).length)) {
+                const lock = this.model.cellLocks?.[ck];
+                const validation = this.model.cellValidations?.[ck];
+                if (hasContent || f || typeof lock === 'boolean' || validation || (styled && Object.keys(styled).length)) {
                     const cell = { index: c };
-                    if (hasContent) cell.value = v;
+                    if (f) {
+                        // Keep the typed result (number/boolean) next to the formula source
+                        cell.formula = f.formula;
+                        if (f.value != null) cell.value = f.value instanceof FormulaError ? f.value.code : f.value;
+                    } else if (hasContent) cell.value = this.#exportCellValue(v);
                     if (styled && Object.keys(styled).length) cell.style = styled;
+                    if (typeof lock === 'boolean') cell.enable = !lock;
+                    if (validation) cell.validation = structuredClone(validation);
                     cells.push(cell);
                 }
             }
-            if (cells.length > 0 || height != null) {
+            // The last row is always written so the grid keeps its size on import (and undo)
+            const hidden = !!this.model.hiddenRows?.includes(r);
+            const filtered = !!this.model.filteredRows?.includes(r);
+            const locked = !!this.model.lockedRows?.includes(r);
+            if (cells.length > 0 || height != null || hidden || filtered || locked || r === this.model.rows - 1) {
                 const rowEntry = { index: r };
                 if (height != null) rowEntry.height = height;
+                if (hidden) rowEntry.hidden = true;
+                if (filtered) rowEntry.filtered = true;
+                if (locked) rowEntry.enable = false;
                 rowEntry.cells = cells;
                 rows.push(rowEntry);
             }
@@ -345,40 +678,62 @@ export class CustomTable {
 
         // Selection/activeCell
         let activeCell = 'A1';
-        if (this._selection?.type === 'cell') {
+        if (this._selection?.type === 'cell' || this._selection?.type === 'range') {
             activeCell = `${this.#colIndexToLabel(this._selection.c)}${this._selection.r + 1}`;
         } else if (this._selection?.type === 'col') {
             activeCell = `${this.#colIndexToLabel(this._selection.c)}1`;
         } else if (this._selection?.type === 'row') {
             activeCell = `A${this._selection.r + 1}`;
         }
+        // Ranges, rows and columns export their full extent
+        let selection = activeCell;
+        if (this._selection && this._selection.type !== 'cell') {
+            const rect = this.#selectionRect();
+            if (rect) selection = this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec });
+        }
 
-        const sheetName = 'Sheet1';
         const sheet = {
             name: sheetName,
             columns,
             rows,
-            selection: activeCell,
+            selection,
             activeCell,
-            frozenRows: 0,
-            frozenColumns: 0,
+            frozenRows: this.#frozenRows(),
+            frozenColumns: this.#frozenColumns(),
             mergedCells: Array.isArray(this.model.mergedCells)
                 ? this.model.mergedCells.map(m => this.#rangeToA1(m.start, m.end))
                 : [],
-            hyperlinks: [],
+            hyperlinks: Object.entries(this.model.hyperlinks || {})
+                .map(([key, target]) => ({ p: this.#parseCellKey(key), target }))
+                .filter(({ p }) => p && p.r < this.model.rows && p.c < this.model.cols)
+                .sort((a, b) => a.p.r - b.p.r || a.p.c - b.p.c)
+                .map(({ p, target }) => ({ ref: `${this.#colIndexToLabel(p.c)}${p.r + 1}`, target })),
             defaultCellStyle,
-            drawings: []
-        };
-
-        const out = {
-            activeSheet: sheetName,
-            sheets: [sheet],
-            names: [],
-            columnWidth: DEFAULT_COL_WIDTH,
-            rowHeight: DEFAULT_ROW_HEIGHT,
-            images: {}
+            drawings: (this.model.drawings || []).filter(d => this._images[d.image]).map(d => ({
+                id: d.id,
+                image: d.image,
+                topLeftCell: this.#drawingRef(d),
+                offsetX: d.offsetX,
+                offsetY: d.offsetY,
+                ...(d.width != null && d.height != null ? { width: d.width, height: d.height } : {})
+            }))
         };
-        return out;
+        if (this.model.conditionalFormats?.length) {
+            sheet.conditionalFormats = this.model.conditionalFormats.map(({ sr, sc, er, ec, rule }) => {
+                const out = { ref: this.#rangeToA1({ r: sr, c: sc }, { r: er, c: ec }), ...structuredClone(rule) };
+                if (rule.style) out.style = this.#mapToSpreadsheetStyle(rule.style);
+                return out;
+            });
+        }
+        // AutoFilter: criteria per column index (the rows it hides are flagged `filtered` above)
+        const af = this.model.autoFilter;
+        if (af) {
+            sheet.autoFilter = {
+                ref: this.#autoFilterRef(),
+                columns: Object.entries(af.columns).map(([c, crit]) => ({ index: Number(c), ...structuredClone(crit) }))
+            };
+        }
+        return sheet;
     }
 
     // Export to Excel (.xlsx). Requires SheetJS (XLSX) to be loaded on the page.
@@ -387,74 +742,525 @@ export class CustomTable {
         try {
             // Prefer XLSX if available
             // const XLSX = (typeof window !== 'undefined' && window.XLSX) ? window.XLSX : null;
-    
-
-            // Build AoA (Array of Arrays) of cell values
-            // Covered cells in merges are blanked out.
-            const rows = this.model.rows;
-            const cols = this.model.cols;
-            const aoa = Array.from({ length: rows }, () => Array.from({ length: cols }, () => ''));
-            const { coveredSet } = this.#buildMergeMaps(this.model?.mergedCells || []);
-            for (let r = 0; r < rows; r++) {
-                for (let c = 0; c < cols; c++) {
-                    const k = this.#posKey(r, c);
-                    if (coveredSet.has(k)) {
-                        aoa[r][c] = '';
-                        continue;
+
+            // One worksheet per sheet, in tab order
+            this.#stashActiveSheet();
+            const wb = XLSX.utils.book_new();
+            const used = new Set();
+            const names = this.sheets.map(entry => this.#toXlsxSheetName(entry.name, used));
+            this.sheets.forEach((entry, i) => {
+                XLSX.utils.book_append_sheet(wb, this.#withSheet(entry, () => this.#buildWorksheet(names)), names[i]);
+            });
+            // Named ranges (<definedNames>), with the sheet names as written to the workbook
+            if (this._names.length) {
+                wb.Workbook = {
+                    ...wb.Workbook,
+                    Names: this._names.map(n => ({ Name: n.name, Ref: this.#nameRef(n, names[this.#resolveSheetIndex(n.sheet)]) }))
+                };
+            }
+            // SheetJS writes neither frozen panes, unlocked cells, filter criteria, conditional formats, data validations
+            // nor pictures: those workbooks are patched before download
+            const patched = (ws) => ws['!freeze'] || ws['!unlocked']?.length || ws['!filterColumns']?.length
+                || ws['!condfmt']?.length || ws['!validations']?.length || ws['!pictures']?.length;
+            if (wb.SheetNames.some(name => patched(wb.Sheets[name]))) {
+                const cfb = XLSX.CFB.read(new Uint8Array(XLSX.write(wb, { bookType: 'xlsx', type: 'array' })), { type: 'array' });
+                this.#writeXlsxPanes(cfb, wb);
+                this.#writeXlsxUnlockedCells(cfb, wb);
+                this.#writeXlsxFilterColumns(cfb, wb);
+                this.#writeXlsxConditionalFormats(cfb, wb);
+                this.#writeXlsxDataValidations(cfb, wb);
+                this.#writeXlsxPictures(cfb, wb);
+                const data = XLSX.CFB.write(cfb, { fileType: 'zip', type: 'array' });
+                this.#downloadBlob(filename, new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+            } else {
+                XLSX.writeFile(wb, filename);
+            }
+        } catch (err) {
+            console.error('Failed to export to Excel. Falling back to CSV.', err);
+            this.exportToCSV(filename.replace(/\.xlsx$/i, '.csv'));
+        }
+    }
+
+    // Build a SheetJS worksheet for the active sheet (values, styles, merges, widths, heights);
+    // `sheetNames` are the workbook's sheet names, for links to cells of other sheets
+    #buildWorksheet(sheetNames = []) {
+        // Build AoA (Array of Arrays) of cell values
+        // Covered cells in merges are blanked out.
+        const rows = this.model.rows;
+        const cols = this.model.cols;
+        const aoa = Array.from({ length: rows }, () => Array.from({ length: cols }, () => ''));
+        const { coveredSet } = this.#buildMergeMaps(this.model?.mergedCells || []);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const k = this.#posKey(r, c);
+                if (coveredSet.has(k)) {
+                    aoa[r][c] = '';
+                    continue;
+                }
+                aoa[r][c] = this.model.data[r][c] ?? '';
+            }
+        }
+
+        const ws = XLSX.utils.aoa_to_sheet(aoa);
+
+        // Formulas are written as real Excel formulas with their cached result
+        for (const [key, f] of Object.entries(this.model.formulas || {})) {
+            const p = this.#parseCellKey(key);
+            if (!p || p.r >= rows || p.c >= cols || coveredSet.has(this.#posKey(p.r, p.c))) continue;
+            if (this.#getFormulaAst(f.formula) instanceof FormulaError) continue; // unparsable: keep the text value
+            const v = f.value;
+            const cell = { f: f.formula };
+            if (v instanceof FormulaError) {
+                if (v.code in XLSX_ERROR_CODES) { cell.t = 'e'; cell.v = XLSX_ERROR_CODES[v.code]; } else { cell.t = 's'; cell.v = ''; }
+            } else if (typeof v === 'number') { cell.t = 'n'; cell.v = v; }
+            else if (typeof v === 'boolean') { cell.t = 'b'; cell.v = v; }
+            else { cell.t = 's'; cell.v = v == null ? '' : String(v); }
+            ws[XLSX.utils.encode_cell(p)] = cell;
+        }
+
+        // Typed values: numbers (incl. percentages and ISO dates) and booleans instead of text. Like the JSON
+        // export, only numbers that read back as the same text are converted ('0012' and '1e3' stay text);
+        // cells with a text format are always written as text.
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                if (coveredSet.has(this.#posKey(r, c)) || this.model.formulas?.[this.#cellKey(r, c)]) continue;
+                const raw = this.model.data[r][c];
+                if (raw == null || raw === '') continue;
+                if (this.#isTextFormat(this.#effectiveFormat(r, c))) {
+                    ws[XLSX.utils.encode_cell({ r, c })] = { t: 's', v: String(raw) };
+                    continue;
+                }
+                const t = String(raw).trim();
+                const typed = this.#exportCellValue(raw);
+                const v = typeof typed !== 'string' ? typed
+                    : /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)%$/.test(t) || this.#isoDateToSerial(t) != null ? this.#coerceRawValue(raw) : null;
+                if (typeof v === 'number') {
+                    const cell = { t: 'n', v };
+                    // Dates typed without a format keep their look in Excel
+                    if (this.#isoDateToSerial(t) != null && !this.#effectiveFormat(r, c)) cell.z = 'yyyy-mm-dd';
+                    ws[XLSX.utils.encode_cell({ r, c })] = cell;
+                } else if (typeof v === 'boolean') {
+                    ws[XLSX.utils.encode_cell({ r, c })] = { t: 'b', v };
+                }
+            }
+        }
+
+        // Apply styles to each cell after worksheet creation
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const cellAddr = XLSX.utils.encode_cell({ r, c });
+                
+                // Get effective style (includes default, column, row, and cell styles)
+                const eff = this.#cascadedCellStyle(r, c) || null;
+                const xlsxStyle = this.#mapToXlsxCellStyle(eff);
+                
+                if (xlsxStyle) {
+                    // Create cell if it doesn't exist (for empty cells with styles)
+                    if (!ws[cellAddr]) {
+                        ws[cellAddr] = { t: 's', v: '' };
                     }
-                    aoa[r][c] = this.model.data[r][c] ?? '';
+                    ws[cellAddr].s = xlsxStyle;
+                    if (xlsxStyle.numFmt) ws[cellAddr].z = xlsxStyle.numFmt;
                 }
             }
+        }
+
+        // Apply merges
+        if (Array.isArray(this.model.mergedCells) && this.model.mergedCells.length) {
+            ws['!merges'] = this.model.mergedCells.map(m => ({ s: { r: Math.min(m.start.r, m.end.r), c: Math.min(m.start.c, m.end.c) }, e: { r: Math.max(m.start.r, m.end.r), c: Math.max(m.start.c, m.end.c) } }));
+        }
+
+        // Column widths (pixels) and hidden columns
+        ws['!cols'] = Array.from({ length: cols }, (_, c) => {
+            const wpx = this.#pxToNumber(this.model.columnStyles?.[c]?.width);
+            const hidden = this.#isColumnHidden(c);
+            if (wpx == null && !hidden) return undefined;
+            return { ...(wpx != null ? { wpx } : {}), ...(hidden ? { hidden: true } : {}) };
+        });
 
-            const ws = XLSX.utils.aoa_to_sheet(aoa);
+        // Row heights (pixels) and hidden rows
+        ws['!rows'] = Array.from({ length: rows }, (_, r) => {
+            const hpx = this.#pxToNumber(this.model.rowStyles?.[r]?.height);
+            const hidden = this.#isRowHidden(r);
+            if (hpx == null && !hidden) return undefined;
+            return { ...(hpx != null ? { hpx } : {}), ...(hidden ? { hidden: true } : {}) };
+        });
+
+        // Hyperlinks (`l`): links to cells use the sheet names as written to the workbook
+        for (const [key, target] of Object.entries(this.model.hyperlinks || {})) {
+            const p = this.#parseCellKey(key);
+            if (!p || p.r >= rows || p.c >= cols) continue;
+            const dest = target.startsWith('#') ? this.#parseSheetRange(target.slice(1)) : null;
+            const addr = XLSX.utils.encode_cell(p);
+            if (!ws[addr]) ws[addr] = { t: 's', v: '' };
+            ws[addr].l = {
+                Target: dest && sheetNames[dest.sheet]
+                    ? `#${this.#quoteSheetName(sheetNames[dest.sheet])}!${this.#rangeToA1({ r: dest.rect.sr, c: dest.rect.sc }, { r: dest.rect.er, c: dest.rect.ec }).replace(/^([A-Z]+\d+):\1$/, '$1')}`
+                    : target
+            };
+        }
 
-            // Apply styles to each cell after worksheet creation
+        // Protection: a sheet with locked cells is protected and its editable cells are listed for
+        // #writeXlsxUnlockedCells (SheetJS writes <sheetProtection> but no cell protection)
+        if (this.#hasLockedCells()) {
+            ws['!protect'] = {};
+            const unlocked = [];
             for (let r = 0; r < rows; r++) {
                 for (let c = 0; c < cols; c++) {
-                    const cellAddr = XLSX.utils.encode_cell({ r, c });
-                    
-                    // Get effective style (includes default, column, row, and cell styles)
-                    const eff = this.getEffectiveCellStyle(r, c) || null;
-                    const xlsxStyle = this.#mapToXlsxCellStyle(eff);
-                    
-                    if (xlsxStyle) {
-                        // Create cell if it doesn't exist (for empty cells with styles)
-                        if (!ws[cellAddr]) {
-                            ws[cellAddr] = { t: 's', v: '' };
-                        }
-                        ws[cellAddr].s = xlsxStyle;
-                    }
+                    if (coveredSet.has(this.#posKey(r, c)) || this.#isCellLocked(r, c)) continue;
+                    const addr = XLSX.utils.encode_cell({ r, c });
+                    if (!ws[addr]) ws[addr] = { t: 's', v: '' };
+                    unlocked.push(addr);
                 }
             }
+            ws['!unlocked'] = unlocked;
+        }
 
-            // Apply merges
-            if (Array.isArray(this.model.mergedCells) && this.model.mergedCells.length) {
-                ws['!merges'] = this.model.mergedCells.map(m => ({ s: { r: Math.min(m.start.r, m.end.r), c: Math.min(m.start.c, m.end.c) }, e: { r: Math.max(m.start.r, m.end.r), c: Math.max(m.start.c, m.end.c) } }));
-            }
+        // AutoFilter: SheetJS writes the range; the criteria are added by #writeXlsxFilterColumns
+        const af = this.model.autoFilter;
+        if (af) {
+            ws['!autofilter'] = { ref: this.#autoFilterRef() };
+            ws['!filterColumns'] = Object.entries(af.columns).map(([c, crit]) => ({ colId: Number(c) - af.sc, crit }));
+        }
 
-            // Column widths (pixels)
-            if (Array.isArray(this.model.columnStyles)) {
-                ws['!cols'] = this.model.columnStyles.map(cs => {
-                    const wpx = this.#pxToNumber(cs?.width);
-                    return wpx != null ? { wpx } : undefined;
-                });
+        // Data validations (written by #writeXlsxDataValidations): cells with the same rule share one entry.
+        // Excel has no regular expressions, so regex rules stay in Spreadsheet JSON only.
+        const validations = new Map();
+        for (const [key, rule] of Object.entries(this.model.cellValidations || {})) {
+            const p = this.#parseCellKey(key);
+            if (!p || p.r >= rows || p.c >= cols || rule.type === 'regex') continue;
+            const id = JSON.stringify(rule);
+            if (!validations.has(id)) validations.set(id, { rule, cells: [] });
+            validations.get(id).cells.push(p);
+        }
+        if (validations.size) {
+            ws['!validations'] = [...validations.values()].map(({ rule, cells }) => ({ rule, sqref: this.#cellsToSqref(cells) }));
+        }
+
+        // Conditional formats (written by #writeXlsxConditionalFormats), in priority order
+        if (this.model.conditionalFormats?.length) ws['!condfmt'] = this.model.conditionalFormats.map(cf => ({ ...cf }));
+
+        // Images (written by #writeXlsxPictures): Excel takes png, jpeg and gif, the other formats stay in Spreadsheet JSON
+        const pictures = (this.model.drawings || [])
+            .map(d => ({ ...d, src: this._images[d.image] }))
+            .filter(d => d.src && /^data:image\/(?:png|jpeg|gif);/i.test(d.src));
+        if (pictures.length) ws['!pictures'] = pictures;
+
+        // Frozen panes (written by #writeXlsxPanes)
+        const fr = this.#frozenRows();
+        const fc = this.#frozenColumns();
+        if (fr || fc) {
+            ws['!freeze'] = {
+                xSplit: fc,
+                ySplit: fr,
+                topLeftCell: XLSX.utils.encode_cell({ r: fr, c: fc }),
+                activePane: fr && fc ? 'bottomRight' : (fr ? 'bottomLeft' : 'topRight'),
+                state: 'frozen'
+            };
+        }
+        return ws;
+    }
+
+    // Add a frozen <pane> to the <sheetView> of every sheet with `!freeze` in a written .xlsx
+    // (zip container read with XLSX.CFB); sheets are stored as xl/worksheets/sheet{n}.xml in workbook order
+    #writeXlsxPanes(cfb, wb) {
+        wb.SheetNames.forEach((name, i) => {
+            const freeze = wb.Sheets[name]['!freeze'];
+            const file = freeze && XLSX.CFB.find(cfb, `/xl/worksheets/sheet${i + 1}.xml`);
+            if (!file) return;
+            const attrs = [
+                freeze.xSplit ? `xSplit="${freeze.xSplit}"` : '',
+                freeze.ySplit ? `ySplit="${freeze.ySplit}"` : '',
+                `topLeftCell="${freeze.topLeftCell}"`,
+                `activePane="${freeze.activePane}"`,
+                `state="${freeze.state}"`
+            ].filter(Boolean).join(' ');
+            const xml = new TextDecoder().decode(file.content)
+                .replace(/<sheetView\b([^>]*?)\/>/, `<sheetView$1><pane ${attrs}/></sheetView>`);
+            file.content = new TextEncoder().encode(xml);
+            file.size = file.content.length;
+        });
+    }
+
+    // Write the `!filterColumns` criteria as <filterColumn> elements of the sheet's <autoFilter>
+    #writeXlsxFilterColumns(cfb, wb) {
+        const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        // Custom filter operands: text with Excel wildcards escaped, numbers (and ISO dates) as numbers
+        const text = (v) => esc(String(v ?? '').trim().replace(/[~*?]/g, '~$&'));
+        const operand = (v) => {
+            const n = this.#coerceRawValue(v);
+            return typeof n === 'number' ? String(n) : text(v);
+        };
+        const custom = (op, val) => `<customFilter${op ? ` operator="${op}"` : ''} val="${val}"/>`;
+        const toXml = ({ colId, crit }) => {
+            let inner;
+            if (crit.values) {
+                const blank = crit.values.includes('') ? ' blank="1"' : '';
+                inner = `<filters${blank}>${crit.values.filter(v => v !== '').map(v => `<filter val="${esc(v)}"/>`).join('')}</filters>`;
+            } else if (crit.op === 'blank') inner = '<filters blank="1"/>';
+            else if (crit.op === 'contains') inner = `<customFilters>${custom('', `*${text(crit.value)}*`)}</customFilters>`;
+            else if (crit.op === 'between') {
+                inner = `<customFilters and="1">${custom('greaterThanOrEqual', operand(crit.value))}${custom('lessThanOrEqual', operand(crit.value2))}</customFilters>`;
+            } else inner = `<customFilters>${custom({ equals: '', gt: 'greaterThan', lt: 'lessThan' }[crit.op], operand(crit.value))}</customFilters>`;
+            return `<filterColumn colId="${colId}">${inner}</filterColumn>`;
+        };
+        wb.SheetNames.forEach((name, i) => {
+            const columns = wb.Sheets[name]['!filterColumns'];
+            const file = columns?.length && XLSX.CFB.find(cfb, `/xl/worksheets/sheet${i + 1}.xml`);
+            if (!file) return;
+            const xml = new TextDecoder().decode(file.content)
+                .replace(/<autoFilter\b([^>]*?)\/>/, `<autoFilter$1>${columns.map(toXml).join('')}</autoFilter>`);
+            file.content = new TextEncoder().encode(xml);
+            file.size = file.content.length;
+        });
+    }
+
+    // Write `!condfmt` as <conditionalFormatting> elements (priority = list order) and add the highlight
+    // styles to the workbook's differential formats (<dxfs>), which the rules point at by index
+    #writeXlsxConditionalFormats(cfb, wb) {
+        const stylesFile = XLSX.CFB.find(cfb, '/xl/styles.xml');
+        if (!stylesFile) return;
+        const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const text = (v) => `"${String(v).replace(/"/g, '""')}"`;
+        const operand = (v) => {
+            const x = this.#coerceRawValue(v);
+            return typeof x === 'number' ? String(x) : typeof x === 'boolean' ? String(x).toUpperCase() : text(v);
+        };
+        const color = (hex) => `<color rgb="FF${hex.slice(1).toUpperCase()}"/>`;
+        const dxfs = [];
+        const dxfId = (style) => {
+            const x = this.#mapToXlsxCellStyle(style) || {};
+            const f = x.font || {};
+            const font = [f.bold && '<b/>', f.italic && '<i/>', f.strike && '<strike/>', f.underline && '<u/>', f.color && `<color rgb="FF${f.color.rgb}"/>`].filter(Boolean).join('');
+            const fill = x.fill ? `<fill><patternFill><bgColor rgb="FF${x.fill.fgColor.rgb}"/></patternFill></fill>` : '';
+            dxfs.push(`<dxf>${font ? `<font>${font}</font>` : ''}${fill}</dxf>`);
+            return dxfs.length - 1;
+        };
+        const toXml = (cf, priority) => {
+            const { rule } = cf;
+            const topLeft = `${this.#colIndexToLabel(cf.sc)}${cf.sr + 1}`;
+            const range = this.#rangeToA1({ r: cf.sr, c: cf.sc }, { r: cf.er, c: cf.ec });
+            let attrs;
+            let inner = '';
+            switch (rule.type) {
+                case 'cellValue':
+                    attrs = `type="cellIs" dxfId="${dxfId(rule.style)}" priority="${priority}" operator="${{ gt: 'greaterThan', lt: 'lessThan', equals: 'equal', between: 'between' }[rule.op]}"`;
+                    inner = [rule.value, ...(rule.op === 'between' ? [rule.value2] : [])].map(v => `<formula>${esc(operand(v))}</formula>`).join('');
+                    break;
+                case 'contains':
+                    attrs = `type="containsText" dxfId="${dxfId(rule.style)}" priority="${priority}" operator="containsText" text="${esc(rule.value)}"`;
+                    inner = `<formula>${esc(`NOT(ISERROR(SEARCH(${text(rule.value)},${topLeft})))`)}</formula>`;
+                    break;
+                case 'top':
+                case 'bottom':
+                    attrs = `type="top10" dxfId="${dxfId(rule.style)}" priority="${priority}" rank="${rule.count}"${rule.percent ? ' percent="1"' : ''}${rule.type === 'bottom' ? ' bottom="1"' : ''}`;
+                    break;
+                case 'duplicates':
+                case 'unique':
+                    attrs = `type="${rule.type === 'duplicates' ? 'duplicateValues' : 'uniqueValues'}" dxfId="${dxfId(rule.style)}" priority="${priority}"`;
+                    break;
+                case 'expression':
+                    attrs = `type="expression" dxfId="${dxfId(rule.style)}" priority="${priority}"`;
+                    inner = `<formula>${esc(rule.formula)}</formula>`;
+                    break;
+                case 'colorScale': {
+                    const cfvo = rule.colors.length === 3
+                        ? '<cfvo type="min"/><cfvo type="percentile" val="50"/><cfvo type="max"/>'
+                        : '<cfvo type="min"/><cfvo type="max"/>';
+                    attrs = `type="colorScale" priority="${priority}"`;
+                    inner = `<colorScale>${cfvo}${rule.colors.map(color).join('')}</colorScale>`;
+                    break;
+                }
+                case 'dataBar': {
+                    // Bars start at zero unless the range has negative values, as in the grid
+                    const abs = range.replace(/([A-Z]+)(\d+)/g, '$$$1$$$2');
+                    attrs = `type="dataBar" priority="${priority}"`;
+                    inner = `<dataBar><cfvo type="formula" val="${esc(`MIN(0,MIN(${abs}))`)}"/><cfvo type="max"/>${color(rule.color)}</dataBar>`;
+                    break;
+                }
+                default:
+                    return '';
             }
+            return `<conditionalFormatting sqref="${cf.sr === cf.er && cf.sc === cf.ec ? topLeft : range}"><cfRule ${attrs}>${inner}</cfRule></conditionalFormatting>`;
+        };
+        wb.SheetNames.forEach((name, i) => {
+            const items = (wb.Sheets[name]['!condfmt'] || []).map((cf, p) => toXml(cf, p + 1)).filter(Boolean);
+            const file = items.length && XLSX.CFB.find(cfb, `/xl/worksheets/sheet${i + 1}.xml`);
+            if (!file) return;
+            const xml = new TextDecoder().decode(file.content)
+                .replace(/<(?:dataValidations|hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|ignoredErrors|drawing|legacyDrawing|tableParts|extLst)\b|<\/worksheet>/, m => items.join('') + m);
+            file.content = new TextEncoder().encode(xml);
+            file.size = file.content.length;
+        });
+        if (!dxfs.length) return;
+        const block = `<dxfs count="${dxfs.length}">${dxfs.join('')}</dxfs>`;
+        let styles = new TextDecoder().decode(stylesFile.content);
+        styles = /<dxfs\b/.test(styles)
+            ? styles.replace(/<dxfs\b[^>]*?(?:\/>|>[\s\S]*?<\/dxfs>)/, block)
+            : styles.replace(/<(?:tableStyles|colors|extLst)\b|<\/styleSheet>/, m => block + m);
+        stylesFile.content = new TextEncoder().encode(styles);
+        stylesFile.size = stylesFile.content.length;
+    }
 
-            // Row heights (pixels)
-            if (Array.isArray(this.model.rowStyles)) {
-                ws['!rows'] = this.model.rowStyles.map(rs => {
-                    const hpx = this.#pxToNumber(rs?.height);
-                    return hpx != null ? { hpx } : undefined;
-                });
+    // Write `!validations` as the sheet's <dataValidations>, after <mergeCells> and before the elements Excel expects later
+    #writeXlsxDataValidations(cfb, wb) {
+        const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const toXml = ({ rule, sqref }) => {
+            const attrs = [];
+            let formulas;
+            if (rule.type === 'list') {
+                // Inline lists are comma-separated and limited to 255 characters
+                const list = rule.values.join(',');
+                if (rule.values.some(v => v.includes(',')) || list.length > 255) return '';
+                attrs.push('type="list"');
+                formulas = [`"${list.replace(/"/g, '""')}"`];
+            } else {
+                const min = rule.min != null ? this.#validationBound(rule.type, rule.min) : null;
+                const max = rule.max != null ? this.#validationBound(rule.type, rule.max) : null;
+                attrs.push(`type="${rule.type === 'date' ? 'date' : rule.integer ? 'whole' : 'decimal'}"`);
+                if (min != null && max != null) { attrs.push('operator="between"'); formulas = [min, max]; }
+                else if (max != null) { attrs.push('operator="lessThanOrEqual"'); formulas = [max]; }
+                else { attrs.push('operator="greaterThanOrEqual"'); formulas = [min ?? (rule.type === 'date' ? 0 : -1e307)]; }
             }
+            if (rule.errorStyle === 'warning') attrs.push('errorStyle="warning"');
+            if (rule.allowBlank !== false) attrs.push('allowBlank="1"');
+            attrs.push('showErrorMessage="1"', `error="${esc(this.#validationMessage(rule).slice(0, 255))}"`, `sqref="${sqref}"`);
+            const inner = formulas.map((f, i) => `<formula${i + 1}>${esc(f)}</formula${i + 1}>`).join('');
+            return `<dataValidation ${attrs.join(' ')}>${inner}</dataValidation>`;
+        };
+        wb.SheetNames.forEach((name, i) => {
+            const items = (wb.Sheets[name]['!validations'] || []).map(toXml).filter(Boolean);
+            const file = items.length && XLSX.CFB.find(cfb, `/xl/worksheets/sheet${i + 1}.xml`);
+            if (!file) return;
+            const block = `<dataValidations count="${items.length}">${items.join('')}</dataValidations>`;
+            const xml = new TextDecoder().decode(file.content)
+                .replace(/<(?:hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|ignoredErrors|drawing|legacyDrawing|tableParts|extLst)\b|<\/worksheet>/, m => block + m);
+            file.content = new TextEncoder().encode(xml);
+            file.size = file.content.length;
+        });
+    }
 
-            const wb = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(wb, ws, 'Sheet1');
-            XLSX.writeFile(wb, filename);
-        } catch (err) {
-            console.error('Failed to export to Excel. Falling back to CSV.', err);
-            this.exportToCSV(filename.replace(/\.xlsx$/i, '.csv'));
+    // Write `!pictures` as a drawing part per sheet (one-cell anchors: top-left cell, offsets and size in EMU)
+    // with the image files under xl/media; identical images are stored once
+    #writeXlsxPictures(cfb, wb) {
+        const typesFile = XLSX.CFB.find(cfb, '/[Content_Types].xml');
+        if (!typesFile) return;
+        const decode = (file) => new TextDecoder().decode(file.content);
+        const store = (file, xml) => { file.content = new TextEncoder().encode(xml); file.size = file.content.length; };
+        const add = (path, xml) => XLSX.CFB.utils.cfb_add(cfb, path, typeof xml === 'string' ? new TextEncoder().encode(xml) : xml);
+        const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const EMU = 9525; // per px
+        const media = new Map(); // image id -> file name under xl/media
+        const overrides = [];
+        wb.SheetNames.forEach((name, i) => {
+            const pictures = wb.Sheets[name]['!pictures'];
+            const sheetFile = pictures?.length && XLSX.CFB.find(cfb, `/xl/worksheets/sheet${i + 1}.xml`);
+            if (!sheetFile) return;
+            const part = overrides.length + 1;
+            const rels = [];
+            const anchors = pictures.map((d, k) => {
+                if (!media.has(d.image)) {
+                    const [, type, base64] = /^data:image\/(png|jpeg|gif);base64,([\s\S]*)$/i.exec(d.src);
+                    const file = `image${media.size + 1}.${type.toLowerCase()}`;
+                    add(`xl/media/${file}`, Uint8Array.from(atob(base64.replace(/\s/g, '')), ch => ch.charCodeAt(0)));
+                    media.set(d.image, file);
+                }
+                rels.push(`<Relationship Id="rId${k + 1}" Type="${REL}/image" Target="../media/${media.get(d.image)}"/>`);
+                // Images whose size is still unknown (not loaded yet) get a placeholder size
+                const cx = Math.round((d.width ?? 100) * EMU);
+                const cy = Math.round((d.height ?? 100) * EMU);
+                return '<xdr:oneCellAnchor>'
+                    + `<xdr:from><xdr:col>${d.c}</xdr:col><xdr:colOff>${d.offsetX * EMU}</xdr:colOff><xdr:row>${d.r}</xdr:row><xdr:rowOff>${d.offsetY * EMU}</xdr:rowOff></xdr:from>`
+                    + `<xdr:ext cx="${cx}" cy="${cy}"/>`
+                    + `<xdr:pic><xdr:nvPicPr><xdr:cNvPr id="${k + 2}" name="Picture ${k + 1}"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>`
+                    + `<xdr:blipFill><a:blip r:embed="rId${k + 1}"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>`
+                    + `<xdr:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr></xdr:pic>`
+                    + '<xdr:clientData/></xdr:oneCellAnchor>';
+            });
+            const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            add(`xl/drawings/drawing${part}.xml`, `${head}<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="${REL}">${anchors.join('')}</xdr:wsDr>`);
+            add(`xl/drawings/_rels/drawing${part}.xml.rels`, `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.join('')}</Relationships>`);
+            // The sheet points at its drawing part; SheetJS only writes sheet relationships for hyperlinks
+            const relsFile = XLSX.CFB.find(cfb, `/xl/worksheets/_rels/sheet${i + 1}.xml.rels`);
+            let sheetRels = relsFile ? decode(relsFile) : `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>`;
+            const rId = `rId${Math.max(0, ...[...sheetRels.matchAll(/Id="rId(\d+)"/g)].map(m => Number(m[1]))) + 1}`;
+            sheetRels = sheetRels.replace('</Relationships>', `<Relationship Id="${rId}" Type="${REL}/drawing" Target="../drawings/drawing${part}.xml"/></Relationships>`);
+            if (relsFile) store(relsFile, sheetRels); else add(`xl/worksheets/_rels/sheet${i + 1}.xml.rels`, sheetRels);
+            store(sheetFile, decode(sheetFile)
+                .replace(/<(?:legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)\b|<\/worksheet>/, m => `<drawing r:id="${rId}"/>${m}`));
+            overrides.push(`<Override PartName="/xl/drawings/drawing${part}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>`);
+        });
+        if (!overrides.length) return;
+        // SheetJS already declares the png/jpeg/gif extensions
+        store(typesFile, decode(typesFile).replace('</Types>', `${overrides.join('')}</Types>`));
+    }
+
+    // Space-separated A1 ranges covering `cells` ({ r, c }): runs down each column, joined across
+    // neighbouring columns with the same run
+    #cellsToSqref(cells) {
+        const runs = [];
+        for (const { r, c } of [...cells].sort((a, b) => a.c - b.c || a.r - b.r)) {
+            const last = runs[runs.length - 1];
+            if (last && last.sc === c && last.er === r - 1) last.er = r;
+            else runs.push({ sr: r, er: r, sc: c, ec: c });
+        }
+        const rects = [];
+        for (const run of runs) {
+            const prev = rects.find(g => g.ec === run.sc - 1 && g.sr === run.sr && g.er === run.er);
+            if (prev) prev.ec = run.sc; else rects.push(run);
+        }
+        return rects.map(g => (g.sr === g.er && g.sc === g.ec
+            ? `${this.#colIndexToLabel(g.sc)}${g.sr + 1}`
+            : this.#rangeToA1({ r: g.sr, c: g.sc }, { r: g.er, c: g.ec }))).join(' ');
+    }
+
+    // Give the cells listed in `!unlocked` a copy of their cell format with <protection locked="0"/>
+    // (Excel locks every cell of a protected sheet unless its format says otherwise)
+    #writeXlsxUnlockedCells(cfb, wb) {
+        const stylesFile = XLSX.CFB.find(cfb, '/xl/styles.xml');
+        if (!stylesFile) return;
+        const decode = (file) => new TextDecoder().decode(file.content);
+        const store = (file, xml) => { file.content = new TextEncoder().encode(xml); file.size = file.content.length; };
+        let styles = decode(stylesFile);
+        const cellXfs = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+        if (!cellXfs) return;
+        const xfs = cellXfs[1].match(/<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g) || [];
+        const clones = new Map(); // format index -> index of its unlocked copy
+        const unlockedXf = (s) => {
+            if (!clones.has(s)) clones.set(s, xfs.length + clones.size);
+            return clones.get(s);
+        };
+        wb.SheetNames.forEach((name, i) => {
+            const cells = new Set(wb.Sheets[name]['!unlocked'] || []);
+            const file = cells.size && XLSX.CFB.find(cfb, `/xl/worksheets/sheet${i + 1}.xml`);
+            if (!file) return;
+            store(file, decode(file).replace(/<c r="([A-Z]+\d+)"(?: s="(\d+)")?/g, (m, ref, s) => (
+                cells.has(ref) ? `<c r="${ref}" s="${unlockedXf(Number(s ?? 0))}"` : m
+            )));
+        });
+        if (!clones.size) return;
+        const copies = [...clones.keys()].map((s) => {
+            const xf = (xfs[s] ?? xfs[0] ?? '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>')
+                .replace(/^<xf\b/, '<xf applyProtection="1"');
+            return xf.endsWith('/>')
+                ? `${xf.slice(0, -2)}><protection locked="0"/></xf>`
+                : xf.replace(/<\/xf>$/, '<protection locked="0"/></xf>');
+        });
+        styles = styles.replace(cellXfs[0], `<cellXfs count="${xfs.length + copies.length}">${xfs.join('')}${copies.join('')}</cellXfs>`);
+        store(stylesFile, styles);
+    }
+
+    // Excel sheet names: max 31 chars, no []:*?/\ and unique (case-insensitive) within the workbook
+    #toXlsxSheetName(name, used) {
+        const base = String(name || 'Sheet').replace(/[\[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+        let out = base;
+        let n = 2;
+        while (used.has(out.toLowerCase())) {
+            const suffix = ` (${n++})`;
+            out = base.slice(0, 31 - suffix.length) + suffix;
         }
+        used.add(out.toLowerCase());
+        return out;
     }
 
     // Export as CSV (Excel-compatible). Preserves values only.
@@ -499,6 +1305,83 @@ export class CustomTable {
         }
     }
 
+    // Import an .xlsx workbook (File/Blob, ArrayBuffer or Uint8Array). Replaces all sheets, or adds just
+    // `sheet` (name or 0-based index) after the current ones when given. Resolves to the imported sheet names.
+    async importFromExcel(fileOrArrayBuffer, { sheet } = {}) {
+        const src = fileOrArrayBuffer;
+        const buffer = (src && typeof src.arrayBuffer === 'function') ? await src.arrayBuffer() : src;
+        // Tag check instead of instanceof so buffers from other realms (iframes, workers) are accepted
+        if (Object.prototype.toString.call(buffer) !== '[object ArrayBuffer]' && !ArrayBuffer.isView(buffer)) {
+            throw new TypeError('importFromExcel expects a File, Blob, ArrayBuffer or Uint8Array');
+        }
+        const data = buffer instanceof Uint8Array ? buffer : ArrayBuffer.isView(buffer)
+            ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) : new Uint8Array(buffer);
+        // sheetStubs keeps styled empty cells; their (absent) values are skipped in #xlsxSheetToSpreadsheetSheet
+        const wb = XLSX.read(data, { type: 'array', cellStyles: true, cellNF: true, cellFormula: true, sheetStubs: true });
+        const styles = this.#readXlsxCellStyles(data);
+        let names = wb.SheetNames;
+        if (sheet != null) {
+            const name = typeof sheet === 'number' ? names[sheet] : names.find(n => n.toLowerCase() === String(sheet).toLowerCase());
+            if (name == null) throw new Error(`Sheet "${sheet}" not found in workbook`);
+            // One sheet is added next to the current ones; the workbook's defined names are not read
+            const parsed = this.#xlsxSheetToSpreadsheetSheet(name, wb.Sheets[name], styles?.get(name));
+            const taken = new Set(this.sheets.map(s => s.name.toLowerCase()));
+            let sheetName = name;
+            for (let n = 2; taken.has(sheetName.toLowerCase()); n++) sheetName = `${name} (${n})`;
+            this.#endTypingTxn();
+            this.#pushUndoSnapshot('importFromExcel');
+            this.#stashActiveSheet();
+            this.sheets.push({ name: sheetName, ...this.#parseSpreadsheetSheet({}, parsed) });
+            this.#activateSheet(this.sheets.length - 1);
+            this.#recalcAll();
+            this.#render();
+            this.#emit('load', { source: 'xlsx', sheets: [sheetName] });
+            return [sheetName];
+        }
+        const viewTab = wb.Workbook?.Views?.[0]?.activeTab;
+        const json = {
+            activeSheet: wb.SheetNames[viewTab] ?? names[0],
+            sheets: names.map(name => this.#xlsxSheetToSpreadsheetSheet(name, wb.Sheets[name], styles?.get(name))),
+            // Workbook-level names only; Excel's built-in ones (_xlnm.Print_Area, _xlnm._FilterDatabase, ...) are its own
+            names: (wb.Workbook?.Names || [])
+                .filter(n => n.Sheet == null && !/^_xlnm\./i.test(n.Name))
+                .map(n => ({ name: n.Name, value: n.Ref }))
+        };
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('importFromExcel');
+        this.#fromSpreadsheetJSON(json);
+        this.#emit('load', { source: 'xlsx', sheets: this.getSheetNames() });
+        return this.getSheetNames();
+    }
+
+    // Import CSV text into the active sheet (replacing its contents). The delimiter is detected from
+    // the first line unless given; `headerRow: true` makes the first row bold.
+    importFromCSV(text, { delimiter, headerRow = false } = {}) {
+        const rows = this.#parseCSV(String(text ?? ''), delimiter);
+        const sheet = {
+            rows: rows.map((fields, r) => ({
+                index: r,
+                cells: fields.map((value, c) => {
+                    const cell = { index: c };
+                    // Like Excel, '=...' fields are read as formulas
+                    if (value.length > 1 && value[0] === '=') cell.formula = value.slice(1);
+                    else cell.value = value;
+                    if (headerRow && r === 0) cell.bold = true;
+                    return cell;
+                })
+            }))
+        };
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('importFromCSV');
+        this.#stashActiveSheet();
+        const entry = this.sheets[this._activeSheet];
+        this.sheets[this._activeSheet] = { name: entry.name, ...this.#parseSpreadsheetSheet({}, sheet) };
+        this.#activateSheet(this._activeSheet);
+        this.#recalcAll();
+        this.#render();
+        this.#emit('load', { source: 'csv', sheets: [entry.name] });
+    }
+
     fromJSON(obj) {
         // End any typing txn before wholesale updates
         this.#endTypingTxn();
@@ -506,11 +1389,14 @@ export class CustomTable {
         // Spreadsheet JSON only
         if (obj && typeof obj === 'object' && Array.isArray(obj.sheets)) {
             this.#fromSpreadsheetJSON(obj);
+            if (!this._isRestoring) this.#emit('load', { source: 'json', sheets: this.getSheetNames() });
             return;
         }
         console.warn('CustomTable.fromJSON expects Spreadsheet JSON (object with sheets[]). Input ignored; resetting to blank.');
-        this._defaultCellStyle = null;
-        this.model = this.#createEmptyModel(2, 2);
+        this.sheets = [{ name: 'Sheet1', model: this.#createEmptyModel(2, 2), defaultCellStyle: null, selection: null }];
+        this._names = [];
+        this.#activateSheet(0);
+        this.#recalcAll();
         this.#render();
     }
 
@@ -518,16 +1404,20 @@ export class CustomTable {
     getModel() { return this.toSpreadsheetJSON(); }
     setModel(m) { this.fromJSON(m); }
 
-    // Per-cell style APIs (r,c are 0-based)
+    // Per-cell style APIs (r,c are 0-based). A locked cell keeps its style (returns false).
     setCellStyle(r, c, styleObj) {
         if (r < 0 || r >= this.model.rows) return;
         if (c < 0 || c >= this.model.cols) return;
-        this.#pushUndoSnapshot('setCellStyle');
+        if (!this.isCellEditable(r, c)) return false;
+        this.#pushCellsUndo([{ r, c, style: true }]);
         if (!this.model.cellStyles) this.model.cellStyles = {};
         const key = this.#cellKey(r, c);
         const sanitized = this.#sanitizeStyle(styleObj);
         if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
-        this.#render();
+        this.#renderRect({ sr: r, sc: c, er: r, ec: c });
+        this.#setSelection(this._selection);
+        this.#emit('stylechange', { scope: 'cell', r, c, range: this.#rangeToA1({ r, c }, { r, c }) });
+        return true;
     }
 
     getCellStyle(r, c) {
@@ -537,67 +1427,596 @@ export class CustomTable {
         return (this.model.cellStyles && this.model.cellStyles[key]) || null;
     }
 
-    // Effective cell style = spreadsheet default + column + row + cell (later overrides earlier)
-    getEffectiveCellStyle(r, c) {
+    // Cell value APIs (r,c are 0-based). Values starting with '=' are stored as formulas.
+    // A locked cell keeps its value (returns false).
+    setCellValue(r, c, value) {
+        if (r < 0 || r >= this.model.rows) return;
+        if (c < 0 || c >= this.model.cols) return;
+        if (!this.isCellEditable(r, c)) return false;
+        this.#endTypingTxn();
+        this.#pushCellsUndo([{ r, c, input: true }]);
+        const oldValue = this.#editText(r, c);
+        if (this._editing?.r === r && this._editing?.c === c) this.#endEdit();
+        this.#refreshCellText(this.#writeCell(r, c, value));
+        this.#renderRect({ sr: r, sc: c, er: r, ec: c });
+        this.#emitCellChanges([{ r, c, oldValue, newValue: this.#editText(r, c) }]);
+        return true;
+    }
+
+    // Cell value without number formatting (computed result for formula cells)
+    getCellValue(r, c) {
         if (r < 0 || r >= this.model.rows) return null;
         if (c < 0 || c >= this.model.cols) return null;
-        const key = this.#cellKey(r, c);
-        const out = {};
-        const layers = [this._defaultCellStyle, this.model.columnStyles?.[c], this.model.rowStyles?.[r], this.model.cellStyles?.[key]];
-        for (const layer of layers) {
-            if (!layer || typeof layer !== 'object') continue;
-            for (const [k, v] of Object.entries(layer)) {
-                if (v == null || v === '') continue;
-                out[k] = v;
-            }
-        }
-        return this.#sanitizeStyle(out);
+        return this.model.data[r][c] ?? '';
     }
 
-    // Column style APIs
-    setColumnStyle(index, styleObj) {
-        if (index < 0 || index >= this.model.cols) return;
-        this.#pushUndoSnapshot('setColumnStyle');
-        const sanitized = this.#sanitizeStyle(styleObj);
-        if (!Array.isArray(this.model.columnStyles)) this.model.columnStyles = Array.from({ length: this.model.cols }, () => null);
-        this.model.columnStyles[index] = sanitized;
-        this.#render();
+    // Text as displayed in the cell (number format applied)
+    getCellText(r, c) {
+        if (r < 0 || r >= this.model.rows) return null;
+        if (c < 0 || c >= this.model.cols) return null;
+        return this.#displayText(r, c);
     }
 
-    getColumnStyle(index) {
-        if (index < 0 || index >= this.model.cols) return null;
-        return (this.model.columnStyles && this.model.columnStyles[index]) || null;
+    // Formula source including the leading '=', or null for plain cells
+    getCellFormula(r, c) {
+        const f = this.model.formulas?.[this.#cellKey(r, c)];
+        return f ? `=${f.formula}` : null;
     }
 
-    // Row style APIs
-    setRowStyle(index, styleObj) {
-        if (index < 0 || index >= this.model.rows) return;
-        this.#pushUndoSnapshot('setRowStyle');
-        const sanitized = this.#sanitizeStyle(styleObj);
-        if (!Array.isArray(this.model.rowStyles)) this.model.rowStyles = Array.from({ length: this.model.rows }, () => null);
-        this.model.rowStyles[index] = sanitized;
+    // Merge an A1 range ('A1:C3'). `across` merges each row separately; `center` also centers the text.
+    // Like Excel, only the top-left value of each merged region is kept. Returns false for invalid ranges
+    // and ranges holding a locked cell.
+    mergeCells(rangeA1, { across = false, center = false } = {}) {
+        const rect = this.#a1ToRect(rangeA1);
+        if (!rect || this.#rectLocked(rect)) return false;
+        this.#mergeRect(rect, { across, center });
+        return true;
+    }
+
+    // Remove every merged region that touches the given cell or range ('A1' or 'A1:C3')
+    unmergeCells(refA1) {
+        const rect = this.#a1ToRect(refA1);
+        if (!rect || this._readOnly) return false;
+        this.#unmergeRect(rect);
+        return true;
+    }
+
+    // Sort the rows below `headerRows` by one or more keys: [{ col: 'B' (or a 0-based index), dir: 'asc'|'desc' }].
+    // Numbers and dates sort before text (locale order), booleans and errors; blanks always go last.
+    // Rows keep their styles, locks and formulas. Refused (false) while merged cells span several rows
+    // of the sorted block or it holds a locked cell. One undo step.
+    sortBy(keys, { headerRows = 0 } = {}) {
+        const list = (Array.isArray(keys) ? keys : [keys]).map(k => ({
+            c: this.#columnIndex(k?.col),
+            desc: String(k?.dir ?? 'asc').toLowerCase() === 'desc'
+        }));
+        if (!list.length || list.some(k => k.c < 0)) return false;
+        const h = Math.max(0, Math.trunc(Number(headerRows)) || 0);
+        if (this.#sortBlockedByMerges(h) || this.#rectLocked({ sr: h, sc: 0, er: this.model.rows - 1, ec: this.model.cols - 1 })) return false;
+        const rows = Array.from({ length: Math.max(0, this.model.rows - h) }, (_, i) => h + i);
+        const values = new Map(rows.map(r => [r, list.map(k => this.#sortValue(r, k.c))]));
+        const order = [...rows].sort((a, b) => {
+            for (let i = 0; i < list.length; i++) {
+                const d = this.#compareSortValues(values.get(a)[i], values.get(b)[i], list[i].desc);
+                if (d) return d;
+            }
+            return 0;
+        });
+        if (order.every((r, i) => r === h + i)) return true;
+        this.#endEdit();
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('sort');
+        this.#reorderRows(h, order);
+        this.#recalcAll();
         this.#render();
+        this.#emit('sort', { keys: list.map(k => ({ col: this.#colIndexToLabel(k.c), dir: k.desc ? 'desc' : 'asc' })), headerRows: h });
+        return true;
     }
 
-    getRowStyle(index) {
-        if (index < 0 || index >= this.model.rows) return null;
-        return (this.model.rowStyles && this.model.rowStyles[index]) || null;
+    // AutoFilter: filter buttons on the top row of `refA1` ('A1:D1') for its columns; the rows below it,
+    // down to the end of the sheet, are filtered. Filtered rows are hidden, never deleted.
+    // setAutoFilter(null) removes the filter and shows those rows again. One undo step.
+    setAutoFilter(refA1) {
+        if (refA1 == null) {
+            if (this.model.autoFilter) this.#updateAutoFilter(null);
+            return true;
+        }
+        const rect = this.#a1ToRect(refA1);
+        if (!rect) return false;
+        this.#updateAutoFilter({ r: rect.sr, sc: rect.sc, ec: rect.ec, columns: {} });
+        return true;
     }
 
-    destroy() {
-        this.container.innerHTML = '';
+    // Filter column `col` (letter or 0-based index) of the AutoFilter by displayed values
+    // ({ values: ['North', ''] }, '' = blanks) or a condition ({ op: 'contains' | 'equals' | 'gt' | 'lt' |
+    // 'between' | 'blank', value?, value2? }); null clears it. False when the column is not filtered.
+    filterColumn(col, criterion) {
+        const af = this.model.autoFilter;
+        const c = this.#columnIndex(col);
+        if (!af || c < af.sc || c > af.ec) return false;
+        const crit = this.#normalizeFilterCriterion(criterion);
+        if (criterion != null && !crit) return false;
+        const columns = { ...af.columns };
+        if (crit) columns[c] = crit; else delete columns[c];
+        this.#updateAutoFilter({ ...af, columns });
+        return true;
     }
 
-    // Private helpers
-    #createEmptyModel(rows, cols) {
-        return {
-            rows,
-            cols,
+    // Show every filtered row again, keeping the filter buttons
+    clearFilters() {
+        const af = this.model.autoFilter;
+        if (!af || !Object.keys(af.columns).length) return;
+        this.#updateAutoFilter({ ...af, columns: {} });
+    }
+
+    // Rows are filtered when a criterion changes; after editing values, reapply to filter them again
+    reapplyFilter() {
+        if (this.model.autoFilter) this.#updateAutoFilter(this.model.autoFilter);
+    }
+
+    // Cells of the active sheet matching `query`, row by row: [{ r, c, ref, text }]. Options: matchCase,
+    // wholeCell, regex (`query` is a RegExp source) and lookIn: 'values' (displayed text, default) or
+    // 'formulas' (what was typed, formula source included). Hidden rows/columns are skipped; an invalid
+    // regex finds nothing.
+    find(query, opts = {}) {
+        const re = this.#findRegExp(query, opts);
+        return re ? this.#findMatches(re, opts.lookIn === 'formulas') : [];
+    }
+
+    // Replace `query` in what was typed in the matching cells (same options as find; with lookIn 'values'
+    // formula cells are left alone, and locked cells always are). With `regex`, the replacement may use
+    // $1, $&, ... One undo step; returns the number of cells changed.
+    replaceAll(query, replacement, opts = {}) {
+        return this.#replaceMatches(query, replacement, opts);
+    }
+
+    // { ref: 'A1:D20', columns: [{ col: 'B', values } | { col: 'C', op, value?, value2? }] } or null
+    getAutoFilter() {
+        const af = this.model.autoFilter;
+        if (!af) return null;
+        return {
+            ref: this.#autoFilterRef(),
+            columns: Object.entries(af.columns).map(([c, crit]) => ({ col: this.#colIndexToLabel(Number(c)), ...structuredClone(crit) }))
+        };
+    }
+
+    // Data validation for every cell of `rangeA1` (a merged region follows its top-left cell); `null` removes it.
+    // rule: { type: 'list', values } | { type: 'number', min?, max?, integer? } | { type: 'date', min?, max? }
+    //     | { type: 'regex', pattern, flags? }, plus errorStyle ('reject' | 'warning'), message and allowBlank.
+    // Returns false when the range or rule is invalid. One undo step.
+    setValidation(rangeA1, rule) {
+        const rect = this.#a1ToRect(rangeA1);
+        const next = rule == null ? null : this.#normalizeValidationRule(rule);
+        if (!rect || (rule != null && !next)) return false;
+        this.#endEdit();
+        this.#pushUndoSnapshot('validation');
+        const { coveredSet } = this.#buildMergeMaps(this.model.mergedCells || []);
+        if (!this.model.cellValidations) this.model.cellValidations = {};
+        for (let r = rect.sr; r <= rect.er; r++) {
+            for (let c = rect.sc; c <= rect.ec; c++) {
+                const key = this.#cellKey(r, c);
+                if (next && !coveredSet.has(this.#posKey(r, c))) this.model.cellValidations[key] = structuredClone(next);
+                else delete this.model.cellValidations[key];
+            }
+        }
+        this.#renderRect(rect);
+        this.#emit('validationchange', { range: this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }), rule: next && structuredClone(next) });
+        return true;
+    }
+
+    getValidation(r, c) {
+        const rule = this.#validationRule(r, c);
+        return rule ? structuredClone(rule) : null;
+    }
+
+    // Whether the cell's value passes its validation rule (true without a rule)
+    isCellValid(r, c) {
+        if (r < 0 || r >= this.model.rows || c < 0 || c >= this.model.cols) return true;
+        const m = this.#mergeAt(r, c);
+        return m ? this.#isCellValid(m.start.r, m.start.c) : this.#isCellValid(r, c);
+    }
+
+    // Conditional formats of the active sheet, in priority order (when rules set the same property, the
+    // earlier one wins). rule: { type: 'cellValue', op: 'gt'|'lt'|'between'|'equals', value, value2?, style }
+    //     | { type: 'contains', value, style } | { type: 'top'|'bottom', count?, percent?, style }
+    //     | { type: 'duplicates'|'unique', style } | { type: 'expression', formula, style }
+    //     | { type: 'colorScale', colors: [min, max] | [min, mid, max] } | { type: 'dataBar', color? }
+    // Each change is one undo step; invalid ranges or rules are refused (false / -1).
+    addConditionalFormat(rangeA1, rule) {
+        const rect = this.#a1ToRect(rangeA1);
+        const next = this.#normalizeConditionalRule(rule);
+        if (!rect || !next) return -1;
+        this.#pushUndoSnapshot('conditionalFormat');
+        if (!this.model.conditionalFormats) this.model.conditionalFormats = [];
+        this.model.conditionalFormats.push({ ...rect, rule: next });
+        const index = this.model.conditionalFormats.length - 1;
+        this.#conditionalFormatsChanged('add', index);
+        return index;
+    }
+
+    updateConditionalFormat(index, rangeA1, rule) {
+        const list = this.model.conditionalFormats || [];
+        const rect = this.#a1ToRect(rangeA1);
+        const next = this.#normalizeConditionalRule(rule);
+        if (!list[index] || !rect || !next) return false;
+        this.#pushUndoSnapshot('conditionalFormat');
+        list[index] = { ...rect, rule: next };
+        this.#conditionalFormatsChanged('update', index);
+        return true;
+    }
+
+    removeConditionalFormat(index) {
+        const list = this.model.conditionalFormats || [];
+        if (!list[index]) return false;
+        this.#pushUndoSnapshot('conditionalFormat');
+        const [removed] = list.splice(index, 1);
+        this.#conditionalFormatsChanged('remove', index, removed);
+        return true;
+    }
+
+    // Move a rule to another priority (0 = first)
+    moveConditionalFormat(index, toIndex) {
+        const list = this.model.conditionalFormats || [];
+        if (!list[index] || !Number.isInteger(toIndex) || toIndex < 0 || toIndex >= list.length || toIndex === index) return false;
+        this.#pushUndoSnapshot('conditionalFormat');
+        list.splice(toIndex, 0, ...list.splice(index, 1));
+        this.#conditionalFormatsChanged('move', toIndex);
+        return true;
+    }
+
+    clearConditionalFormats() {
+        if (!this.model.conditionalFormats?.length) return;
+        this.#pushUndoSnapshot('conditionalFormat');
+        const old = this.model.conditionalFormats;
+        this.model.conditionalFormats = [];
+        old.forEach(cf => this.#renderRect(cf));
+        this.#syncConditionalFormatPanel();
+        this.#emit('conditionalformat', { action: 'clear', index: -1, ref: null });
+    }
+
+    // [{ ref: 'B2:B20', type, ... }] in priority order
+    getConditionalFormats() {
+        return (this.model.conditionalFormats || []).map(cf => ({
+            ref: this.#rangeToA1({ r: cf.sr, c: cf.sc }, { r: cf.er, c: cf.ec }),
+            ...structuredClone(cf.rule)
+        }));
+    }
+
+    // Link a cell to a web page (http/https), an email address (mailto:), a phone number (tel:) or a cell of the
+    // workbook ('#Sheet2!A1', '#B5'); null removes the link. Other schemes (javascript:, data:, …) are refused
+    // (false), and so are locked cells. A merged region keeps the link on its top-left cell. Undoable.
+    setHyperlink(r, c, target) {
+        if (r < 0 || r >= this.model.rows || c < 0 || c >= this.model.cols || !this.isCellEditable(r, c)) return false;
+        const next = target == null || target === '' ? null : this.#sanitizeHyperlink(target);
+        if (target != null && target !== '' && !next) return false;
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('hyperlink');
+        this.#writeHyperlink(r, c, next);
+        return true;
+    }
+
+    getHyperlink(r, c) {
+        if (r < 0 || r >= this.model.rows || c < 0 || c >= this.model.cols) return null;
+        const m = this.#mergeAt(r, c);
+        const p = m ? m.start : { r, c };
+        return this.model.hyperlinks?.[this.#cellKey(p.r, p.c)] ?? null;
+    }
+
+    // Place an image (a base64 data URL: png, jpeg, gif, webp, bmp or svg) on the active sheet. The anchor is the
+    // top-left cell { r, c } plus pixel offsets into it; width/height default to the image's own size (scaled
+    // down to fit 480 x 360). Returns the drawing id, or null when the image is refused. Undoable.
+    addImage(src, { r = 0, c = 0, offsetX = 0, offsetY = 0, width = null, height = null } = {}) {
+        const image = this.#storeImage(src);
+        const drawing = image && this.#normalizeDrawing({ image, r, c, offsetX, offsetY, width, height }, this.model.rows, this.model.cols);
+        if (!drawing) return null;
+        drawing.id = this.#uniqueDrawingId(new Set(this.sheets.flatMap(entry => (entry.model.drawings || []).map(d => d.id))));
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('addImage');
+        if (!Array.isArray(this.model.drawings)) this.model.drawings = [];
+        this.model.drawings.push(drawing);
+        this.#renderDrawings();
+        this.#emit('drawingchange', { action: 'add', id: drawing.id, ref: this.#drawingRef(drawing) });
+        return drawing.id;
+    }
+
+    // Move or resize a drawing of the active sheet: changes = { r?, c?, offsetX?, offsetY?, width?, height? }
+    // (a null width/height goes back to the image's own size). Returns false when there is no such drawing. Undoable.
+    updateImage(id, changes = {}) {
+        const drawing = this.#findDrawing(id);
+        if (!drawing || !changes || typeof changes !== 'object') return false;
+        const next = this.#normalizeDrawing({ ...drawing, ...changes, image: drawing.image }, this.model.rows, this.model.cols);
+        if (!next) return false;
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('updateImage');
+        Object.assign(drawing, next, { id: drawing.id });
+        this.#layoutDrawings();
+        this.#emit('drawingchange', { action: 'update', id: drawing.id, ref: this.#drawingRef(drawing) });
+        return true;
+    }
+
+    removeImage(id) {
+        const drawing = this.#findDrawing(id);
+        if (!drawing) return false;
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('removeImage');
+        this.model.drawings = this.model.drawings.filter(d => d !== drawing);
+        if (this._activeDrawing === id) this._activeDrawing = null;
+        this.#renderDrawings();
+        this.#emit('drawingchange', { action: 'remove', id, ref: this.#drawingRef(drawing) });
+        return true;
+    }
+
+    // Drawings of the active sheet: [{ id, ref, r, c, offsetX, offsetY, width, height, src }]
+    // (width/height are null until the image has loaded when they were left to the image)
+    getImages() {
+        return (this.model.drawings || []).map(d => ({
+            id: d.id, ref: this.#drawingRef(d), r: d.r, c: d.c,
+            offsetX: d.offsetX, offsetY: d.offsetY, width: d.width, height: d.height, src: this._images[d.image]
+        }));
+    }
+
+    // Effective cell style = spreadsheet default + column + row + cell (later overrides earlier),
+    // plus whatever the sheet's conditional formats apply to the cell
+    getEffectiveCellStyle(r, c) {
+        if (r < 0 || r >= this.model.rows || c < 0 || c >= this.model.cols) return null;
+        const style = this.#cascadedCellStyle(r, c);
+        const conditional = this.#conditionalStyle(r, c);
+        return conditional ? { ...style, ...conditional } : style;
+    }
+
+    // Static style cascade only (what is stored and exported as the cell's own formatting)
+    #cascadedCellStyle(r, c) {
+        if (r < 0 || r >= this.model.rows) return null;
+        if (c < 0 || c >= this.model.cols) return null;
+        const key = this.#cellKey(r, c);
+        const out = {};
+        const layers = [this._defaultCellStyle, this.model.columnStyles?.[c], this.model.rowStyles?.[r], this.model.cellStyles?.[key]];
+        for (const layer of layers) {
+            if (!layer || typeof layer !== 'object') continue;
+            for (const [k, v] of Object.entries(layer)) {
+                if (v == null || v === '') continue;
+                out[k] = v;
+            }
+        }
+        return this.#sanitizeStyle(out);
+    }
+
+    // Column style APIs
+    setColumnStyle(index, styleObj) {
+        if (this._readOnly || index < 0 || index >= this.model.cols) return;
+        this.#pushCellsUndo([], { cols: [index] });
+        const sanitized = this.#sanitizeStyle(styleObj);
+        if (!Array.isArray(this.model.columnStyles)) this.model.columnStyles = Array.from({ length: this.model.cols }, () => null);
+        this.model.columnStyles[index] = sanitized;
+        this.#renderColumn(index);
+        this.#setSelection(this._selection);
+        this.#emit('stylechange', { scope: 'column', c: index, range: this.#rangeToA1({ r: 0, c: index }, { r: this.model.rows - 1, c: index }) });
+    }
+
+    getColumnStyle(index) {
+        if (index < 0 || index >= this.model.cols) return null;
+        return (this.model.columnStyles && this.model.columnStyles[index]) || null;
+    }
+
+    // Row style APIs
+    setRowStyle(index, styleObj) {
+        if (this._readOnly || index < 0 || index >= this.model.rows) return;
+        this.#pushCellsUndo([], { rows: [index] });
+        const sanitized = this.#sanitizeStyle(styleObj);
+        if (!Array.isArray(this.model.rowStyles)) this.model.rowStyles = Array.from({ length: this.model.rows }, () => null);
+        this.model.rowStyles[index] = sanitized;
+        this.#renderRow(index);
+        this.#setSelection(this._selection);
+        this.#emit('stylechange', { scope: 'row', r: index, range: this.#rangeToA1({ r: index, c: 0 }, { r: index, c: this.model.cols - 1 }) });
+    }
+
+    getRowStyle(index) {
+        if (index < 0 || index >= this.model.rows) return null;
+        return (this.model.rowStyles && this.model.rowStyles[index]) || null;
+    }
+
+    // Column width in px, kept in the column style (`columns[].width`); null goes back to the default width. Undoable.
+    setColumnWidth(index, width) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.model.cols) return false;
+        const px = width == null ? null : Math.round(Number(width));
+        if (px != null && !(px > 0)) return false;
+        this.#endTypingTxn();
+        this.#pushCellsUndo([], { cols: [index] });
+        if (!Array.isArray(this.model.columnStyles)) this.model.columnStyles = Array.from({ length: this.model.cols }, () => null);
+        const { width: _, ...rest } = this.model.columnStyles[index] || {};
+        this.model.columnStyles[index] = this.#sanitizeStyle(px == null ? rest : { ...rest, width: `${px}px` });
+        this.#renderColumn(index);
+        this.#setSelection(this._selection);
+        this.#emit('stylechange', { scope: 'column', c: index, range: this.#rangeToA1({ r: 0, c: index }, { r: this.model.rows - 1, c: index }) });
+        return true;
+    }
+
+    // Row height in px, kept in the row style (`rows[].height`); null goes back to the default height. Undoable.
+    setRowHeight(index, height) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.model.rows) return false;
+        const px = height == null ? null : Math.round(Number(height));
+        if (px != null && !(px > 0)) return false;
+        this.#endTypingTxn();
+        this.#pushCellsUndo([], { rows: [index] });
+        if (!Array.isArray(this.model.rowStyles)) this.model.rowStyles = Array.from({ length: this.model.rows }, () => null);
+        const { height: _, ...rest } = this.model.rowStyles[index] || {};
+        this.model.rowStyles[index] = this.#sanitizeStyle(px == null ? rest : { ...rest, height: `${px}px` });
+        this.#renderRow(index);
+        this.#setSelection(this._selection);
+        this.#emit('stylechange', { scope: 'row', r: index, range: this.#rangeToA1({ r: index, c: 0 }, { r: index, c: this.model.cols - 1 }) });
+        return true;
+    }
+
+    // Fit a column to its widest content (an empty column goes back to the default width). Returns the new width
+    // in px (null for the default), or undefined for an invalid index. Undoable.
+    autoFitColumn(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.model.cols) return undefined;
+        const width = this.#fitColumnWidth(index);
+        this.setColumnWidth(index, width);
+        return width;
+    }
+
+    // Fit a row to its tallest (wrapped) content (an empty row goes back to the default height). Returns the new
+    // height in px (null for the default), or undefined for an invalid index. Undoable.
+    autoFitRow(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.model.rows) return undefined;
+        const height = this.#fitRowHeight(index);
+        this.setRowHeight(index, height);
+        return height;
+    }
+
+    // Freeze the first `rows` rows and `cols` columns of the active sheet; freezePanes(0, 0) unfreezes.
+    // At least one row and one column keep scrolling.
+    freezePanes(rows = 0, cols = 0) {
+        const clamp = (v, max) => Math.max(0, Math.min(Math.trunc(Number(v)) || 0, max - 1));
+        const fr = clamp(rows, this.model.rows);
+        const fc = clamp(cols, this.model.cols);
+        if (fr === this.#frozenRows() && fc === this.#frozenColumns()) return;
+        this.#pushUndoSnapshot('freezePanes');
+        this.model.frozenRows = fr;
+        this.model.frozenColumns = fc;
+        // Virtual mode: the window always renders the frozen rows/columns, so it is rebuilt
+        if (this._virtual) this.#render(); else this.#applyFrozenPanes();
+        this.#emit('freeze', { rows: fr, cols: fc });
+    }
+
+    getFrozenPanes() {
+        return { rows: this.#frozenRows(), cols: this.#frozenColumns() };
+    }
+
+    // Hide/unhide `count` rows or columns from `index`. Hidden rows/columns keep their data, are
+    // skipped by the arrow keys and round-trip through Spreadsheet JSON and .xlsx; one undo step each.
+    hideRows(index, count = 1) { this.#setHidden('row', index, count, true); }
+    unhideRows(index, count = 1) { this.#setHidden('row', index, count, false); }
+    hideColumns(index, count = 1) { this.#setHidden('col', index, count, true); }
+    unhideColumns(index, count = 1) { this.#setHidden('col', index, count, false); }
+    isRowHidden(index) { return this.#isRowHidden(index); }
+    isColumnHidden(index) { return this.#isColumnHidden(index); }
+
+    // Locked cells (`enable: false` in Spreadsheet JSON) refuse typing, paste, clearing and the removal
+    // of their rows/columns from the UI; API calls such as setCellValue still write them. A cell's own
+    // setting wins over its row's and column's, and a merged region follows its top-left cell.
+    setCellEditable(r, c, editable = true) {
+        if (!Number.isInteger(r) || !Number.isInteger(c)) return;
+        if (r < 0 || r >= this.model.rows || c < 0 || c >= this.model.cols) return;
+        const m = this.#mergeAt(r, c);
+        if (m) ({ r, c } = m.start);
+        const key = this.#cellKey(r, c);
+        const locked = !editable;
+        // Only settings that differ from the row/column lock are kept
+        const own = locked === this.#isLineLocked(r, c) ? undefined : locked;
+        if (this.model.cellLocks?.[key] === own) return;
+        this.#endEdit();
+        this.#pushUndoSnapshot(locked ? 'lock' : 'unlock');
+        if (!this.model.cellLocks) this.model.cellLocks = {};
+        if (own === undefined) delete this.model.cellLocks[key]; else this.model.cellLocks[key] = own;
+        this.#renderRect({ sr: r, sc: c, er: r, ec: c });
+        this.#emit('lockchange', { scope: 'cell', r, c, range: this.#rangeToA1({ r, c }, { r, c }), editable: !locked });
+    }
+
+    setRowEditable(index, editable = true) { this.#setLineLocked('row', index, !editable); }
+    setColumnEditable(index, editable = true) { this.#setLineLocked('col', index, !editable); }
+
+    isCellEditable(r, c) {
+        if (r < 0 || r >= this.model.rows || c < 0 || c >= this.model.cols) return false;
+        const m = this.#mergeAt(r, c);
+        return m ? !this.#isCellLocked(m.start.r, m.start.c) : !this.#isCellLocked(r, c);
+    }
+
+    // Read-only mode locks every cell of every sheet and hides the structure and style controls
+    setReadOnly(readOnly = true) {
+        if (!!readOnly === this._readOnly) return;
+        this.#endEdit();
+        this.#closeContextMenu();
+        this._readOnly = !!readOnly;
+        this.#render();
+    }
+
+    isReadOnly() { return this._readOnly; }
+
+    destroy() {
+        if (this._onDocMouseDown) document.removeEventListener('mousedown', this._onDocMouseDown);
+        this._onDocMouseDown = null;
+        this._frozenObserver?.disconnect();
+        this._frozenObserver = null;
+        this._drawingObserver?.disconnect();
+        this._drawingObserver = null;
+        this.container.innerHTML = '';
+        this._wrapEl = null;
+        this._listeners.clear();
+    }
+
+    // ----- Events -----
+    // Handlers receive one payload object: { type, sheet (active sheet name), ...details }.
+    // cellchange { r, c, oldValue, newValue }  (raw input: formula source or text; one per changed cell)
+    // stylechange { scope: 'cell'|'row'|'column'|'range', range, r?, c? }
+    // selectionchange { selection, range }
+    // rowinsert/rowremove/colinsert/colremove { index, count }
+    // merge { action: 'merge'|'unmerge', ranges }
+    // undo/redo { canUndo, canRedo }
+    // load { source: 'json'|'xlsx'|'csv', sheets }
+    // sheetchange { action: 'add'|'remove'|'rename'|'move'|'activate', name, index, ... }
+    // freeze { rows, cols }
+    // hide { axis: 'row'|'column', index, count, hidden }
+    // lockchange { scope: 'cell'|'row'|'column', range, editable, r?, c? }
+    // sort { keys: [{ col, dir }], headerRows }
+    // filter { ref, columns, filtered }
+    // validationchange { range, rule }  (rule: null when removed)
+    // conditionalformat { action: 'add'|'update'|'remove'|'move'|'clear', index, ref }
+    // hyperlinkchange { r, c, ref, target }  (target: null when removed)
+    // drawingchange { action: 'add'|'update'|'remove', id, ref }  (ref: the anchor cell)
+    // Returns a function that removes the handler.
+    on(type, handler) {
+        if (typeof handler !== 'function') return () => {};
+        if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+        this._listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    // Remove one handler, or every handler for `type` when no handler is given
+    off(type, handler) {
+        const set = this._listeners.get(type);
+        if (!set) return;
+        if (!handler) { set.clear(); return; }
+        for (const fn of set) {
+            if (fn === handler || fn._onceOf === handler) set.delete(fn);
+        }
+    }
+
+    once(type, handler) {
+        if (typeof handler !== 'function') return () => {};
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            handler(event);
+        };
+        wrapper._onceOf = handler;
+        return this.on(type, wrapper);
+    }
+
+    // Private helpers
+    #createEmptyModel(rows, cols) {
+        return {
+            rows,
+            cols,
             data: Array.from({ length: rows }, () => Array.from({ length: cols }, () => '')),
             columnStyles: Array.from({ length: cols }, () => null),
             rowStyles: Array.from({ length: rows }, () => null),
             cellStyles: {},
-            mergedCells: []
+            formulas: {},
+            mergedCells: [],
+            frozenRows: 0,
+            frozenColumns: 0,
+            hiddenRows: [],
+            hiddenColumns: [],
+            lockedRows: [],
+            lockedColumns: [],
+            cellLocks: {},
+            cellValidations: {},
+            hyperlinks: {},
+            drawings: [],
+            conditionalFormats: [],
+            autoFilter: null,
+            filteredRows: []
         };
     }
 
@@ -617,173 +2036,57 @@ export class CustomTable {
         return Object.keys(out).length ? out : null;
     }
 
-    #render() {
+    // Build the persistent shell once: toolbar, table skeleton, sheet tabs, caption and style panel.
+    // Every DOM event is delegated from here, so nodes can be patched or replaced without rebinding.
+    #mount() {
         const container = this.container;
-
         container.innerHTML = '';
 
-        const wrap = document.createElement('div');
-
         if (this._height) container.style.height = this._height;
         if (this._width) container.style.width = this._width;
-        wrap.className = 'ctable table-wrap';
+        const wrap = document.createElement('div');
+        wrap.className = this._virtual ? 'ctable table-wrap is-virtual' : 'ctable table-wrap';
         this._wrapEl = wrap;
 
-        // Make wrapper fill parent and lay out toolbar + table vertically
-        wrap.style.width = '100%';
-        wrap.style.height = '100%';
-        wrap.style.display = 'flex';
-        wrap.style.flexDirection = 'column';
-        wrap.style.boxSizing = 'border-box';
-
-        // Keyboard shortcuts for undo/redo
+        // Keyboard shortcuts for find/replace and undo/redo
         wrap.addEventListener('keydown', (e) => {
             const key = (e.key || '').toLowerCase();
             const meta = e.ctrlKey || e.metaKey;
             if (!meta) return;
+            if ((key === 'f' || key === 'h') && !e.altKey) { e.preventDefault(); this.#openFindBar(key === 'h'); return; }
+            // Undo inside the find bar's inputs edits their text
+            if (this._readOnly || e.target.closest?.('.ct-find-bar, .ct-name-box')) return;
             if (key === 'z' && !e.shiftKey) { e.preventDefault(); this.undo(); }
             else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this.redo(); }
         });
 
-        // Apply default cell style (e.g., font family/size) to wrapper so it cascades
-        if (this._defaultCellStyle) {
-            this.#applyStyleObject(wrap, this._defaultCellStyle);
-        }
+        // Clipboard: copy/cut/paste whole selections (TSV + HTML) instead of raw contenteditable content
+        wrap.addEventListener('copy', (e) => this.#onCopy(e));
+        wrap.addEventListener('cut', (e) => this.#onCopy(e, true));
+        wrap.addEventListener('paste', (e) => this.#onPaste(e));
 
         // Toolbar (Excel-like)
-        const toolbar = this.#buildToolbar();
-        wrap.appendChild(toolbar);
+        wrap.appendChild(this.#buildToolbar());
+        this._findBarEl = this.#buildFindBar();
+        wrap.appendChild(this._findBarEl);
 
         const table = document.createElement('table');
         const thead = document.createElement('thead');
         const tbody = document.createElement('tbody');
-
-        // Header row: corner cell, column headers, trailing add-col cell
-        const trHead = document.createElement('tr');
-        const thCorner = document.createElement('th');
-        thCorner.className = 'corner-head';
-        trHead.appendChild(thCorner);
-
-        for (let c = 0; c < this.model.cols; c++) {
-            const th = document.createElement('th');
-            th.dataset.c = String(c);
-            const headWrap = document.createElement('div');
-            headWrap.className = 'col-head';
-            const label = document.createElement('span');
-            label.textContent = this.#colIndexToLabel(c);
-            // Select column when clicking label/head (but not buttons)
-            headWrap.addEventListener('click', (e) => { if (!e.target.closest('button')) this.#setSelection({ type: 'col', c }); });
-            const btnRemove = document.createElement('button');
-            btnRemove.type = 'button';
-            btnRemove.className = 'icon-btn remove-col';
-            btnRemove.title = 'Remove this column';
-            btnRemove.innerHTML = '<span class="material-icons" aria-hidden="true">remove</span>';
-            btnRemove.addEventListener('click', () => this.removeColumn(c));
-            headWrap.appendChild(label);
-            headWrap.appendChild(btnRemove);
-            th.appendChild(headWrap);
-            // Apply column style to header cell
-            this.#applyStyleObject(th, this.model.columnStyles?.[c]);
-            trHead.appendChild(th);
+        // Virtual mode lays columns out from a colgroup (table-layout: fixed) so widths are exact
+        if (this._virtual) {
+            this._colgroupEl = document.createElement('colgroup');
+            table.appendChild(this._colgroupEl);
         }
-
-        const thAdd = document.createElement('th');
-
-        trHead.appendChild(thAdd);
-        thead.appendChild(trHead);
-
-        // Precompute merge maps for rendering
-        const { topLeftMap: mergeTopLeftMap, coveredSet: mergeCoveredSet } = this.#buildMergeMaps(this.model?.mergedCells || []);
-
-        // Body rows
-        for (let r = 0; r < this.model.rows; r++) {
-            const tr = document.createElement('tr');
-            tr.dataset.r = String(r);
-
-            const thRow = document.createElement('th');
-            const rowHead = document.createElement('div');
-            rowHead.className = 'row-head';
-            const rowLabel = document.createElement('span');
-            rowLabel.textContent = `R${r + 1}`;
-            rowLabel.title = 'Select row';
-            rowLabel.addEventListener('click', () => { this.#setSelection({ type: 'row', r }); });
-            const rowRemoveBtnLeft = document.createElement('button');
-            rowRemoveBtnLeft.type = 'button';
-            rowRemoveBtnLeft.className = 'icon-btn';
-            rowRemoveBtnLeft.innerHTML = '<span class="material-icons" aria-hidden="true">remove</span>';
-            rowRemoveBtnLeft.title = 'Remove this row';
-            rowRemoveBtnLeft.addEventListener('click', () => this.removeRow(r));
-            // Select row when clicking the row header area (but not the remove button)
-            rowHead.addEventListener('click', (e) => { if (!e.target.closest('button')) this.#setSelection({ type: 'row', r }); });
-            rowHead.appendChild(rowLabel);
-            rowHead.appendChild(rowRemoveBtnLeft);
-            thRow.appendChild(rowHead);
-            tr.appendChild(thRow);
-
-            for (let c = 0; c < this.model.cols; c++) {
-                const posKey = this.#posKey(r, c);
-                // Skip covered cells that are inside a merged region (not top-left)
-                if (mergeCoveredSet.has(posKey)) continue;
-                const td = document.createElement('td');
-                td.className = 'cell';
-                td.contentEditable = 'true';
-                td.dataset.r = String(r);
-                td.dataset.c = String(c);
-                // If this cell is the top-left of a merged region, set spans
-                const span = mergeTopLeftMap.get(posKey);
-                if (span) {
-                    if (span.rowSpan > 1) td.rowSpan = span.rowSpan;
-                    if (span.colSpan > 1) td.colSpan = span.colSpan;
-                }
-                const val = this.model.data[r][c];
-                if (val) { td.textContent = val; } else { td.classList.add('placeholder'); td.textContent = '' }
-                td.addEventListener('input', (e) => {
-                    const rr = Number(e.currentTarget.dataset.r);
-                    const cc = Number(e.currentTarget.dataset.c);
-                    const value = e.currentTarget.textContent ?? '';
-                    if (Number.isFinite(rr) && Number.isFinite(cc)) {
-                        this.#setCellValue(rr, cc, value);
-                    }
-                });
-                td.addEventListener('blur', () => this.#endTypingTxn());
-                td.addEventListener('focus', (e) => { e.currentTarget.classList.remove('placeholder'); this.#setSelection({ type: 'cell', r, c }); });
-                // Apply spreadsheet default cell style first so non-inheritable defaults (e.g., verticalAlign) take effect
-                this.#applyStyleObject(td, this._defaultCellStyle);
-                // Apply column then row style to each cell
-                this.#applyStyleObject(td, this.model.columnStyles?.[c]);
-                this.#applyStyleObject(td, this.model.rowStyles?.[r]);
-                // Apply cell-specific style (overrides column/row)
-                const ck = this.#cellKey(r, c);
-                const cs = this.model.cellStyles?.[ck];
-                this.#applyStyleObject(td, cs);
-                tr.appendChild(td);
-            }
-            if (r == 0) {
-                const td = document.createElement('td');
-                td.className = 'add-col';
-                td.innerHTML = '<span class="material-icons" aria-hidden="true">add</span>';
-                td.title = 'Add column';
-                td.tabIndex = 0;
-                td.addEventListener('click', () => this.addColumn());
-                td.rowSpan = this.model.rows;
-                tr.appendChild(td);
-            }
-            tbody.appendChild(tr);
-        }
-
-        const trAddRow = document.createElement('tr');
-        const tdAddRow = document.createElement('td');
-        tdAddRow.colSpan = this.model.cols + 1;
-        tdAddRow.className = 'add-row';
-        tdAddRow.innerHTML = '<span class="material-icons" aria-hidden="true">add</span>';
-        tdAddRow.title = 'Add row';
-        tdAddRow.tabIndex = 0;
-        tdAddRow.addEventListener('click', () => this.addRow());
-        trAddRow.appendChild(tdAddRow);
-        tbody.appendChild(trAddRow);
-
         table.appendChild(thead);
         table.appendChild(tbody);
+        this._theadEl = thead;
+        this._tbodyEl = tbody;
+        this.#bindHeaderEvents(table);
+        this.#bindCellEvents(tbody);
+        this.#bindRangeSelection(tbody);
+        this.#bindContextMenu(table);
+
         const ctTable = document.createElement('div');
 
         // Fill parent by default; allow options.width/height to override
@@ -795,14 +2098,62 @@ export class CustomTable {
         ctTable.className = 'ctTable';
         ctTable.style.border = '1px solid #e5e7eb';
         ctTable.appendChild(table);
+        // Images float over the cells in a layer that scrolls with them; cells that change size (typing widens
+        // auto-sized columns) move them
+        this._drawingLayerEl = document.createElement('div');
+        this._drawingLayerEl.className = 'ct-drawings';
+        this.#bindDrawingEvents(this._drawingLayerEl);
+        ctTable.appendChild(this._drawingLayerEl);
+        if (typeof ResizeObserver !== 'undefined') {
+            this._drawingObserver = new ResizeObserver(() => this.#layoutDrawings());
+            this._drawingObserver.observe(table);
+        }
         wrap.appendChild(ctTable);
-        const caption = document.createElement('caption');
-        caption.textContent = `${this.model.rows} rows × ${this.model.cols} cols`;
-        wrap.appendChild(caption);
+        this._scrollEl = ctTable;
+        if (this._virtual) {
+            // Holds focus while the active cell is scrolled out of the window, so the keyboard keeps working
+            ctTable.tabIndex = -1;
+            ctTable.addEventListener('keydown', (e) => { if (e.target === ctTable) this.#onCellKeydown(e); });
+            ctTable.addEventListener('scroll', () => this.#onScroll());
+        }
+        this._tabsEl = this.#buildSheetTabs();
+        wrap.appendChild(this._tabsEl);
+        this._captionEl = document.createElement('caption');
+        wrap.appendChild(this._captionEl);
         container.appendChild(wrap);
 
-        // Ensure style editor panel exists (appended inside wrap so we can position absolutely)
+        // Right-click menu (fixed position, hidden until opened)
+        this._menuEl = this.#buildContextMenu();
+        wrap.appendChild(this._menuEl);
+        this._filterPanelEl = this.#buildFilterPanel();
+        wrap.appendChild(this._filterPanelEl);
+        this._cfPanelEl = this.#buildConditionalFormatPanel();
+        wrap.appendChild(this._cfPanelEl);
+        this._linkPanelEl = this.#buildLinkPanel();
+        wrap.appendChild(this._linkPanelEl);
+
+        // Style editor panel (appended inside wrap so we can position absolutely)
         this.#ensureStylePanel();
+    }
+
+    // Rebuild the grid of the active sheet. Only sheet-level changes come here (sheet switch, load,
+    // undo/redo, merges, structural edits across merged regions); everything else patches nodes in place.
+    #render() {
+        if (!this._wrapEl || !this.container.contains(this._wrapEl)) this.#mount();
+        // A re-render ends edit mode (the value is already in the model) and closes the filter dropdown
+        this._editing = null;
+        this.#closeFilterPanel(false);
+        this.#closeLinkPanel(false);
+        this._cfStats.clear();
+        this.#applyWrapStyle();
+
+        if (this._virtual) this.#buildVirtualMetrics();
+        this.#renderGrid(this.#gridWindow());
+
+        this.#renderSheetTabs();
+        this.#updateCaption();
+        this.#syncFilterButtons();
+        this.#syncConditionalFormatPanel();
 
         // Try to restore focus/selection after render
         this.#restoreSelectionFocus();
@@ -810,68 +2161,649 @@ export class CustomTable {
         this.#applySelectionStyles();
     }
 
-    #buildToolbar() {
-        const tb = document.createElement('div');
-        tb.className = 'ct-toolbar';
-        tb.innerHTML = `
-            <div class="ct-tools">
-                <span class="ct-target" data-role="target">—</span>
-                <div class="ct-group">
-                    <button type="button" class="icon-btn" data-style-prop="textAlign" data-style-val="left" title="Align left"><span class="material-icons" aria-hidden="true">format_align_left</span></button>
-                    <button type="button" class="icon-btn" data-style-prop="textAlign" data-style-val="center" title="Align center"><span class="material-icons" aria-hidden="true">format_align_center</span></button>
-                    <button type="button" class="icon-btn" data-style-prop="textAlign" data-style-val="right" title="Align right"><span class="material-icons" aria-hidden="true">format_align_right</span></button>
-                </div>
-                <div class="ct-group">
-                    <button type="button" class="icon-btn" data-style-prop="fontWeight" data-style-val="bold" title="Bold"><span class="material-icons" aria-hidden="true">format_bold</span></button>
-                    <button type="button" class="icon-btn" data-style-prop="fontStyle" data-style-val="italic" title="Italic"><span class="material-icons" aria-hidden="true">format_italic</span></button>
-                </div>
-                <div class="ct-group">
-                    <input class="ct-input ct-color" data-style-prop="color" type="color" title="Text color" />
-                    <input class="ct-input ct-color" data-style-prop="background" type="color" title="Background" />
-                </div>
-                <div class="ct-group" data-scope="col-only" title="Column width">
-                    <input class="ct-input ct-width" data-style-prop="width" type="text" placeholder="120px" />
-                </div>
-                <div class="ct-group">
-                    <button type="button" class="icon-btn" data-action="clear" title="Clear formatting"><span class="material-icons" aria-hidden="true">backspace</span></button>
-                </div>
-            </div>
-        `;
-
-        // Event delegation for buttons
-        tb.addEventListener('click', (e) => {
-            const t = e.target.closest('button');
-            if (!t) return;
-            const action = t.getAttribute('data-action');
-            if (action === 'clear') { this.#applyStyleToSelection('clear'); return; }
-            const prop = t.getAttribute('data-style-prop');
-            const val = t.getAttribute('data-style-val');
+    // Build thead/tbody for the rows and columns of `win` (the whole sheet unless virtual)
+    #renderGrid(win) {
+        const v = this._virtual;
+        this._window = v ? win : null;
+        // Columns in render order; virtual mode: frozen columns, spacer, window columns, spacer (null = spacer)
+        const colList = [];
+        if (v) {
+            for (let c = 0; c < win.fc; c++) colList.push(c);
+            colList.push(null);
+            for (let c = win.sc; c <= win.ec; c++) colList.push(c);
+            colList.push(null);
+        } else {
+            for (let c = 0; c < this.model.cols; c++) colList.push(c);
+        }
 
-            if (prop) {
-                // Toggle behavior: if the current value at this selection scope equals `val`, clear it; else set it.
-                let current = null;
-                const sel = this._selection;
-                if (sel?.type === 'cell') {
-                    current = this.getCellStyle(sel.r, sel.c)?.[prop] ?? null;
-                } else if (sel?.type === 'col') {
-                    current = this.getColumnStyle(sel.c)?.[prop] ?? null;
-                } else if (sel?.type === 'row') {
-                    current = this.getRowStyle(sel.r)?.[prop] ?? null;
-                }
-                const next = (current === val) ? null : val;
-                this.#applyStyleToSelection({ [prop]: next });
-                // Re-sync toolbar state after re-render
-                this.#setSelection(this._selection);
-            }
-        });
+        // Header row: corner cell, column headers, trailing add-col cell
+        const trHead = document.createElement('tr');
+        const thCorner = document.createElement('th');
+        thCorner.className = 'corner-head';
+        trHead.appendChild(thCorner);
+        for (const c of colList) trHead.appendChild(c == null ? this.#buildSpacer('th') : this.#buildColumnHeader(c));
+        trHead.appendChild(document.createElement('th'));
+        this._theadEl.replaceChildren(trHead);
 
-        // Inputs change
-        tb.addEventListener('change', (e) => {
-            const input = e.target.closest('.ct-input');
-            if (!input) return;
-            const prop = input.getAttribute('data-style-prop');
-            if (!prop) return;
-            let val = (input.value || '').trim();
+        // Body rows, then the add-row row; virtual mode renders the frozen rows, a spacer row,
+        // the window rows and another spacer row
+        const merges = this.#buildMergeMaps(v ? this.#windowMerges(win) : (this.model?.mergedCells || []));
+        const body = document.createDocumentFragment();
+        if (v) {
+            const { rowTops } = this._vMetrics;
+            const spanAll = colList.length + 2; // plus row head and add-col
+            for (let r = 0; r < win.fr; r++) body.appendChild(this.#buildRow(r, merges, colList));
+            body.appendChild(this.#buildSpacerRow(rowTops[win.sr] - rowTops[win.fr], spanAll));
+            for (let r = win.sr; r <= win.er; r++) body.appendChild(this.#buildRow(r, merges, colList));
+            body.appendChild(this.#buildSpacerRow(rowTops[this.model.rows] - rowTops[win.er + 1], spanAll));
+        } else {
+            for (let r = 0; r < this.model.rows; r++) body.appendChild(this.#buildRow(r, merges, colList));
+        }
+        const trAddRow = document.createElement('tr');
+        const tdAddRow = document.createElement('td');
+        tdAddRow.className = 'add-row';
+        tdAddRow.innerHTML = '<span class="material-icons" aria-hidden="true">add</span>';
+        tdAddRow.title = 'Add row';
+        tdAddRow.tabIndex = 0;
+        trAddRow.appendChild(tdAddRow);
+        body.appendChild(trAddRow);
+        this._tbodyEl.replaceChildren(body);
+        this.#syncAddCells();
+        if (v) this.#renderColgroup(win);
+        this.#markHiddenHeaders();
+        this.#applyFrozenPanes();
+        this.#renderDrawings();
+    }
+
+    // Wrapper fills the parent and lays out toolbar + table vertically; the default cell style cascades from it
+    #applyWrapStyle() {
+        const wrap = this._wrapEl;
+        wrap.removeAttribute('style');
+        wrap.style.width = '100%';
+        wrap.style.height = '100%';
+        wrap.style.display = 'flex';
+        wrap.style.flexDirection = 'column';
+        wrap.style.boxSizing = 'border-box';
+        // Apply default cell style (e.g., font family/size) to wrapper so it cascades
+        if (this._defaultCellStyle) this.#applyStyleObject(wrap, this._defaultCellStyle);
+        wrap.classList.toggle('is-readonly', this._readOnly);
+    }
+
+    #buildColumnHeader(c) {
+        const th = document.createElement('th');
+        th.dataset.c = String(c);
+        if (this.#isColumnHidden(c)) th.hidden = true;
+        const headWrap = document.createElement('div');
+        headWrap.className = 'col-head';
+        const label = document.createElement('span');
+        label.textContent = this.#colIndexToLabel(c);
+        const btnRemove = document.createElement('button');
+        btnRemove.type = 'button';
+        btnRemove.className = 'icon-btn remove-col';
+        btnRemove.title = 'Remove this column';
+        btnRemove.innerHTML = '<span class="material-icons" aria-hidden="true">remove</span>';
+        const btnSort = document.createElement('button');
+        btnSort.type = 'button';
+        btnSort.className = 'icon-btn sort-col';
+        btnSort.title = 'Sort rows by this column (click again to reverse)';
+        btnSort.innerHTML = '<span class="material-icons" aria-hidden="true">swap_vert</span>';
+        headWrap.appendChild(label);
+        headWrap.appendChild(btnSort);
+        const af = this.model.autoFilter;
+        if (af && c >= af.sc && c <= af.ec) headWrap.appendChild(this.#buildFilterButton(c));
+        headWrap.appendChild(btnRemove);
+        th.appendChild(headWrap);
+        th.appendChild(this.#buildResizeHandle('col'));
+        // Apply column style to header cell
+        this.#applyStyleObject(th, this.model.columnStyles?.[c]);
+        return th;
+    }
+
+    // Row `r` with its header; `merges` comes from #buildMergeMaps (new rows are never merged),
+    // `colList` lists the columns to render (null = virtual spacer), by default all of them
+    #buildRow(r, merges = this.#buildMergeMaps([]), colList = null) {
+        const tr = document.createElement('tr');
+        tr.dataset.r = String(r);
+        if (this.#isRowHidden(r)) tr.hidden = true;
+
+        const thRow = document.createElement('th');
+        const rowHead = document.createElement('div');
+        rowHead.className = 'row-head';
+        const rowLabel = document.createElement('span');
+        rowLabel.textContent = `R${r + 1}`;
+        rowLabel.title = 'Select row';
+        const rowRemoveBtnLeft = document.createElement('button');
+        rowRemoveBtnLeft.type = 'button';
+        rowRemoveBtnLeft.className = 'icon-btn remove-row';
+        rowRemoveBtnLeft.innerHTML = '<span class="material-icons" aria-hidden="true">remove</span>';
+        rowRemoveBtnLeft.title = 'Remove this row';
+        rowHead.appendChild(rowLabel);
+        rowHead.appendChild(rowRemoveBtnLeft);
+        thRow.appendChild(rowHead);
+        thRow.appendChild(this.#buildResizeHandle('row'));
+        tr.appendChild(thRow);
+
+        if (this._virtual) tr.style.height = `${this.#rowHeight(r)}px`;
+        const cols = colList ?? Array.from({ length: this.model.cols }, (_, c) => c);
+        for (const c of cols) {
+            if (c == null) { tr.appendChild(this.#buildSpacer('td')); continue; }
+            const posKey = this.#posKey(r, c);
+            // Skip covered cells that are inside a merged region (not top-left)
+            if (merges.coveredSet.has(posKey)) continue;
+            tr.appendChild(this.#buildCell(r, c, merges.topLeftMap.get(posKey)));
+        }
+        return tr;
+    }
+
+    #buildCell(r, c, span) {
+        const td = document.createElement('td');
+        td.className = 'cell';
+        td.contentEditable = 'true';
+        td.dataset.r = String(r);
+        td.dataset.c = String(c);
+        if (this.#isColumnHidden(c)) td.hidden = true;
+        // If this cell is the top-left of a merged region, set spans
+        if (span) {
+            if (span.rowSpan > 1) td.rowSpan = span.rowSpan;
+            if (span.colSpan > 1) td.colSpan = span.colSpan;
+        }
+        this.#paintCell(td, r, c);
+        return td;
+    }
+
+    // (Re)apply the style cascade and displayed text of one cell; the cell being edited keeps its text
+    #paintCell(td, r, c) {
+        td.removeAttribute('style');
+        // Apply spreadsheet default cell style first so non-inheritable defaults (e.g., verticalAlign) take effect
+        this.#applyStyleObject(td, this._defaultCellStyle);
+        // Apply column then row style to each cell
+        this.#applyStyleObject(td, this.model.columnStyles?.[c]);
+        this.#applyStyleObject(td, this.model.rowStyles?.[r]);
+        // Apply cell-specific style (overrides column/row)
+        this.#applyStyleObject(td, this.model.cellStyles?.[this.#cellKey(r, c)]);
+        // Conditional formats paint over the cascade
+        this.#applyStyleObject(td, this.#conditionalStyle(r, c));
+        // Merged cells draw their right/bottom edges from the cells on those edges
+        if (td.rowSpan > 1 || td.colSpan > 1) this.#applyMergedEdgeBorders(td, r, c, { rowSpan: td.rowSpan, colSpan: td.colSpan });
+        this.#applyFrozenStyle(td, r, c);
+        const locked = this.#isCellLocked(r, c);
+        td.classList.toggle('ct-locked', locked);
+        if (locked) td.setAttribute('aria-readonly', 'true'); else td.removeAttribute('aria-readonly');
+        this.#paintFindMatch(td, r, c);
+        this.#paintValidation(td, r, c);
+        if (this._editing?.r === r && this._editing?.c === c) return;
+        const val = this.#displayText(r, c);
+        td.textContent = val;
+        td.classList.toggle('placeholder', !val);
+        this.#paintHyperlink(td, r, c);
+    }
+
+    // The tr of row r, or null when it is outside the virtual window
+    #rowEl(r) {
+        const win = this._window;
+        // Virtual mode: frozen rows, then a spacer row, then the window rows
+        const index = !win || r < win.fr ? r : win.fr + 1 + r - win.sr;
+        const tr = this._tbodyEl?.rows[index];
+        return tr && tr.dataset.r === String(r) ? tr : null;
+    }
+
+    // The td showing cell (r, c), or null when the cell is covered by a merge (or not rendered)
+    #cellEl(r, c) {
+        return this.#rowEl(r)?.querySelector(`td.cell[data-c="${c}"]`) ?? null;
+    }
+
+    // Repaint the cells of a rectangle; merged regions it touches are repainted whole
+    #renderRect(rect) {
+        const { sr, sc, er, ec } = this.#growRectOverMerges({ ...rect });
+        for (let r = sr; r <= er; r++) {
+            for (let c = sc; c <= ec; c++) {
+                const td = this.#cellEl(r, c);
+                if (td) this.#paintCell(td, r, c);
+            }
+        }
+    }
+
+    #renderColumn(c) {
+        // A width change moves every column after it: rebuild the window
+        if (this._virtual) { this.#render(); return; }
+        const th = this._theadEl?.querySelector(`th[data-c="${c}"]`);
+        if (th) {
+            th.removeAttribute('style');
+            this.#applyStyleObject(th, this.model.columnStyles?.[c]);
+            this.#applyFrozenStyle(th, null, c);
+        }
+        this.#renderRect({ sr: 0, sc: c, er: this.model.rows - 1, ec: c });
+        // A frozen column may have changed width: the ones after it move
+        if (c < this.#frozenColumns()) this.#layoutFrozenPanes();
+        this.#layoutDrawings();
+    }
+
+    #renderRow(r) {
+        // A height change moves every row after it: rebuild the window
+        if (this._virtual) { this.#render(); return; }
+        this.#renderRect({ sr: r, sc: 0, er: r, ec: this.model.cols - 1 });
+        if (r < this.#frozenRows()) this.#layoutFrozenPanes();
+        this.#layoutDrawings();
+    }
+
+    // Append the nodes of the last row (addRow)
+    #appendRowNodes() {
+        if (this._virtual) { this.#render(); return; }
+        const r = this.model.rows - 1;
+        this._tbodyEl.insertBefore(this.#buildRow(r), this._tbodyEl.lastElementChild);
+        this.#syncAddCells();
+        this.#markHiddenHeaders();
+        this.#updateCaption();
+        this.#applySelectionStyles();
+        this.#layoutDrawings();
+    }
+
+    // Append the nodes of the last column (addColumn)
+    #appendColumnNodes() {
+        if (this._virtual) { this.#render(); return; }
+        const c = this.model.cols - 1;
+        const trHead = this._theadEl.rows[0];
+        trHead.insertBefore(this.#buildColumnHeader(c), trHead.lastElementChild);
+        for (let r = 0; r < this.model.rows; r++) {
+            const tr = this._tbodyEl.rows[r];
+            tr.insertBefore(this.#buildCell(r, c), tr.querySelector('td.add-col'));
+        }
+        this.#syncAddCells();
+        this.#markHiddenHeaders();
+        this.#updateCaption();
+        this.#applySelectionStyles();
+        this.#layoutDrawings();
+    }
+
+    // Insert the nodes of `count` new rows at `index` (model already updated) and renumber the rows below.
+    // A merged region spanning the insertion point grows, so that case rebuilds the grid.
+    #insertRowNodes(index, count) {
+        if (this._virtual) { this.#render(); return; }
+        const tbody = this._tbodyEl;
+        const crossed = [...tbody.querySelectorAll('td.cell[rowspan]')].some((td) => {
+            const r = Number(td.dataset.r);
+            return r < index && r + td.rowSpan - 1 >= index;
+        });
+        if (crossed) { this.#render(); return; }
+        // Renumber the rows that move down (the last tbody row is the add-row row)
+        const oldRows = this.model.rows - count;
+        for (let r = oldRows - 1; r >= index; r--) this.#renumberRowNode(tbody.rows[r], r + count);
+        const before = tbody.rows[index];
+        const frag = document.createDocumentFragment();
+        for (let r = index; r < index + count; r++) frag.appendChild(this.#buildRow(r));
+        tbody.insertBefore(frag, before);
+        // The add-column cell lives in the first row
+        if (index === 0) {
+            const addCol = tbody.querySelector('td.add-col');
+            if (addCol) tbody.rows[0].appendChild(addCol);
+        }
+        this.#afterStructuralPatch();
+    }
+
+    // Column counterpart of #insertRowNodes
+    #insertColumnNodes(index, count) {
+        if (this._virtual) { this.#render(); return; }
+        const tbody = this._tbodyEl;
+        const crossed = [...tbody.querySelectorAll('td.cell[colspan]')].some((td) => {
+            const c = Number(td.dataset.c);
+            return c < index && c + td.colSpan - 1 >= index;
+        });
+        if (crossed) { this.#render(); return; }
+        const end = index + count;
+        const trHead = this._theadEl.rows[0];
+        trHead.querySelectorAll('th[data-c]').forEach((th) => {
+            const c = Number(th.dataset.c);
+            if (c < index) return;
+            th.dataset.c = String(c + count);
+            th.querySelector('.col-head > span').textContent = this.#colIndexToLabel(c + count);
+        });
+        const headBefore = trHead.querySelector(`th[data-c="${end}"]`) ?? trHead.lastElementChild;
+        for (let c = index; c < end; c++) trHead.insertBefore(this.#buildColumnHeader(c), headBefore);
+        for (const tr of tbody.rows) {
+            if (!tr.dataset.r) continue;
+            const r = Number(tr.dataset.r);
+            let before = tr.querySelector('td.add-col');
+            // Renumber right to left so `before` ends up on the first cell that moved
+            const cells = [...tr.querySelectorAll('td.cell')];
+            for (let i = cells.length - 1; i >= 0; i--) {
+                const c = Number(cells[i].dataset.c);
+                if (c < index) break;
+                cells[i].dataset.c = String(c + count);
+                before = cells[i];
+            }
+            for (let c = index; c < end; c++) tr.insertBefore(this.#buildCell(r, c), before);
+        }
+        this.#afterStructuralPatch();
+    }
+
+    #renumberRowNode(tr, r) {
+        tr.dataset.r = String(r);
+        tr.querySelector('.row-head > span').textContent = `R${r + 1}`;
+        tr.querySelectorAll('td.cell').forEach(td => { td.dataset.r = String(r); });
+    }
+
+    // Drop the nodes of `count` rows from `index` (model already updated) and renumber the rows below.
+    // A merged region crossing the removed rows changes shape, so that case rebuilds the grid.
+    #removeRowNodes(index, count) {
+        if (this._virtual) { this.#render(); return; }
+        const end = index + count - 1;
+        const tbody = this._tbodyEl;
+        const crossed = [...tbody.querySelectorAll('td.cell[rowspan]')].some((td) => {
+            const r = Number(td.dataset.r);
+            return r <= end && r + td.rowSpan - 1 >= index;
+        });
+        if (crossed) { this.#render(); return; }
+        const addCol = tbody.querySelector('td.add-col');
+        for (let i = 0; i < count; i++) tbody.rows[index].remove();
+        // Renumber the rows that moved up
+        for (let r = index; r < this.model.rows; r++) this.#renumberRowNode(tbody.rows[r], r);
+        // The add-column cell lives in the first row
+        if (addCol && !addCol.isConnected) tbody.rows[0].appendChild(addCol);
+        this.#afterStructuralPatch();
+    }
+
+    // Column counterpart of #removeRowNodes
+    #removeColumnNodes(index, count) {
+        if (this._virtual) { this.#render(); return; }
+        const end = index + count - 1;
+        const tbody = this._tbodyEl;
+        const crossed = [...tbody.querySelectorAll('td.cell[colspan]')].some((td) => {
+            const c = Number(td.dataset.c);
+            return c <= end && c + td.colSpan - 1 >= index;
+        });
+        if (crossed) { this.#render(); return; }
+        this._theadEl.querySelectorAll('th[data-c]').forEach((th) => {
+            const c = Number(th.dataset.c);
+            if (c < index) return;
+            if (c <= end) { th.remove(); return; }
+            th.dataset.c = String(c - count);
+            th.querySelector('.col-head > span').textContent = this.#colIndexToLabel(c - count);
+        });
+        tbody.querySelectorAll('td.cell').forEach((td) => {
+            const c = Number(td.dataset.c);
+            if (c < index) return;
+            if (c <= end) td.remove(); else td.dataset.c = String(c - count);
+        });
+        this.#afterStructuralPatch();
+    }
+
+    // Shared tail of row/column removal: spans, caption, shifted formula results and the selection
+    #afterStructuralPatch() {
+        this._editing = null;
+        this.#syncAddCells();
+        this.#markHiddenHeaders();
+        this.#applyFrozenPanes();
+        this.#updateCaption();
+        this.#refreshFormulaText();
+        this.#restoreSelectionFocus();
+        this.#applySelectionStyles();
+        this.#layoutDrawings();
+    }
+
+    // The add-column cell spans every (rendered) row and the add-row cell every column
+    #syncAddCells() {
+        const tbody = this._tbodyEl;
+        const win = this._window;
+        let addCol = tbody.querySelector('td.add-col');
+        if (!addCol) {
+            addCol = document.createElement('td');
+            addCol.className = 'add-col';
+            addCol.innerHTML = '<span class="material-icons" aria-hidden="true">add</span>';
+            addCol.title = 'Add column';
+            addCol.tabIndex = 0;
+            this.#rowEl(win ? win.sr : 0)?.appendChild(addCol);
+        }
+        addCol.rowSpan = win ? win.er - win.sr + 1 : this.model.rows;
+        const addRow = tbody.querySelector('td.add-row');
+        if (addRow) addRow.colSpan = win ? win.fc + win.ec - win.sc + 4 : this.model.cols + 1;
+    }
+
+    #updateCaption() {
+        if (this._captionEl) this._captionEl.textContent = `${this.model.rows} rows × ${this.model.cols} cols`;
+    }
+
+    // Header clicks select a column/row; header buttons and the add cells change the grid
+    #bindHeaderEvents(table) {
+        table.addEventListener('click', (e) => {
+            const t = e.target;
+            if (!t?.closest) return;
+            if (t.closest('.sort-col')) { this.#sortColumn(Number(t.closest('th').dataset.c)); return; }
+            if (t.closest('.filter-col')) {
+                const c = Number(t.closest('th').dataset.c);
+                if (this._filterColumn === c) this.#closeFilterPanel(); else this.#openFilterPanel(c, t.closest('.filter-col'));
+                return;
+            }
+            if (t.closest('.remove-col')) {
+                const c = Number(t.closest('th').dataset.c);
+                if (!this.#linesLocked('col', c)) this.removeColumn(c);
+                return;
+            }
+            if (t.closest('.remove-row')) {
+                const r = Number(t.closest('tr').dataset.r);
+                if (!this.#linesLocked('row', r)) this.removeRow(r);
+                return;
+            }
+            if (t.closest('.col-head')) { this.#setSelection({ type: 'col', c: Number(t.closest('th').dataset.c) }); return; }
+            if (t.closest('.row-head')) { this.#setSelection({ type: 'row', r: Number(t.closest('tr').dataset.r) }); return; }
+            if (this._readOnly) return;
+            if (t.closest('td.add-col')) { this.addColumn(); return; }
+            if (t.closest('td.add-row')) this.addRow();
+        });
+        // Header edges: drag to resize the column/row, double-click to fit it to its contents
+        table.addEventListener('mousedown', (e) => {
+            const handle = e.target.closest?.('.ct-col-resize, .ct-row-resize');
+            if (!handle || e.button !== 0 || this._readOnly) return;
+            e.preventDefault();
+            this.#startHeaderResize(e, handle);
+        });
+        table.addEventListener('dblclick', (e) => {
+            const handle = e.target.closest?.('.ct-col-resize, .ct-row-resize');
+            if (!handle || this._readOnly) return;
+            if (handle.classList.contains('ct-col-resize')) this.autoFitColumn(Number(handle.closest('th').dataset.c));
+            else this.autoFitRow(Number(handle.closest('tr').dataset.r));
+        });
+    }
+
+    // Typing, focus and blur of the contenteditable cells
+    #bindCellEvents(tbody) {
+        const cellOf = (target) => {
+            const td = target?.closest?.('td.cell');
+            return td ? { r: Number(td.dataset.r), c: Number(td.dataset.c), td } : null;
+        };
+        // Locked cells refuse input (typing, drops, spellcheck fixes); anything that slips through is undone
+        tbody.addEventListener('beforeinput', (e) => {
+            const hit = cellOf(e.target);
+            if (hit && this.#isCellLocked(hit.r, hit.c)) e.preventDefault();
+        });
+        tbody.addEventListener('input', (e) => {
+            const hit = cellOf(e.target);
+            if (!hit) return;
+            if (this.#isCellLocked(hit.r, hit.c)) this.#paintCell(hit.td, hit.r, hit.c);
+            else this.#setCellValue(hit.r, hit.c, hit.td.textContent ?? '');
+        });
+        tbody.addEventListener('focusout', (e) => {
+            const hit = cellOf(e.target);
+            if (!hit) return;
+            // Leaving the cell commits the edit
+            if (this._editing?.r === hit.r && this._editing?.c === hit.c) this.#endEdit();
+            else this.#endTypingTxn();
+        });
+        // Clicking the text of a linked cell follows the link (Shift+click still extends the selection)
+        tbody.addEventListener('click', (e) => {
+            const hit = cellOf(e.target);
+            if (!hit || !e.target.closest('a.ct-link') || this._editing || e.shiftKey) return;
+            e.preventDefault();
+            const target = this.getHyperlink(hit.r, hit.c);
+            if (target) this.#followHyperlink(target);
+        });
+        // The dropdown arrow drawn at the right edge of a list cell opens its list
+        tbody.addEventListener('click', (e) => {
+            const hit = cellOf(e.target);
+            if (!hit?.td.classList.contains('ct-list') || this._editing || e.clientX < hit.td.getBoundingClientRect().right - 20) return;
+            this.#openValidationList(hit.r, hit.c);
+        });
+        tbody.addEventListener('focusin', (e) => {
+            const hit = cellOf(e.target);
+            if (!hit) return;
+            // Focus returning to the active cell of a range keeps the range
+            const { r, c } = hit;
+            const cur = this._selection;
+            this.#setSelection(cur?.type === 'range' && cur.r === r && cur.c === c ? cur : { type: 'cell', r, c });
+        });
+    }
+
+    #buildToolbar() {
+        const tb = document.createElement('div');
+        tb.className = 'ct-toolbar';
+        tb.innerHTML = `
+            <div class="ct-tools">
+                <span class="ct-target" data-role="target">—</span>
+                <input class="ct-input ct-name-box" data-role="name-box" type="text" spellcheck="false" title="Name box: type a cell address, a range or a name and press Enter" aria-label="Name box" />
+                <div class="ct-group">
+                    <button type="button" class="icon-btn" data-style-prop="textAlign" data-style-val="left" title="Align left"><span class="material-icons" aria-hidden="true">format_align_left</span></button>
+                    <button type="button" class="icon-btn" data-style-prop="textAlign" data-style-val="center" title="Align center"><span class="material-icons" aria-hidden="true">format_align_center</span></button>
+                    <button type="button" class="icon-btn" data-style-prop="textAlign" data-style-val="right" title="Align right"><span class="material-icons" aria-hidden="true">format_align_right</span></button>
+                </div>
+                <div class="ct-group">
+                    <button type="button" class="icon-btn" data-style-prop="fontWeight" data-style-val="bold" title="Bold"><span class="material-icons" aria-hidden="true">format_bold</span></button>
+                    <button type="button" class="icon-btn" data-style-prop="fontStyle" data-style-val="italic" title="Italic"><span class="material-icons" aria-hidden="true">format_italic</span></button>
+                </div>
+                <div class="ct-group">
+                    <input class="ct-input ct-color" data-style-prop="color" type="color" title="Text color" />
+                    <input class="ct-input ct-color" data-style-prop="background" type="color" title="Background" />
+                </div>
+                <div class="ct-group" title="Number format">
+                    <select class="ct-input ct-format" data-style-prop="format">
+                        <option value="">General</option>
+                        <option value="#,##0.00">Number (1,234.50)</option>
+                        <option value="#,##0">Integer (1,235)</option>
+                        <option value="&quot;RM&quot; #,##0.00">Currency (RM 1,234.50)</option>
+                        <option value="0%">Percent (12%)</option>
+                        <option value="0.00%">Percent (12.50%)</option>
+                        <option value="dd/mm/yyyy">Date (31/01/2025)</option>
+                        <option value="yyyy-mm-dd">Date (2025-01-31)</option>
+                        <option value="d mmmm yyyy">Date (31 January 2025)</option>
+                        <option value="hh:mm">Time (13:45)</option>
+                        <option value="@">Text</option>
+                        <option value="__custom__">Custom…</option>
+                    </select>
+                </div>
+                <div class="ct-group" data-role="merge">
+                    <button type="button" class="icon-btn" data-action="merge" title="Merge cells"><span class="material-icons" aria-hidden="true">call_merge</span></button>
+                    <button type="button" class="icon-btn" data-action="merge-center" title="Merge and center"><span class="material-icons" aria-hidden="true">format_align_center</span></button>
+                    <button type="button" class="icon-btn" data-action="merge-across" title="Merge across (each row)"><span class="material-icons" aria-hidden="true">view_stream</span></button>
+                    <button type="button" class="icon-btn" data-action="unmerge" title="Unmerge cells"><span class="material-icons" aria-hidden="true">call_split</span></button>
+                </div>
+                <div class="ct-group" data-role="borders">
+                    <button type="button" class="icon-btn" data-border="all" title="All borders"><span class="material-icons" aria-hidden="true">border_all</span></button>
+                    <button type="button" class="icon-btn" data-border="outer" title="Outer borders"><span class="material-icons" aria-hidden="true">border_outer</span></button>
+                    <button type="button" class="icon-btn" data-border="top" title="Top border"><span class="material-icons" aria-hidden="true">border_top</span></button>
+                    <button type="button" class="icon-btn" data-border="bottom" title="Bottom border"><span class="material-icons" aria-hidden="true">border_bottom</span></button>
+                    <button type="button" class="icon-btn" data-border="left" title="Left border"><span class="material-icons" aria-hidden="true">border_left</span></button>
+                    <button type="button" class="icon-btn" data-border="right" title="Right border"><span class="material-icons" aria-hidden="true">border_right</span></button>
+                    <button type="button" class="icon-btn" data-border="none" title="No borders"><span class="material-icons" aria-hidden="true">border_clear</span></button>
+                    <input class="ct-input ct-border-color" data-role="border-color" type="color" title="Border color" />
+                    <select class="ct-input ct-border-width" data-role="border-width" title="Border thickness">
+                        <option value="1px">Thin</option>
+                        <option value="2px">Medium</option>
+                        <option value="3px">Thick</option>
+                    </select>
+                </div>
+                <div class="ct-group" data-scope="col-only" title="Column width">
+                    <input class="ct-input ct-width" data-style-prop="width" type="text" placeholder="120px" />
+                </div>
+                <div class="ct-group" data-role="view">
+                    <button type="button" class="icon-btn" data-action="freeze" title="Freeze panes at the selection"><span class="material-icons" aria-hidden="true">ac_unit</span></button>
+                    <button type="button" class="icon-btn" data-action="filter" title="Filter: add filter buttons for the top row of the selection, or remove them"><span class="material-icons" aria-hidden="true">filter_alt</span></button>
+                </div>
+                <div class="ct-group">
+                    <button type="button" class="icon-btn" data-action="link" title="Insert link (Ctrl+K)"><span class="material-icons" aria-hidden="true">link</span></button>
+                    <button type="button" class="icon-btn" data-action="image" title="Insert image"><span class="material-icons" aria-hidden="true">image</span></button>
+                    <button type="button" class="icon-btn" data-action="conditional-format" title="Conditional formatting"><span class="material-icons" aria-hidden="true">rule</span></button>
+                </div>
+                <div class="ct-group">
+                    <button type="button" class="icon-btn" data-action="clear" title="Clear formatting"><span class="material-icons" aria-hidden="true">backspace</span></button>
+                </div>
+            </div>
+        `;
+
+        // Border pen survives re-renders
+        const penColor = tb.querySelector('[data-role="border-color"]');
+        const penWidth = tb.querySelector('[data-role="border-width"]');
+        if (penColor) penColor.value = this._borderPen.color;
+        if (penWidth) penWidth.value = this._borderPen.width;
+
+        // Name box: Enter goes to the typed name or address, Escape gives the grid its focus back
+        const nameBox = tb.querySelector('[data-role="name-box"]');
+        nameBox.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); this.#submitNameBox(nameBox); }
+            else if (e.key === 'Escape') { e.preventDefault(); nameBox.blur(); this.#refreshNameBox(); this.#restoreSelectionFocus(); }
+        });
+        nameBox.addEventListener('input', () => nameBox.classList.remove('is-invalid'));
+        nameBox.addEventListener('focus', () => nameBox.select());
+        nameBox.addEventListener('blur', () => this.#refreshNameBox());
+
+        // Event delegation for buttons
+        tb.addEventListener('click', (e) => {
+            const t = e.target.closest('button');
+            if (!t) return;
+            const action = t.getAttribute('data-action');
+            if (action === 'clear') { this.#applyStyleToSelection('clear'); return; }
+            if (action === 'freeze') { this.#toggleFreezePanes(); return; }
+            if (action === 'filter') { this.#toggleAutoFilter(); return; }
+            if (action === 'conditional-format') { this.#toggleConditionalFormatPanel(t); return; }
+            if (action === 'image') { this.#pickImageFile(); return; }
+            if (action === 'link') {
+                const sel = this._selection;
+                if (sel?.type === 'cell' || sel?.type === 'range') this.#openLinkPanel(sel.r, sel.c);
+                return;
+            }
+            if (action === 'unmerge') { const rect = this.#selectionRect(); if (rect) this.#unmergeRect(rect); return; }
+            if (action === 'merge' || action === 'merge-center' || action === 'merge-across') {
+                this.#mergeSelection({ across: action === 'merge-across', center: action === 'merge-center' });
+                return;
+            }
+            const border = t.getAttribute('data-border');
+            if (border) { this.#applyBorderToSelection(border); return; }
+            const prop = t.getAttribute('data-style-prop');
+            const val = t.getAttribute('data-style-val');
+
+            if (prop) {
+                // Toggle behavior: if the current value at this selection scope equals `val`, clear it; else set it.
+                let current = null;
+                const sel = this._selection;
+                if (sel?.type === 'cell' || sel?.type === 'range') {
+                    current = this.getCellStyle(sel.r, sel.c)?.[prop] ?? null;
+                } else if (sel?.type === 'col') {
+                    current = this.getColumnStyle(sel.c)?.[prop] ?? null;
+                } else if (sel?.type === 'row') {
+                    current = this.getRowStyle(sel.r)?.[prop] ?? null;
+                }
+                const next = (current === val) ? null : val;
+                this.#applyStyleToSelection({ [prop]: next });
+                // Re-sync toolbar state after re-render
+                this.#setSelection(this._selection);
+            }
+        });
+
+        // Inputs change
+        tb.addEventListener('change', (e) => {
+            const input = e.target.closest('.ct-input');
+            if (!input) return;
+            const role = input.getAttribute('data-role');
+            if (role === 'border-color') { this._borderPen.color = /^#[0-9a-fA-F]{6}$/.test(input.value) ? input.value : '#000000'; return; }
+            if (role === 'border-width') { this._borderPen.width = input.value || '1px'; return; }
+            const prop = input.getAttribute('data-style-prop');
+            if (!prop) return;
+            let val = (input.value || '').trim();
+            if (val === '__custom__') {
+                const sel = this._selection;
+                let custom = null;
+                try { custom = prompt('Custom number format (e.g. #,##0.00, 0.0%, dd/mm/yyyy):', ((sel?.type === 'cell' || sel?.type === 'range') && this.#effectiveFormat(sel.r, sel.c)) || ''); }
+                catch { /* ignore */ }
+                if (custom == null) { this.#setSelection(sel); return; } // cancelled: resync the select
+                val = custom.trim();
+            }
             if (input.type === 'color') {
                 // Always use #RRGGBB format
                 if (/^#[0-9a-fA-F]{6}$/.test(val)) {
@@ -887,6 +2819,83 @@ export class CustomTable {
         return tb;
     }
 
+    // Sheet tab strip: click to switch, double-click to rename, drag to reorder, x to delete, + to add
+    #buildSheetTabs() {
+        const bar = document.createElement('div');
+        bar.className = 'ct-sheet-tabs';
+        bar.setAttribute('role', 'tablist');
+        const tabIndex = (target) => {
+            const tab = target?.closest?.('.ct-sheet-tab');
+            return tab ? Number(tab.dataset.sheet) : null;
+        };
+        bar.addEventListener('click', (e) => {
+            if (e.target.closest('.ct-sheet-add')) { if (!this._readOnly) this.addSheet(); return; }
+            const i = tabIndex(e.target);
+            if (i == null) return;
+            if (e.target.closest('.ct-sheet-remove')) { if (!this._readOnly) this.removeSheet(i); }
+            else this.setActiveSheet(i);
+        });
+        bar.addEventListener('dblclick', (e) => {
+            const i = tabIndex(e.target);
+            if (i == null || this._readOnly || e.target.closest('button')) return;
+            let input = null;
+            try { input = prompt('Rename sheet:', this.sheets[i].name); }
+            catch { /* ignore */ }
+            if (input == null) return; // cancelled
+            if (!this.renameSheet(i, input)) alert('Invalid sheet name. Names must be unique, 1–31 characters, and cannot contain [ ] : * ? / \\');
+        });
+        bar.addEventListener('dragstart', (e) => {
+            const i = tabIndex(e.target);
+            if (i == null) return;
+            e.dataTransfer?.setData('text/plain', String(i));
+            e.target.closest('.ct-sheet-tab').classList.add('dragging');
+        });
+        bar.addEventListener('dragend', (e) => e.target.closest?.('.ct-sheet-tab')?.classList.remove('dragging'));
+        bar.addEventListener('dragover', (e) => { if (tabIndex(e.target) != null) e.preventDefault(); });
+        bar.addEventListener('drop', (e) => {
+            const i = tabIndex(e.target);
+            if (i == null) return;
+            e.preventDefault();
+            const from = Number(e.dataTransfer?.getData('text/plain'));
+            if (Number.isInteger(from)) this.moveSheet(from, i);
+        });
+        return bar;
+    }
+
+    #renderSheetTabs() {
+        const bar = this._tabsEl;
+        if (!bar) return;
+        const btnAdd = document.createElement('button');
+        btnAdd.type = 'button';
+        btnAdd.className = 'icon-btn ct-sheet-add';
+        btnAdd.title = 'Add sheet';
+        btnAdd.innerHTML = '<span class="material-icons" aria-hidden="true">add</span>';
+        const tabs = this.sheets.map((entry, i) => {
+            const tab = document.createElement('div');
+            tab.className = 'ct-sheet-tab';
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(i === this._activeSheet));
+            if (i === this._activeSheet) tab.classList.add('active');
+            tab.dataset.sheet = String(i);
+            tab.draggable = !this._readOnly;
+            if (!this._readOnly) tab.title = 'Double-click to rename, drag to reorder';
+            const label = document.createElement('span');
+            label.className = 'ct-sheet-name';
+            label.textContent = entry.name;
+            tab.appendChild(label);
+            if (this.sheets.length > 1) {
+                const btnRemove = document.createElement('button');
+                btnRemove.type = 'button';
+                btnRemove.className = 'icon-btn ct-sheet-remove';
+                btnRemove.title = 'Delete this sheet';
+                btnRemove.innerHTML = '<span class="material-icons" aria-hidden="true">close</span>';
+                tab.appendChild(btnRemove);
+            }
+            return tab;
+        });
+        bar.replaceChildren(btnAdd, ...tabs);
+    }
+
     #setSelection(sel) {
         this._selection = sel;
         // Update toolbar target label and scope
@@ -900,7 +2909,13 @@ export class CustomTable {
                 target.textContent = `Cell ${colLabel}${sel.r + 1}`;
                 if (colOnly) colOnly.classList.add('disabled');
                 // Prefill toolbar with effective style (default + col + row + cell)
-                style = this.getEffectiveCellStyle(sel.r, sel.c) || {};
+                style = this.#cascadedCellStyle(sel.r, sel.c) || {};
+            } else if (sel?.type === 'range') {
+                const rect = this.#selectionRect();
+                target.textContent = `Range ${this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec })}`;
+                if (colOnly) colOnly.classList.add('disabled');
+                // Toolbar reflects the active cell of the range
+                style = this.#cascadedCellStyle(sel.r, sel.c) || {};
             } else if (sel?.type === 'col') {
                 const colLabel = this.#colIndexToLabel(sel.c);
                 target.textContent = `Column ${colLabel}`;
@@ -915,9 +2930,20 @@ export class CustomTable {
                 if (colOnly) colOnly.classList.add('disabled');
             }
             this.#syncToolbarFromStyle(style, sel?.type);
+            this.#refreshNameBox();
         }
         // Update selection highlight
         this.#applySelectionStyles();
+        // Announce real changes only (render and focus restore re-apply the same selection)
+        const selKey = sel ? `${this._activeSheet}:${JSON.stringify(sel)}` : null;
+        if (selKey !== this._lastSelectionKey) {
+            this._lastSelectionKey = selKey;
+            const rect = this.#selectionRect();
+            this.#emit('selectionchange', {
+                selection: sel ? { ...sel } : null,
+                range: rect ? this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }) : null
+            });
+        }
     }
 
     #applySelectionStyles() {
@@ -925,9 +2951,18 @@ export class CustomTable {
         // Clear previous highlights
         wrap.querySelectorAll('tbody tr.is-row-selected').forEach(tr => tr.classList.remove('is-row-selected'));
         wrap.querySelectorAll('thead th.is-col-selected, tbody td.is-col-selected').forEach(el => el.classList.remove('is-col-selected'));
+        wrap.querySelectorAll('tbody td.is-range-selected').forEach(td => td.classList.remove('is-range-selected'));
         const sel = this._selection;
-        if (sel?.type === 'row') {
-            const tr = wrap.querySelector(`tbody tr[data-r="${sel.r}"]`);
+        if (sel?.type === 'range') {
+            const rect = this.#selectionRect();
+            for (let r = rect.sr; r <= rect.er; r++) {
+                this.#rowEl(r)?.querySelectorAll('td.cell').forEach((td) => {
+                    const c = Number(td.dataset.c);
+                    if (c >= rect.sc && c <= rect.ec) td.classList.add('is-range-selected');
+                });
+            }
+        } else if (sel?.type === 'row') {
+            const tr = this.#rowEl(sel.r);
             if (tr) tr.classList.add('is-row-selected');
         } else if (sel?.type === 'col') {
             wrap.querySelectorAll(`tbody td[data-c="${sel.c}"]`).forEach(td => td.classList.add('is-col-selected'));
@@ -938,14 +2973,43 @@ export class CustomTable {
 
     #restoreSelectionFocus() {
         const sel = this._selection; if (!sel) return;
-        if (sel.type === 'cell') {
-            const td = this._wrapEl?.querySelector(`td[data-r="${sel.r}"][data-c="${sel.c}"]`);
-            if (td) td.focus();
+        if (sel.type === 'cell' || sel.type === 'range') {
+            const td = this.#cellEl(sel.r, sel.c);
+            // Virtual mode: focusing must not scroll (that would move the window again)
+            if (td) td.focus(this._virtual ? { preventScroll: true } : undefined);
         }
     }
 
     #applyStyleToSelection(patch) {
         const sel = this._selection; if (!sel) return;
+        if (sel.type === 'range') {
+            // Every cell of the range gets the patch as a per-cell override, as one undo step
+            const rect = this.#selectionRect();
+            const locked = this.#lockedCellTest();
+            const cells = [];
+            for (let r = rect.sr; r <= rect.er; r++) {
+                for (let c = rect.sc; c <= rect.ec; c++) {
+                    if (!locked(r, c)) cells.push({ r, c, style: true }); // locked cells keep their style
+                }
+            }
+            this.#pushCellsUndo(cells);
+            if (!this.model.cellStyles) this.model.cellStyles = {};
+            for (const { r, c } of cells) {
+                const key = this.#cellKey(r, c);
+                if (patch === 'clear') { delete this.model.cellStyles[key]; continue; }
+                const next = { ...(this.model.cellStyles[key] || {}) };
+                for (const [k, v] of Object.entries(patch)) {
+                    if (k === 'width') continue; // column-only
+                    if (v == null || v === '') delete next[k]; else next[k] = v;
+                }
+                const sanitized = this.#sanitizeStyle(next);
+                if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
+            }
+            this.#renderRect(rect);
+            this.#setSelection(this._selection);
+            this.#emit('stylechange', { scope: 'range', range: this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }) });
+            return;
+        }
         if (patch === 'clear') {
             if (sel.type === 'cell') this.setCellStyle(sel.r, sel.c, null);
             else if (sel.type === 'col') this.setColumnStyle(sel.c, null);
@@ -971,17 +3035,26 @@ export class CustomTable {
             const perCellPatch = { ...patch };
             if ('width' in perCellPatch) delete perCellPatch.width;
             if (!this.model.cellStyles) this.model.cellStyles = {};
+            const locked = this.#lockedCellTest();
+            const cells = [];
             for (let r = 0; r < this.model.rows; r++) {
-                const key = this.#cellKey(r, sel.c);
-                const curCell = this.model.cellStyles[key] || {};
-                const nextCell = { ...curCell };
-                for (const [k, v] of Object.entries(perCellPatch)) {
-                    if (v == null || v === '') delete nextCell[k]; else nextCell[k] = v;
-                }
-                const sanitized = this.#sanitizeStyle(nextCell);
-                if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
+                if (!locked(r, sel.c)) cells.push({ r, c: sel.c, style: true });
             }
-            this.setColumnStyle(sel.c, next);
+            // The cells and the column style are one undo step
+            this.#historyStep(() => {
+                this.#pushCellsUndo(cells);
+                for (const { r } of cells) {
+                    const key = this.#cellKey(r, sel.c);
+                    const curCell = this.model.cellStyles[key] || {};
+                    const nextCell = { ...curCell };
+                    for (const [k, v] of Object.entries(perCellPatch)) {
+                        if (v == null || v === '') delete nextCell[k]; else nextCell[k] = v;
+                    }
+                    const sanitized = this.#sanitizeStyle(nextCell);
+                    if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
+                }
+                this.setColumnStyle(sel.c, next);
+            });
         } else if (sel.type === 'row') {
             // Ignore column-only props for rows
             const rowPatch = { ...patch };
@@ -993,18 +3066,141 @@ export class CustomTable {
             }
             // Apply the same style to all cells in the row as per-cell overrides
             if (!this.model.cellStyles) this.model.cellStyles = {};
+            const locked = this.#lockedCellTest();
+            const cells = [];
             for (let c = 0; c < this.model.cols; c++) {
-                const key = this.#cellKey(sel.r, c);
-                const curCell = this.model.cellStyles[key] || {};
-                const nextCell = { ...curCell };
-                for (const [k, v] of Object.entries(rowPatch)) {
-                    if (v == null || v === '') delete nextCell[k]; else nextCell[k] = v;
+                if (!locked(sel.r, c)) cells.push({ r: sel.r, c, style: true });
+            }
+            this.#historyStep(() => {
+                this.#pushCellsUndo(cells);
+                for (const { c } of cells) {
+                    const key = this.#cellKey(sel.r, c);
+                    const curCell = this.model.cellStyles[key] || {};
+                    const nextCell = { ...curCell };
+                    for (const [k, v] of Object.entries(rowPatch)) {
+                        if (v == null || v === '') delete nextCell[k]; else nextCell[k] = v;
+                    }
+                    const sanitized = this.#sanitizeStyle(nextCell);
+                    if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
                 }
-                const sanitized = this.#sanitizeStyle(nextCell);
-                if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
+                this.setRowStyle(sel.r, next);
+            });
+        }
+    }
+
+    // Cell rectangle covered by the current selection ({sr, sc, er, ec}); a merged cell selects its whole region
+    #selectionRect() {
+        const sel = this._selection; if (!sel) return null;
+        if (sel.type === 'row') return { sr: sel.r, sc: 0, er: sel.r, ec: this.model.cols - 1 };
+        if (sel.type === 'col') return { sr: 0, sc: sel.c, er: this.model.rows - 1, ec: sel.c };
+        if (sel.type === 'cell') {
+            const m = (this.model.mergedCells || []).find(g => g.start.r === sel.r && g.start.c === sel.c);
+            return m ? { sr: m.start.r, sc: m.start.c, er: m.end.r, ec: m.end.c } : { sr: sel.r, sc: sel.c, er: sel.r, ec: sel.c };
+        }
+        if (sel.type === 'range') {
+            const clampR = (v) => Math.max(0, Math.min(this.model.rows - 1, v));
+            const clampC = (v) => Math.max(0, Math.min(this.model.cols - 1, v));
+            const rect = {
+                sr: clampR(Math.min(sel.r, sel.r2)), er: clampR(Math.max(sel.r, sel.r2)),
+                sc: clampC(Math.min(sel.c, sel.c2)), ec: clampC(Math.max(sel.c, sel.c2))
+            };
+            return this.#growRectOverMerges(rect);
+        }
+        return null;
+    }
+
+    // Selection spanning from the active cell (r, c) to (r2, c2); a single cell stays a cell selection
+    #selectionContains(r, c) {
+        const rect = this.#selectionRect();
+        return !!rect && r >= rect.sr && r <= rect.er && c >= rect.sc && c <= rect.ec;
+    }
+
+    #makeRangeSelection(r, c, r2, c2) {
+        if (r === r2 && c === c2) return { type: 'cell', r, c };
+        return { type: 'range', r, c, r2, c2 };
+    }
+
+    // Mouse drag and Shift+click select a range from the active cell; Shift+arrows grow/shrink it
+    #bindRangeSelection(tbody) {
+        const cellOf = (target) => {
+            const td = target?.closest?.('td.cell');
+            return td ? { r: Number(td.dataset.r), c: Number(td.dataset.c) } : null;
+        };
+        tbody.addEventListener('mousedown', (e) => {
+            const hit = cellOf(e.target);
+            // Right-clicking inside the selection keeps it (and the focus) for the context menu
+            if (hit && e.button === 2 && this.#selectionContains(hit.r, hit.c)) { e.preventDefault(); return; }
+            if (!hit || e.button !== 0) return;
+            const sel = this._selection;
+            if (e.shiftKey && (sel?.type === 'cell' || sel?.type === 'range')) {
+                e.preventDefault(); // keep focus (the active cell) where it is
+                this.#setSelection(this.#makeRangeSelection(sel.r, sel.c, hit.r, hit.c));
+                return;
+            }
+            this._dragAnchor = hit;
+            this.#setSelection({ type: 'cell', r: hit.r, c: hit.c });
+        });
+        tbody.addEventListener('mouseover', (e) => {
+            const anchor = this._dragAnchor;
+            if (!anchor) return;
+            if (!(e.buttons & 1)) { this._dragAnchor = null; return; } // released outside the table
+            const hit = cellOf(e.target);
+            if (!hit) return;
+            const sel = this._selection;
+            const next = this.#makeRangeSelection(anchor.r, anchor.c, hit.r, hit.c);
+            if (sel?.type === next.type && sel.r2 === next.r2 && sel.c2 === next.c2) return;
+            // Dragging across cells selects cells, not the text of the active one
+            if (next.type === 'range') window.getSelection?.()?.removeAllRanges();
+            this.#setSelection(next);
+        });
+        tbody.addEventListener('mouseup', () => { this._dragAnchor = null; });
+        tbody.addEventListener('keydown', (e) => this.#onCellKeydown(e));
+        tbody.addEventListener('dblclick', (e) => {
+            const hit = cellOf(e.target);
+            if (hit && !this._editing) this.#beginEdit(hit.r, hit.c, { caret: 'keep' });
+        });
+    }
+
+    // Border picker: kind = all | outer | none | top | bottom | left | right, drawn with the current pen
+    #applyBorderToSelection(kind) {
+        const rect = this.#selectionRect(); if (!rect) return;
+        const pen = `${this._borderPen.width} solid ${this._borderPen.color}`;
+        const locked = this.#lockedCellTest();
+        const patches = [];
+        for (let r = rect.sr; r <= rect.er; r++) {
+            for (let c = rect.sc; c <= rect.ec; c++) {
+                const edge = { Top: r === rect.sr, Bottom: r === rect.er, Left: c === rect.sc, Right: c === rect.ec };
+                const patch = {};
+                if (kind === 'none') patch.border = null;
+                for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+                    if (kind === 'none') patch[`border${side}`] = null;
+                    else if (kind === 'all' || (edge[side] && (kind === 'outer' || kind === side.toLowerCase()))) patch[`border${side}`] = pen;
+                }
+                if (Object.keys(patch).length && !locked(r, c)) patches.push({ r, c, patch });
+            }
+        }
+        this.#pushCellsUndo(patches.map(({ r, c }) => ({ r, c, style: true })));
+        if (!this.model.cellStyles) this.model.cellStyles = {};
+        for (const { r, c, patch } of patches) {
+            const key = this.#cellKey(r, c);
+            const next = { ...(this.model.cellStyles[key] || {}) };
+            for (const [k, v] of Object.entries(patch)) {
+                if (v == null) delete next[k]; else next[k] = v;
             }
-            this.setRowStyle(sel.r, next);
+            const sanitized = this.#sanitizeStyle(next);
+            if (sanitized) this.model.cellStyles[key] = sanitized; else delete this.model.cellStyles[key];
         }
+        this.#renderRect(rect);
+        this.#setSelection(this._selection);
+        this.#emit('stylechange', { scope: 'range', range: this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }) });
+    }
+
+    // A merged td spans several cells; take its right/bottom borders from the cells on those edges
+    #applyMergedEdgeBorders(td, r, c, span) {
+        const right = this.model.cellStyles?.[this.#cellKey(r, c + span.colSpan - 1)]?.borderRight;
+        const bottom = this.model.cellStyles?.[this.#cellKey(r + span.rowSpan - 1, c)]?.borderBottom;
+        if (span.colSpan > 1 && right) td.style.borderRight = right;
+        if (span.rowSpan > 1 && bottom) td.style.borderBottom = bottom;
     }
 
     #syncToolbarFromStyle(styleObj, selType) {
@@ -1024,6 +3220,13 @@ export class CustomTable {
                     el.value = key === 'background' ? '#ffffff' : '#000000';
                 }
             } else {
+                // Custom formats are not in the preset list: add them so the select can show them
+                if (el.tagName === 'SELECT' && v && ![...el.options].some(o => o.value === v)) {
+                    const opt = document.createElement('option');
+                    opt.value = v;
+                    opt.textContent = v;
+                    el.insertBefore(opt, el.lastElementChild);
+                }
                 el.value = v || '';
             }
         });
@@ -1050,11 +3253,47 @@ export class CustomTable {
 
     // ----- Spreadsheet JSON support and A1 helpers -----
     #fromSpreadsheetJSON(json) {
-        const sheets = Array.isArray(json.sheets) ? json.sheets : [];
-        const activeName = json.activeSheet || sheets[0]?.name;
-        const sheet = sheets.find(s => s.name === activeName) || sheets[0];
-        if (!sheet) return;
+        const sheets = (Array.isArray(json.sheets) ? json.sheets : []).filter(s => s && typeof s === 'object');
+        if (!sheets.length) return;
+        // Images come first so the drawings can check theirs; undo/redo snapshots carry none (see #historySnapshot)
+        const images = this._isRestoring ? { ...this._images } : {};
+        for (const [id, src] of Object.entries(json.images && typeof json.images === 'object' ? json.images : {})) {
+            if (this.#isImageDataUrl(src)) images[id] = src;
+        }
+        this._images = images;
+        const entries = [];
+        const taken = new Set();
+        sheets.forEach((sheet, i) => {
+            // Keep names unique (case-insensitive) so tabs and xlsx export stay addressable
+            let name = String(sheet.name ?? '').trim() || `Sheet${i + 1}`;
+            for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${String(sheet.name ?? '').trim() || 'Sheet'} (${n})`;
+            taken.add(name.toLowerCase());
+            entries.push({ name, ...this.#parseSpreadsheetSheet(json, sheet) });
+        });
+        const activeIndex = entries.findIndex((e, i) => sheets[i].name === json.activeSheet);
+        // Drawing ids are unique across the workbook (updateImage/removeImage find drawings by id)
+        const drawingIds = new Set();
+        for (const d of entries.flatMap(e => e.model.drawings)) {
+            if (!d.id || drawingIds.has(d.id)) d.id = this.#uniqueDrawingId(drawingIds);
+            drawingIds.add(d.id);
+        }
+
+        this.sheets = entries;
+        this.#activateSheet(activeIndex >= 0 ? activeIndex : 0);
+        this._names = this.#parseNames(json.names);
+        this.#recalcAll();
+        // Filters saved without the rows they hide (e.g. written by hand) are applied once formulas have values
+        entries.forEach((entry) => {
+            const m = entry.model;
+            if (m.autoFilter && !m.filteredRows.length && Object.keys(m.autoFilter.columns).length) {
+                m.filteredRows = this.#withSheet(entry, () => this.#computeFilteredRows());
+            }
+        });
+        this.#render();
+    }
 
+    // Parse one Spreadsheet JSON sheet into { model, defaultCellStyle, selection }
+    #parseSpreadsheetSheet(json, sheet) {
         // Compute dimensions from sparse row/cell indices and A1 references
         let maxRow = -1;
         let maxCol = -1;
@@ -1097,7 +3336,8 @@ export class CustomTable {
         // Initialize data grid
         const data = Array.from({ length: rows }, () => Array.from({ length: cols }, () => ''));
 
-        // Fill values from rows[].cells
+        // Fill values (and formulas) from rows[].cells
+        const formulas = {};
         if (Array.isArray(sheet.rows)) {
             for (const r of sheet.rows) {
                 const ri = Number(r?.index);
@@ -1111,6 +3351,10 @@ export class CustomTable {
                     if (v == null) v = cell?.v;
                     if (v == null) v = '';
                     data[ri][ci] = typeof v === 'string' ? v : String(v);
+                    // Formulas are stored without the leading '=' (value is recomputed after load)
+                    if (typeof cell?.formula === 'string' && cell.formula.trim()) {
+                        formulas[this.#cellKey(ri, ci)] = { formula: cell.formula.trim().replace(/^=/, ''), value: null };
+                    }
                 }
             }
         }
@@ -1137,12 +3381,56 @@ export class CustomTable {
             return Number.isFinite(h) ? { height: `${Math.round(h)}px` } : null;
         });
 
-        // Cell styles (optional common mappings)
-        // Prepare default style mapping to cascade typical text styles
-        const mapStyle = (style) => {
-            if (!style || typeof style !== 'object') return null;
-            const out = {};
-            if (style.textAlign) out.textAlign = String(style.textAlign);
+        // Hidden rows/columns (at least one of each stays visible)
+        const hiddenRows = [...new Set((Array.isArray(sheet.rows) ? sheet.rows : [])
+            .filter(r => r?.hidden === true).map(r => Number(r.index))
+            .filter(r => Number.isInteger(r) && r >= 0 && r < rows))].sort((a, b) => a - b);
+        const hiddenColumns = (Array.isArray(sheet.columns) ? sheet.columns : [])
+            .map((col, c) => (col?.hidden === true && c < cols ? c : -1)).filter(c => c >= 0);
+        if (hiddenRows.length >= rows) hiddenRows.length = 0;
+        if (hiddenColumns.length >= cols) hiddenColumns.length = 0;
+
+        // Locks: `enable: false` on a row, column or cell (inline or in its style); a cell's own flag
+        // wins over its row's and column's, so only cells that differ from them are kept
+        const lockedRows = [...new Set((Array.isArray(sheet.rows) ? sheet.rows : [])
+            .filter(r => r?.enable === false).map(r => Number(r.index))
+            .filter(r => Number.isInteger(r) && r >= 0 && r < rows))].sort((a, b) => a - b);
+        const lockedColumns = (Array.isArray(sheet.columns) ? sheet.columns : [])
+            .map((col, c) => (col?.enable === false && c < cols ? c : -1)).filter(c => c >= 0);
+        const cellLocks = {};
+        if (Array.isArray(sheet.rows)) {
+            for (const r of sheet.rows) {
+                const ri = Number(r?.index);
+                if (!Number.isFinite(ri) || !Array.isArray(r.cells)) continue;
+                for (const cell of r.cells) {
+                    const ci = Number(cell?.index ?? cell?.col ?? cell?.c);
+                    const enable = typeof cell?.enable === 'boolean' ? cell.enable : (cell?.style || cell?.s)?.enable;
+                    if (!Number.isFinite(ci) || typeof enable !== 'boolean') continue;
+                    if (!enable !== (lockedRows.includes(ri) || lockedColumns.includes(ci))) cellLocks[this.#cellKey(ri, ci)] = !enable;
+                }
+            }
+        }
+
+        // Data validation rules per cell (see setValidation); unknown or invalid rules are dropped
+        const cellValidations = {};
+        if (Array.isArray(sheet.rows)) {
+            for (const r of sheet.rows) {
+                const ri = Number(r?.index);
+                if (!Number.isFinite(ri) || !Array.isArray(r.cells)) continue;
+                for (const cell of r.cells) {
+                    const ci = Number(cell?.index ?? cell?.col ?? cell?.c);
+                    const rule = cell?.validation ? this.#normalizeValidationRule(cell.validation) : null;
+                    if (Number.isFinite(ci) && rule) cellValidations[this.#cellKey(ri, ci)] = rule;
+                }
+            }
+        }
+
+        // Cell styles (optional common mappings)
+        // Prepare default style mapping to cascade typical text styles
+        const mapStyle = (style) => {
+            if (!style || typeof style !== 'object') return null;
+            const out = {};
+            if (style.textAlign) out.textAlign = String(style.textAlign);
             if (style.hAlign) out.textAlign = String(style.hAlign);
             if (style.vAlign) {
                 const v = String(style.vAlign).toLowerCase();
@@ -1170,11 +3458,21 @@ export class CustomTable {
             if (style.underline === true && style.strike === true) out.textDecoration = 'underline line-through';
             else if (style.underline === true) out.textDecoration = 'underline';
             else if (style.strike === true) out.textDecoration = 'line-through';
+            // Excel-style number/date format string, e.g. '#,##0.00', '0%', 'dd/mm/yyyy'
+            if (typeof style.format === 'string' && style.format.trim()) out.format = style.format;
+            // Borders: { size, color } per side -> CSS `border{Side}` ('2px solid #000000')
+            for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+                const b = style[`border${side}`];
+                if (!b) continue;
+                if (typeof b === 'string') { out[`border${side}`] = b; continue; }
+                if (typeof b !== 'object') continue;
+                const size = Number(b.size ?? 1);
+                if (!Number.isFinite(size) || size <= 0) continue;
+                out[`border${side}`] = `${size}px ${b.style ? String(b.style) : 'solid'} ${b.color ? String(b.color) : '#000000'}`;
+            }
             return Object.keys(out).length ? out : null;
         };
         const defaultMapped = mapStyle(sheet.defaultCellStyle || json.defaultCellStyle) || null;
-        // Save default so it cascades via wrapper
-        this._defaultCellStyle = defaultMapped;
         const cellStyles = {};
         if (Array.isArray(sheet.rows)) {
             for (const r of sheet.rows) {
@@ -1200,6 +3498,69 @@ export class CustomTable {
 
         const mergedCells = this.#sanitizeMerges(parsedMerges, rows, cols);
 
+        // Frozen panes: leave at least one scrolling row/column
+        const frozen = (v, max) => (Number.isInteger(Number(v)) && Number(v) > 0 ? Math.min(Number(v), max - 1) : 0);
+        const frozenRows = frozen(sheet.frozenRows, rows);
+        const frozenColumns = frozen(sheet.frozenColumns, cols);
+
+        // AutoFilter: header row and columns from `ref`, criteria by column index, filtered rows from the
+        // rows' `filtered` flag (filters without any are applied after load, see #fromSpreadsheetJSON)
+        let autoFilter = null;
+        let filteredRows = [];
+        const afRange = typeof sheet.autoFilter?.ref === 'string' ? this.#parseA1Range(sheet.autoFilter.ref.trim()) : null;
+        if (afRange && afRange.start.r < rows && afRange.start.c < cols) {
+            autoFilter = {
+                r: Math.min(afRange.start.r, afRange.end.r),
+                sc: Math.min(afRange.start.c, afRange.end.c),
+                ec: Math.min(Math.max(afRange.start.c, afRange.end.c), cols - 1),
+                columns: {}
+            };
+            for (const col of Array.isArray(sheet.autoFilter.columns) ? sheet.autoFilter.columns : []) {
+                const c = Number(col?.index);
+                const crit = this.#normalizeFilterCriterion(col);
+                if (crit && Number.isInteger(c) && c >= autoFilter.sc && c <= autoFilter.ec) autoFilter.columns[c] = crit;
+            }
+            filteredRows = [...new Set((Array.isArray(sheet.rows) ? sheet.rows : [])
+                .filter(r => r?.filtered === true).map(r => Number(r.index))
+                .filter(r => Number.isInteger(r) && r > autoFilter.r && r < rows))].sort((a, b) => a - b);
+        }
+
+        // Hyperlinks: [{ ref, target }]; a range links each of its cells, unsafe targets are dropped
+        const hyperlinks = {};
+        for (const link of Array.isArray(sheet.hyperlinks) ? sheet.hyperlinks : []) {
+            const rng = typeof link?.ref === 'string' ? this.#parseA1Range(link.ref.trim()) : null;
+            const target = rng && this.#sanitizeHyperlink(link.target);
+            if (!target) continue;
+            for (let r = Math.min(rng.start.r, rng.end.r); r <= Math.min(Math.max(rng.start.r, rng.end.r), rows - 1); r++) {
+                for (let c = Math.min(rng.start.c, rng.end.c); c <= Math.min(Math.max(rng.start.c, rng.end.c), cols - 1); c++) {
+                    hyperlinks[this.#cellKey(r, c)] = target;
+                }
+            }
+        }
+
+        // Drawings: [{ id, image, topLeftCell, offsetX, offsetY, width, height }]; `image` is a key of the top-level
+        // `images`, and drawings whose image is missing are dropped
+        const drawings = [];
+        for (const d of Array.isArray(sheet.drawings) ? sheet.drawings : []) {
+            const at = typeof d?.topLeftCell === 'string' ? this.#parseA1(d.topLeftCell.trim()) : null;
+            const drawing = at && this.#normalizeDrawing({ ...d, r: at.r, c: at.c }, rows, cols);
+            if (drawing) drawings.push(drawing);
+        }
+
+        // Conditional formats in priority order; rule styles use the same keys as cell styles
+        const conditionalFormats = [];
+        for (const entry of Array.isArray(sheet.conditionalFormats) ? sheet.conditionalFormats : []) {
+            const rng = typeof entry?.ref === 'string' ? this.#parseA1Range(entry.ref.trim()) : null;
+            const rule = rng && this.#normalizeConditionalRule({ ...entry, style: this.#sanitizeStyle(mapStyle(entry.style)) });
+            if (!rule) continue;
+            const sr = Math.min(rng.start.r, rng.end.r);
+            const sc = Math.min(rng.start.c, rng.end.c);
+            if (sr >= rows || sc >= cols) continue;
+            conditionalFormats.push({
+                sr, sc, er: Math.min(Math.max(rng.start.r, rng.end.r), rows - 1), ec: Math.min(Math.max(rng.start.c, rng.end.c), cols - 1), rule
+            });
+        }
+
         // Determine selection to restore: prefer sheet.selection (range), else activeCell
         let sel = null;
         const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
@@ -1218,10 +3579,17 @@ export class CustomTable {
                 else if (sc === ec && sr === 0 && er === rows - 1) {
                     sel = { type: 'col', c: sc };
                 }
-                // Otherwise, treat as a cell at the range start
-                else {
+                else if (sr === er && sc === ec) {
                     sel = { type: 'cell', r: sr, c: sc };
                 }
+                // Otherwise a range, anchored at the active cell when that is one of its corners
+                else {
+                    const ac = typeof sheet.activeCell === 'string' ? this.#parseA1(sheet.activeCell.trim()) : null;
+                    const inside = ac && (ac.r === sr || ac.r === er) && (ac.c === sc || ac.c === ec);
+                    const r = inside ? ac.r : sr;
+                    const c = inside ? ac.c : sc;
+                    sel = { type: 'range', r, c, r2: r === sr ? er : sr, c2: c === sc ? ec : sc };
+                }
             }
         }
         if (!sel && typeof sheet.activeCell === 'string' && sheet.activeCell.trim()) {
@@ -1231,9 +3599,319 @@ export class CustomTable {
             }
         }
 
-        this.model = { rows, cols, data, columnStyles, rowStyles, cellStyles, mergedCells };
-        this._selection = sel;
-        this.#render();
+        // Default is kept per sheet so it cascades via the wrapper when the sheet is active
+        return {
+            model: {
+                rows, cols, data, columnStyles, rowStyles, cellStyles, formulas, mergedCells, frozenRows, frozenColumns,
+                hiddenRows, hiddenColumns, lockedRows, lockedColumns, cellLocks, cellValidations, hyperlinks, drawings,
+                conditionalFormats, autoFilter, filteredRows
+            },
+            defaultCellStyle: defaultMapped,
+            selection: sel
+        };
+    }
+
+    // ----- Excel/CSV import -----
+    // Convert a SheetJS worksheet into a Spreadsheet JSON sheet so it goes through #parseSpreadsheetSheet.
+    // `cellStyles` (A1 ref -> style, from #readXlsxCellStyles) takes over from the reader's own `s` when given.
+    #xlsxSheetToSpreadsheetSheet(name, ws, cellStyles) {
+        const sheet = { name, rows: [], columns: [], mergedCells: [], hyperlinks: [] };
+        if (!ws) return sheet;
+        // Filter buttons only: criteria are not read, rows Excel filtered come in as hidden rows
+        if (ws['!autofilter']?.ref) sheet.autoFilter = { ref: String(ws['!autofilter'].ref), columns: [] };
+        const merges = Array.isArray(ws['!merges']) ? ws['!merges'] : [];
+        sheet.mergedCells = merges.map(m => XLSX.utils.encode_range(m));
+        const covered = new Set();
+        for (const m of merges) {
+            for (let r = m.s.r; r <= m.e.r; r++) {
+                for (let c = m.s.c; c <= m.e.c; c++) {
+                    if (r !== m.s.r || c !== m.s.c) covered.add(this.#posKey(r, c));
+                }
+            }
+        }
+
+        const rowMap = new Map();
+        const rowAt = (r) => {
+            if (!rowMap.has(r)) rowMap.set(r, { index: r, cells: [] });
+            return rowMap.get(r);
+        };
+        if (ws['!ref']) {
+            const range = XLSX.utils.decode_range(ws['!ref']);
+            for (let r = range.s.r; r <= range.e.r; r++) {
+                for (let c = range.s.c; c <= range.e.c; c++) {
+                    const src = ws[XLSX.utils.encode_cell({ r, c })];
+                    if (!src || covered.has(this.#posKey(r, c))) continue;
+                    const cell = { index: c };
+                    if (typeof src.f === 'string' && src.f) cell.formula = src.f;
+                    if (src.t === 'e') cell.value = src.w ?? '#N/A';
+                    else if (src.t === 'd') cell.value = src.v instanceof Date ? src.v.toISOString().slice(0, 10) : String(src.v);
+                    else if (src.t !== 'z' && src.v != null) cell.value = src.v;
+                    const ref = XLSX.utils.encode_cell({ r, c });
+                    const style = { ...(cellStyles ? cellStyles.get(ref) : this.#xlsxStyleToSpreadsheetStyle(src.s)) };
+                    if (typeof src.z === 'string' && src.z && src.z !== 'General') style.format = src.z;
+                    if (Object.keys(style).length) cell.style = style;
+                    if (typeof src.l?.Target === 'string') sheet.hyperlinks.push({ ref, target: src.l.Target });
+                    if (cell.value == null && !cell.formula && !cell.style) continue;
+                    rowAt(r).cells.push(cell);
+                }
+            }
+        }
+
+        // Row heights (px, else points) and column widths (px, else characters)
+        (ws['!rows'] || []).forEach((info, r) => {
+            const px = info?.hpx ?? (info?.hpt != null ? info.hpt * 96 / 72 : null);
+            if (Number.isFinite(px)) rowAt(r).height = Math.round(px);
+            if (info?.hidden) rowAt(r).hidden = true;
+        });
+        (ws['!cols'] || []).forEach((info, c) => {
+            const px = info?.wpx ?? (info?.wch != null ? info.wch * 7 + 5 : null);
+            const col = Number.isFinite(px) ? { width: Math.round(px) } : {};
+            if (info?.hidden) col.hidden = true;
+            sheet.columns[c] = Object.keys(col).length ? col : null;
+        });
+        sheet.rows = [...rowMap.values()].sort((a, b) => a.index - b.index);
+        return sheet;
+    }
+
+    // The bundled reader reports fill colors only, so fonts, borders and alignment are read from the
+    // package itself: xl/styles.xml gives one style per cellXfs entry and each sheet's <c s="..."> picks one.
+    // Returns Map(sheet name -> Map(A1 ref -> Spreadsheet JSON style)), or null when the zip can't be read.
+    #readXlsxCellStyles(data) {
+        // Only .xlsx packages (zip, "PK"); other formats the reader accepts keep its own styles
+        if (data[0] !== 0x50 || data[1] !== 0x4b) return null;
+        try {
+            const cfb = XLSX.CFB.read(data, { type: 'array' });
+            const text = (path) => {
+                const file = XLSX.CFB.find(cfb, path);
+                return file?.content ? new TextDecoder().decode(file.content) : null;
+            };
+            const parse = (path) => {
+                const xml = text(path);
+                return xml == null ? null : new DOMParser().parseFromString(xml, 'application/xml').documentElement;
+            };
+            const kids = (el, tag) => (el ? [...el.children].filter(n => n.localName === tag) : []);
+            const kid = (el, tag) => kids(el, tag)[0];
+            const styleSheet = parse('/xl/styles.xml');
+            const book = parse('/xl/workbook.xml');
+            const rels = parse('/xl/_rels/workbook.xml.rels');
+            if (!styleSheet || !book || !rels) return null;
+
+            const color = (el) => (el?.getAttribute('rgb') ? { rgb: el.getAttribute('rgb') } : undefined);
+            // <b/>, <b val="1"/> and <u val="single"/> are on; val="0"/"false"/"none" is off
+            const flag = (el, tag) => {
+                const node = kid(el, tag);
+                return !!node && !/^(0|false|none)$/i.test(node.getAttribute('val') ?? '');
+            };
+            const fonts = kids(kid(styleSheet, 'fonts'), 'font');
+            const base = fonts[0];
+            const font = (el) => {
+                if (!el) return undefined;
+                const out = { bold: flag(el, 'b'), italic: flag(el, 'i'), underline: flag(el, 'u'), strike: flag(el, 'strike') };
+                // The workbook's default font is the table's own default, so only departures from it are kept
+                const name = kid(el, 'name')?.getAttribute('val');
+                if (name && name !== kid(base, 'name')?.getAttribute('val')) out.name = name;
+                const sz = kid(el, 'sz')?.getAttribute('val');
+                if (sz && sz !== kid(base, 'sz')?.getAttribute('val')) out.sz = Number(sz);
+                const rgb = color(kid(el, 'color'));
+                if (rgb) out.color = rgb;
+                return out;
+            };
+            const fills = kids(kid(styleSheet, 'fills'), 'fill').map((el) => {
+                const pattern = kid(el, 'patternFill');
+                return pattern ? { patternType: pattern.getAttribute('patternType'), fgColor: color(kid(pattern, 'fgColor')) } : undefined;
+            });
+            const borders = kids(kid(styleSheet, 'borders'), 'border').map((el) => {
+                const out = {};
+                for (const side of ['top', 'right', 'bottom', 'left']) {
+                    const node = kid(el, side);
+                    if (node?.getAttribute('style')) out[side] = { style: node.getAttribute('style'), color: color(kid(node, 'color')) };
+                }
+                return out;
+            });
+            const xfs = kids(kid(styleSheet, 'cellXfs'), 'xf').map((el) => {
+                const id = (attr) => Number(el.getAttribute(attr) ?? 0);
+                const align = kid(el, 'alignment');
+                return this.#xlsxStyleToSpreadsheetStyle({
+                    font: font(fonts[id('fontId')]),
+                    fill: fills[id('fillId')],
+                    border: borders[id('borderId')],
+                    alignment: align ? {
+                        horizontal: align.getAttribute('horizontal'),
+                        vertical: align.getAttribute('vertical'),
+                        wrapText: align.hasAttribute('wrapText') ? /^(1|true)$/i.test(align.getAttribute('wrapText')) : null
+                    } : undefined
+                });
+            });
+
+            // Sheet name -> part path through the workbook relationships
+            const targets = new Map(kids(rels, 'Relationship').map(el => [el.getAttribute('Id'), el.getAttribute('Target') || '']));
+            const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+            const result = new Map();
+            for (const el of kids(kid(book, 'sheets'), 'sheet')) {
+                const target = targets.get(el.getAttributeNS(relNs, 'id') || el.getAttribute('r:id'));
+                if (!target) continue;
+                const xml = text(target.startsWith('/') ? target : `/xl/${target}`);
+                if (xml == null) continue;
+                // Sheets can be large, so the cell tags are scanned rather than parsed into a DOM
+                const cells = new Map();
+                for (const [, attrs] of xml.matchAll(/<(?:\w+:)?c\b([^>]*)>/g)) {
+                    const ref = /\br="([A-Z]+\d+)"/.exec(attrs)?.[1];
+                    const style = xfs[Number(/\bs="(\d+)"/.exec(attrs)?.[1] ?? 0)];
+                    if (ref && style) cells.set(ref, style);
+                }
+                result.set(el.getAttribute('name'), cells);
+            }
+            return result;
+        } catch (e) {
+            console.warn('Could not read cell styles from the workbook', e);
+            return null;
+        }
+    }
+
+    // SheetJS-shaped cell style ({ font, fill, alignment, border }, or a bare fill as the bundled reader
+    // reports it on `s`) -> Spreadsheet JSON style keys
+    #xlsxStyleToSpreadsheetStyle(s) {
+        if (!s || typeof s !== 'object') return null;
+        const out = {};
+        const rgb = (color) => (typeof color?.rgb === 'string' && /^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(color.rgb)) ? `#${color.rgb.slice(-6).toUpperCase()}` : null;
+
+        const fill = s.fill || (s.patternType ? s : null);
+        if (fill?.patternType === 'solid') {
+            const bg = rgb(fill.fgColor);
+            if (bg) out.background = bg;
+        }
+        const font = s.font;
+        if (font && typeof font === 'object') {
+            if (font.bold) out.bold = true;
+            if (font.italic) out.italic = true;
+            if (font.underline) out.underline = true;
+            if (font.strike) out.strike = true;
+            if (font.name) out.fontFamily = String(font.name);
+            // Excel sizes are points; the table works in px (export uses the inverse 0.75 factor)
+            if (Number.isFinite(Number(font.sz))) out.fontSize = Math.round(Number(font.sz) / 0.75);
+            const color = rgb(font.color);
+            if (color) out.color = color;
+        }
+        const align = s.alignment;
+        if (align && typeof align === 'object') {
+            const h = String(align.horizontal || '').toLowerCase();
+            if (['left', 'center', 'right', 'justify'].includes(h)) out.textAlign = h;
+            else if (h === 'centercontinuous') out.textAlign = 'center';
+            const v = String(align.vertical || '').toLowerCase();
+            if (['top', 'center', 'bottom'].includes(v)) out.verticalAlign = v;
+            if (align.wrapText != null) out.wrap = !!align.wrapText;
+        }
+        if (s.border && typeof s.border === 'object') {
+            for (const side of ['top', 'right', 'bottom', 'left']) {
+                const b = s.border[side];
+                if (!b?.style) continue;
+                const color = rgb(b.color) || '#000000';
+                // Skip the light grid line exportToExcel writes for unstyled sides
+                if (b.style === 'thin' && color === '#D0D0D0') continue;
+                const size = /thick|double/.test(b.style) ? 3 : /medium/.test(b.style) ? 2 : 1;
+                const entry = { size, color };
+                if (/dash/i.test(b.style)) entry.style = 'dashed';
+                else if (/dot/i.test(b.style)) entry.style = 'dotted';
+                else if (b.style === 'double') entry.style = 'double';
+                out[`border${side[0].toUpperCase()}${side.slice(1)}`] = entry;
+            }
+        }
+        return Object.keys(out).length ? out : null;
+    }
+
+    // RFC 4180 CSV -> rows of fields. Without a delimiter, the most frequent of , ; \t and | on the
+    // first line (outside quotes) is used.
+    #parseCSV(text, delimiter) {
+        const src = text.replace(/^\ufeff/, '');
+        let delim = delimiter;
+        if (!delim) {
+            const firstLine = src.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+            delim = [',', ';', '\t', '|']
+                .map(d => ({ d, n: firstLine.split(d).length - 1 }))
+                .reduce((best, cur) => (cur.n > best.n ? cur : best), { d: ',', n: 0 }).d;
+        }
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else field += ch;
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (src.startsWith(delim, i)) {
+                row.push(field); field = '';
+                i += delim.length - 1;
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                row.push(field); field = '';
+                rows.push(row); row = [];
+            } else {
+                field += ch;
+            }
+        }
+        // Last line (no trailing newline)
+        if (field !== '' || row.length) { row.push(field); rows.push(row); }
+        return rows;
+    }
+
+    // ----- Sheet helpers -----
+    // Copy live per-sheet state (default style, selection) back into the active sheet entry
+    #stashActiveSheet() {
+        const entry = this.sheets[this._activeSheet];
+        if (!entry) return;
+        entry.model = this.model;
+        entry.defaultCellStyle = this._defaultCellStyle;
+        entry.selection = this._selection;
+    }
+
+    #activateSheet(index) {
+        const entry = this.sheets[index];
+        if (!entry) return;
+        this._activeSheet = index;
+        this.model = entry.model;
+        this._defaultCellStyle = entry.defaultCellStyle;
+        this._selection = entry.selection;
+    }
+
+    // Temporarily make `entry` the active sheet so model-based helpers can run against it
+    #withSheet(entry, fn) {
+        const prev = { model: this.model, defaultCellStyle: this._defaultCellStyle, selection: this._selection };
+        this.model = entry.model;
+        this._defaultCellStyle = entry.defaultCellStyle;
+        this._selection = entry.selection;
+        try {
+            return fn();
+        } finally {
+            this.model = prev.model;
+            this._defaultCellStyle = prev.defaultCellStyle;
+            this._selection = prev.selection;
+        }
+    }
+
+    #resolveSheetIndex(nameOrIndex) {
+        if (typeof nameOrIndex === 'number') {
+            return Number.isInteger(nameOrIndex) && nameOrIndex >= 0 && nameOrIndex < this.sheets.length ? nameOrIndex : -1;
+        }
+        const name = String(nameOrIndex ?? '').trim().toLowerCase();
+        return this.sheets.findIndex(s => s.name.toLowerCase() === name);
+    }
+
+    // Excel rules: non-empty, max 31 chars, none of []:*?/\ and unique (case-insensitive)
+    #isValidSheetName(name, exceptIndex = -1) {
+        if (typeof name !== 'string' || !name || name.length > 31) return false;
+        if (/[\[\]:*?/\\]/.test(name)) return false;
+        const lower = name.toLowerCase();
+        return !this.sheets.some((s, i) => i !== exceptIndex && s.name.toLowerCase() === lower);
+    }
+
+    #nextSheetName() {
+        let n = this.sheets.length + 1;
+        while (!this.#isValidSheetName(`Sheet${n}`)) n++;
+        return `Sheet${n}`;
     }
 
     // Column index (0-based) -> column label (A, B, ..., Z, AA, AB, ...)
@@ -1259,6 +3937,12 @@ export class CustomTable {
         return n - 1;
     }
 
+    // API column argument: label ('B') or 0-based index -> index, or -1 when invalid or outside the sheet
+    #columnIndex(col) {
+        const c = typeof col === 'number' ? col : (/^[A-Za-z]+$/.test(String(col ?? '').trim()) ? this.#colLabelToIndex(col) : -1);
+        return Number.isInteger(c) && c >= 0 && c < this.model.cols ? c : -1;
+    }
+
     // Parse A1 like 'B2' -> {r,c}
     #parseA1(a1) {
         if (typeof a1 !== 'string') return null;
@@ -1297,6 +3981,101 @@ export class CustomTable {
         return { c: c1 - 1, r: r1 - 1 };
     }
 
+    // Model side of insertRow/insertColumn: `count` blank rows (axis 'row') or columns at `index`; styles,
+    // locks, merges, formula references and the sheet's layout after them move along
+    #insertLines(axis, index, count) {
+        const m = this.model;
+        const row = axis === 'row';
+        const reindex = (map) => (row
+            ? this.#reindexCellStylesAfterInsertRow(map, index, count)
+            : this.#reindexCellStylesAfterInsertCol(map, index, count));
+        if (row) {
+            m.data.splice(index, 0, ...Array.from({ length: count }, () => Array.from({ length: m.cols }, () => '')));
+            m.rows += count;
+            if (!Array.isArray(m.rowStyles)) m.rowStyles = [];
+            m.rowStyles.splice(index, 0, ...Array.from({ length: count }, () => null));
+        } else {
+            for (let r = 0; r < m.rows; r++) m.data[r].splice(index, 0, ...Array.from({ length: count }, () => ''));
+            m.cols += count;
+            if (!Array.isArray(m.columnStyles)) m.columnStyles = [];
+            m.columnStyles.splice(index, 0, ...Array.from({ length: count }, () => null));
+        }
+        if (m.cellStyles) m.cellStyles = reindex(m.cellStyles);
+        if (Array.isArray(m.mergedCells)) {
+            m.mergedCells = row
+                ? this.#reindexMergesAfterInsertRow(m.mergedCells, index, count)
+                : this.#reindexMergesAfterInsertCol(m.mergedCells, index, count);
+        }
+        this.#shiftFormulaRefs(axis, index, count);
+        if (m.formulas) m.formulas = reindex(m.formulas);
+        if (row) {
+            m.hiddenRows = this.#shiftIndexes(m.hiddenRows, index, count);
+            m.lockedRows = this.#shiftIndexes(m.lockedRows, index, count);
+        } else {
+            m.hiddenColumns = this.#shiftIndexes(m.hiddenColumns, index, count);
+            m.lockedColumns = this.#shiftIndexes(m.lockedColumns, index, count);
+        }
+        this.#shiftAutoFilter(axis, index, count);
+        this.#shiftConditionalFormats(axis, index, count);
+        this.#shiftNames(axis, index, count);
+        this.#shiftDrawings(axis, index, count);
+        if (m.cellLocks) m.cellLocks = reindex(m.cellLocks);
+        if (m.cellValidations) m.cellValidations = reindex(m.cellValidations);
+        if (m.hyperlinks) m.hyperlinks = reindex(m.hyperlinks);
+        // Lines inserted inside the frozen pane are frozen too
+        if (row && index < m.frozenRows) m.frozenRows += count;
+        if (!row && index < m.frozenColumns) m.frozenColumns += count;
+    }
+
+    // Model side of removeRow/removeColumn; returns what was taken out (#captureLines) for undo
+    #removeLines(axis, index, count) {
+        const m = this.model;
+        const row = axis === 'row';
+        const saved = this.#captureLines(axis, index, count);
+        const reindex = (map) => (row
+            ? this.#reindexCellStylesAfterRemoveRow(map, index)
+            : this.#reindexCellStylesAfterRemoveCol(map, index));
+        // Formulas: references into the removed lines become #REF!, the rest shift up/left
+        saved.formulaRefs = this.#shiftFormulaRefs(axis, index, -count);
+        for (let i = 0; i < count; i++) {
+            if (row) {
+                m.data.splice(index, 1);
+                m.rows -= 1;
+                if (Array.isArray(m.rowStyles)) m.rowStyles.splice(index, 1);
+            } else {
+                for (let r = 0; r < m.rows; r++) m.data[r].splice(index, 1);
+                m.cols -= 1;
+                if (Array.isArray(m.columnStyles)) m.columnStyles.splice(index, 1);
+            }
+            // Reindex or remove affected cell styles, merges, formulas, locks, rules and links
+            if (m.cellStyles) m.cellStyles = reindex(m.cellStyles);
+            if (Array.isArray(m.mergedCells)) {
+                m.mergedCells = row
+                    ? this.#reindexMergesAfterRemoveRow(m.mergedCells, index)
+                    : this.#reindexMergesAfterRemoveCol(m.mergedCells, index);
+            }
+            if (m.formulas) m.formulas = reindex(m.formulas);
+            if (m.cellLocks) m.cellLocks = reindex(m.cellLocks);
+            if (m.cellValidations) m.cellValidations = reindex(m.cellValidations);
+            if (m.hyperlinks) m.hyperlinks = reindex(m.hyperlinks);
+        }
+        if (row) {
+            m.hiddenRows = this.#shiftIndexes(m.hiddenRows, index, -count);
+            m.lockedRows = this.#shiftIndexes(m.lockedRows, index, -count);
+        } else {
+            m.hiddenColumns = this.#shiftIndexes(m.hiddenColumns, index, -count);
+            m.lockedColumns = this.#shiftIndexes(m.lockedColumns, index, -count);
+        }
+        this.#shiftAutoFilter(axis, index, -count);
+        this.#shiftConditionalFormats(axis, index, -count);
+        this.#shiftNames(axis, index, -count);
+        this.#shiftDrawings(axis, index, -count);
+        // Removed frozen lines shrink the frozen pane
+        if (row) m.frozenRows -= Math.max(0, Math.min(count, m.frozenRows - index));
+        else m.frozenColumns -= Math.max(0, Math.min(count, m.frozenColumns - index));
+        return saved;
+    }
+
     #reindexCellStylesAfterRemoveRow(map, removedRow) {
         const out = {};
         for (const [k, v] of Object.entries(map)) {
@@ -1325,10 +4104,39 @@ export class CustomTable {
         return out;
     }
 
+    // Sorted index list (hidden rows/columns) after `delta` rows/columns were inserted (> 0) or removed (< 0) at `index`
+    #shiftIndexes(list, index, delta) {
+        if (!Array.isArray(list)) return [];
+        if (delta > 0) return list.map(i => (i >= index ? i + delta : i));
+        return list.filter(i => i < index || i >= index - delta).map(i => (i >= index ? i + delta : i));
+    }
+
+    #reindexCellStylesAfterInsertRow(map, index, count) {
+        const out = {};
+        for (const [k, v] of Object.entries(map)) {
+            const parsed = this.#parseCellKey(k);
+            if (!parsed) continue;
+            const { r, c } = parsed;
+            out[this.#cellKey(r >= index ? r + count : r, c)] = v;
+        }
+        return out;
+    }
+
+    #reindexCellStylesAfterInsertCol(map, index, count) {
+        const out = {};
+        for (const [k, v] of Object.entries(map)) {
+            const parsed = this.#parseCellKey(k);
+            if (!parsed) continue;
+            const { r, c } = parsed;
+            out[this.#cellKey(r, c >= index ? c + count : c)] = v;
+        }
+        return out;
+    }
+
     #ensureStylePanel() {
         const wrap = this._wrapEl;
         if (!wrap) return;
-        // Remove if already exists (we recreate per render to avoid stale refs)
+        // Created once per mount; remove a leftover panel just in case
         const old = wrap.querySelector('.ct-style-panel');
         if (old) old.remove();
         const panel = document.createElement('div');
@@ -1418,14 +4226,18 @@ export class CustomTable {
             this.#closeStylePanel();
         });
 
-        // Outside click to close
-        const onDocClick = (e) => {
+        // Outside click to close (removed again in destroy)
+        if (this._onDocMouseDown) document.removeEventListener('mousedown', this._onDocMouseDown);
+        this._onDocMouseDown = (e) => {
+            if (this._menuEl && this._menuEl.style.display !== 'none' && !this._menuEl.contains(e.target)) this.#closeContextMenu();
+            if (this._filterPanelEl?.style.display !== 'none' && !this._filterPanelEl?.contains(e.target) && !e.target.closest?.('.filter-col')) this.#closeFilterPanel();
+            if (this._linkPanelEl?.style.display !== 'none' && !this._linkPanelEl?.contains(e.target)) this.#closeLinkPanel(false);
+            if (this._activeDrawing && !e.target.closest?.('.ct-drawing')) this.#selectDrawing(null);
             if (panel.style.display === 'none') return;
             if (e.target === panel || panel.contains(e.target)) return;
             this.#closeStylePanel();
         };
-        // Recreate listener per render to ensure we can remove it later if needed
-        document.addEventListener('mousedown', onDocClick, { once: true });
+        document.addEventListener('mousedown', this._onDocMouseDown);
     }
 
     #openStylePanel(type, index, anchor) {
@@ -1435,7 +4247,7 @@ export class CustomTable {
         // Prefill
         const current = type === 'row' ? (this.getRowStyle(index) || {}) : (this.getColumnStyle(index) || {});
         const titleEl = panel.querySelector('.ct-style-title');
-        if (titleEl) titleEl.textContent = type === 'row' ? `Row R${index + 1} style` : `Column C${index + 1} style`;
+        if (titleEl) titleEl.textContent = type === 'row' ? `Row R${index + 1} style` : `Column ${this.#colIndexToLabel(index)} style`;
         panel.querySelectorAll('.ct-input').forEach((el) => {
             const key = el.getAttribute('data-key');
             let v = current && key && current[key] ? current[key] : '';
@@ -1468,6 +4280,7 @@ export class CustomTable {
     #applyStyleObject(el, styleObj) {
         if (!styleObj) return;
         for (const [key, value] of Object.entries(styleObj)) {
+            if (NON_CSS_STYLE_KEYS.has(key)) continue;
             try {
                 // Try direct property (camelCase) first
                 if (key in el.style) {
@@ -1483,6 +4296,124 @@ export class CustomTable {
     // ----- Merge helpers -----
     #posKey(r, c) { return `${r}:${c}`; }
 
+    // A1 cell or range -> {sr, sc, er, ec}, or null if invalid or outside the grid
+    #a1ToRect(ref) {
+        const rng = this.#parseA1Range(typeof ref === 'string' ? ref.trim() : ref);
+        if (!rng) return null;
+        const rect = {
+            sr: Math.min(rng.start.r, rng.end.r), er: Math.max(rng.start.r, rng.end.r),
+            sc: Math.min(rng.start.c, rng.end.c), ec: Math.max(rng.start.c, rng.end.c)
+        };
+        if (rect.sr < 0 || rect.sc < 0 || rect.er >= this.model.rows || rect.ec >= this.model.cols) return null;
+        return rect;
+    }
+
+    // Grow `rect` (in place) until no merged region is cut by its edge, like Excel does
+    #growRectOverMerges(rect) {
+        for (let grown = true; grown;) {
+            grown = false;
+            for (const m of this.model.mergedCells || []) {
+                const hit = m.start.r <= rect.er && m.end.r >= rect.sr && m.start.c <= rect.ec && m.end.c >= rect.sc;
+                if (!hit) continue;
+                if (m.start.r < rect.sr) { rect.sr = m.start.r; grown = true; }
+                if (m.end.r > rect.er) { rect.er = m.end.r; grown = true; }
+                if (m.start.c < rect.sc) { rect.sc = m.start.c; grown = true; }
+                if (m.end.c > rect.ec) { rect.ec = m.end.c; grown = true; }
+            }
+        }
+        return rect;
+    }
+
+    // Regions a merge of `rect` creates: the whole rect, or one per row when merging across
+    #mergeRegions(rect, across) {
+        if (!across) return [{ start: { r: rect.sr, c: rect.sc }, end: { r: rect.er, c: rect.ec } }];
+        const out = [];
+        for (let r = rect.sr; r <= rect.er; r++) out.push({ start: { r, c: rect.sc }, end: { r, c: rect.ec } });
+        return out;
+    }
+
+    // True if merging would discard a value/formula outside the top-left cell of a region
+    #mergeLosesValues(rect, across) {
+        return this.#mergeRegions(rect, across).some(m => {
+            for (let r = m.start.r; r <= m.end.r; r++) {
+                for (let c = m.start.c; c <= m.end.c; c++) {
+                    if (r === m.start.r && c === m.start.c) continue;
+                    if ((this.model.data[r]?.[c] ?? '') !== '' || this.model.formulas?.[this.#cellKey(r, c)]) return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    #mergeRect(rect, { across = false, center = false } = {}) {
+        // Existing regions inside or overlapping the range are absorbed by the new merge
+        const expanded = this.#growRectOverMerges({ ...rect });
+        const regions = this.#mergeRegions(expanded, across).filter(m => m.start.r !== m.end.r || m.start.c !== m.end.c);
+        if (!regions.length && !center) return;
+        // Undo puts back the merges, the values the merge clears and the centered cells' styles
+        const cells = [];
+        for (const m of regions) {
+            for (let r = m.start.r; r <= m.end.r; r++) {
+                for (let c = m.start.c; c <= m.end.c; c++) {
+                    if ((r !== m.start.r || c !== m.start.c) && this.#editText(r, c) !== '') cells.push({ r, c, input: true });
+                }
+            }
+        }
+        if (center) cells.push(...this.#mergeRegions(expanded, across).map(m => ({ r: m.start.r, c: m.start.c, style: true })));
+        this.#pushCellsUndo(cells, { merges: true });
+        this.model.mergedCells = (this.model.mergedCells || []).filter(m =>
+            !(m.start.r <= expanded.er && m.end.r >= expanded.sr && m.start.c <= expanded.ec && m.end.c >= expanded.sc));
+        if (!this.model.cellStyles) this.model.cellStyles = {};
+        const changes = [];
+        for (const m of regions) {
+            // Only the top-left value survives
+            for (let r = m.start.r; r <= m.end.r; r++) {
+                for (let c = m.start.c; c <= m.end.c; c++) {
+                    if (r === m.start.r && c === m.start.c) continue;
+                    changes.push({ r, c, oldValue: this.#editText(r, c), newValue: '' });
+                    this.model.data[r][c] = '';
+                    if (this.model.formulas) delete this.model.formulas[this.#cellKey(r, c)];
+                }
+            }
+            this.model.mergedCells.push(m);
+        }
+        if (center) {
+            for (const m of this.#mergeRegions(expanded, across)) {
+                const key = this.#cellKey(m.start.r, m.start.c);
+                this.model.cellStyles[key] = { ...(this.model.cellStyles[key] || {}), textAlign: 'center' };
+            }
+        }
+        // A full merge collapses the selection onto the merged cell
+        if (!across) this._selection = { type: 'cell', r: expanded.sr, c: expanded.sc };
+        this.#recalcAll();
+        this.#render();
+        this.#emitCellChanges(changes);
+        this.#emit('merge', { action: 'merge', ranges: regions.map(m => this.#rangeToA1(m.start, m.end)), across, center });
+    }
+
+    // Toolbar/menu merge of the selection; asks first when values other than the top-left one would be lost
+    #mergeSelection({ across = false, center = false } = {}) {
+        const rect = this.#selectionRect();
+        if (!rect || this.#rectLocked(rect)) return;
+        if (this.#mergeLosesValues(rect, across)) {
+            let ok = true;
+            try { ok = confirm('Merging cells only keeps the upper-left value and discards other values.'); } catch { /* ignore */ }
+            if (!ok) return;
+        }
+        this.#mergeRect(rect, { across, center });
+    }
+
+    #unmergeRect(rect) {
+        const merges = this.model.mergedCells || [];
+        const keep = merges.filter(m => !(m.start.r <= rect.er && m.end.r >= rect.sr && m.start.c <= rect.ec && m.end.c >= rect.sc));
+        if (keep.length === merges.length) return;
+        this.#pushCellsUndo([], { merges: true });
+        const removed = merges.filter(m => !keep.includes(m));
+        this.model.mergedCells = keep;
+        this.#render();
+        this.#emit('merge', { action: 'unmerge', ranges: removed.map(m => this.#rangeToA1(m.start, m.end)) });
+    }
+
     #buildMergeMaps(mergedCells) {
         const topLeftMap = new Map(); // key -> { rowSpan, colSpan }
         const coveredSet = new Set(); // keys of cells that are covered (not top-left)
@@ -1579,6 +4510,21 @@ export class CustomTable {
         return out;
     }
 
+    // Merges below the inserted rows move down; merges spanning the insertion point grow
+    #reindexMergesAfterInsertRow(merges, index, count) {
+        return merges.map(m => ({
+            start: { r: m.start.r >= index ? m.start.r + count : m.start.r, c: m.start.c },
+            end: { r: m.end.r >= index ? m.end.r + count : m.end.r, c: m.end.c }
+        }));
+    }
+
+    #reindexMergesAfterInsertCol(merges, index, count) {
+        return merges.map(m => ({
+            start: { r: m.start.r, c: m.start.c >= index ? m.start.c + count : m.start.c },
+            end: { r: m.end.r, c: m.end.c >= index ? m.end.c + count : m.end.c }
+        }));
+    }
+
     #rangeToA1(start, end) {
         if (!start || !end) return 'A1:A1';
         const sr = Math.min(start.r, end.r);
@@ -1634,9 +4580,37 @@ export class CustomTable {
             if (td.includes('underline')) out.underline = true;
             if (td.includes('line-through')) out.strike = true;
         }
+        for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+            const b = this.#parseCssBorder(style[`border${side}`] ?? style.border);
+            if (b) out[`border${side}`] = { size: Math.max(1, Math.round(b.width)), color: b.color };
+        }
+        if (style.format) out.format = String(style.format);
         return Object.keys(out).length ? out : null;
     }
 
+    // Parse a CSS border value ('2px solid #000', 'thin dashed red') -> { width, style, color }, null for none
+    #parseCssBorder(value) {
+        if (value == null) return null;
+        const s = String(value).trim();
+        if (!s || /^(none|hidden|0(px)?)$/i.test(s)) return null;
+        let width = 1;
+        let style = 'solid';
+        let color = '#000000';
+        const rest = s
+            .replace(/(?:^|\s)(?:(\d+(?:\.\d+)?)px|(thin|medium|thick))(?=\s|$)/i, (_, px, kw) => {
+                width = px ? Number(px) : ({ thin: 1, medium: 3, thick: 5 })[kw.toLowerCase()];
+                return ' ';
+            })
+            .replace(/(?:^|\s)(none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)(?=\s|$)/i, (_, st) => {
+                style = st.toLowerCase();
+                return ' ';
+            })
+            .trim();
+        if (style === 'none' || style === 'hidden' || !(width > 0)) return null;
+        if (rest) color = rest;
+        return { width, style, color };
+    }
+
     // Map internal CSS-like style to a SheetJS (XLSX) cell style object.
     // Note: Applying styles requires a SheetJS build that supports style writing. Community builds may ignore styles.
     #mapToXlsxCellStyle(style) {
@@ -1693,13 +4667,24 @@ export class CustomTable {
             if (rgb) out.fill = { patternType: 'solid', fgColor: { rgb } };
         }
 
-        // Borders - add thin borders to all cells
-        out.border = {
-            top: { style: 'thin', color: { rgb: 'D0D0D0' } },
-            bottom: { style: 'thin', color: { rgb: 'D0D0D0' } },
-            left: { style: 'thin', color: { rgb: 'D0D0D0' } },
-            right: { style: 'thin', color: { rgb: 'D0D0D0' } }
-        };
+        // Number format
+        if (style.format) out.numFmt = String(style.format);
+
+        // Borders - explicit cell borders win; other sides get a thin light grid line
+        out.border = {};
+        for (const side of ['top', 'bottom', 'left', 'right']) {
+            const cssKey = `border${side[0].toUpperCase()}${side.slice(1)}`;
+            const b = this.#parseCssBorder(style[cssKey] ?? style.border);
+            if (!b) {
+                out.border[side] = { style: 'thin', color: { rgb: 'D0D0D0' } };
+                continue;
+            }
+            let xs = b.width >= 3 ? 'thick' : b.width >= 2 ? 'medium' : 'thin';
+            if (b.style === 'dashed') xs = b.width >= 2 ? 'mediumDashed' : 'dashed';
+            else if (b.style === 'dotted') xs = 'dotted';
+            else if (b.style === 'double') xs = 'double';
+            out.border[side] = { style: xs, color: { rgb: this.#cssColorToXlsxRGB(b.color) || '000000' } };
+        }
 
         return Object.keys(out).length ? out : null;
     }
@@ -1778,19 +4763,260 @@ export class CustomTable {
         return JSON.parse(JSON.stringify(obj));
     }
 
+    // Workbook state for the undo/redo stacks. Image data never changes under its id, so it is left out
+    // (restoring keeps the images already loaded)
+    #historySnapshot() {
+        return this.#deepClone({ ...this.toSpreadsheetJSON(), images: {} });
+    }
+
+    // Whole-workbook undo step, for actions without an entry of their own (sheets, imports, sorts, filters, ...)
     #pushUndoSnapshot(reason = '') {
         if (this._isRestoring) return; // don't record while restoring
         try {
-            const snap = this.#deepClone(this.toSpreadsheetJSON());
-            if (this._undoStack.length >= this._maxHistory) this._undoStack.shift();
-            this._undoStack.push(snap);
-            // New user action invalidates redo history
-            this._redoStack.length = 0;
+            this.#pushHistory(this.#historySnapshot());
         } catch (e) {
             console.warn('Undo snapshot failed', e);
         }
     }
 
+    // Undo entries are workbook snapshots or, for cell, style, merge and row/column changes, just what the
+    // action changes: { type: 'cells' } (#captureCells), { type: 'lines' } (#restoreLines) or a 'group' of those
+    #pushHistory(entry) {
+        if (this._isRestoring) return;
+        if (this._historyGroup) { this._historyGroup.push(entry); return; }
+        this._undoStack.push(entry);
+        // New user action invalidates redo history
+        this._redoStack.length = 0;
+        // The oldest steps go first once there are too many or they hold too many cells; the newest one stays
+        let cost = this._undoStack.reduce((n, e) => n + this.#historyCost(e), 0);
+        while (this._undoStack.length > 1 && (this._undoStack.length > this._maxHistory || cost > this._maxHistoryCells)) {
+            cost -= this.#historyCost(this._undoStack.shift());
+        }
+    }
+
+    // Record the undo entries pushed while `fn` runs as one step
+    #historyStep(fn) {
+        if (this._historyGroup || this._isRestoring) return fn();
+        const steps = this._historyGroup = [];
+        try {
+            return fn();
+        } finally {
+            this._historyGroup = null;
+            if (steps.length) this.#pushHistory(steps.length === 1 ? steps[0] : { type: 'group', steps });
+        }
+    }
+
+    // Size of an entry in cells (snapshots: the cells they hold), for the historyCellLimit cap
+    #historyCost(entry) {
+        let cost = this._historyCosts.get(entry);
+        if (cost != null) return cost;
+        if (entry.type === 'cells') cost = entry.cells.length + (entry.rows?.length ?? 0) + (entry.cols?.length ?? 0) + (entry.merges?.length ?? 0);
+        else if (entry.type === 'lines') cost = entry.count + (entry.removed ? entry.removed.data.reduce((n, cells) => n + cells.length, 0) + entry.removed.formulaRefs.length : 0);
+        else if (entry.type === 'group') cost = entry.steps.reduce((n, step) => n + this.#historyCost(step), 0);
+        else cost = (entry.sheets || []).reduce((n, sheet) => n + 1 + (sheet.rows || []).reduce((k, row) => k + 1 + (row.cells?.length ?? 0), 0), 0);
+        this._historyCosts.set(entry, cost);
+        return cost;
+    }
+
+    // Apply a history entry; returns the entry that reverts it (for the other stack)
+    #restoreHistory(entry) {
+        if (entry.type === 'cells') return this.#restoreCells(entry);
+        if (entry.type === 'lines') return this.#restoreLines(entry);
+        // Steps are undone last to first, so their inverses are listed in that order too
+        if (entry.type === 'group') return { type: 'group', steps: entry.steps.slice().reverse().map(step => this.#restoreHistory(step)) };
+        const inverse = this.#historySnapshot();
+        this.fromJSON(entry);
+        return inverse;
+    }
+
+    // Undo step for the listed cells of the active sheet, recording only what the action is about to change:
+    // `cells` are { r, c, input?: true, style?: true }, `rows`/`cols` indexes whose row/column style changes,
+    // and `merges: true` keeps the merged regions
+    #pushCellsUndo(cells, { rows, cols, merges = false } = {}) {
+        if (this._isRestoring) return;
+        this.#pushHistory(this.#captureCells({ sheet: this._activeSheet, cells, rows, cols, merges }));
+    }
+
+    // Current state of what a 'cells' entry covers: cell inputs/styles, row/column styles, merges
+    #captureCells({ sheet, cells, rows, cols, merges }) {
+        const m = this.model;
+        const entry = {
+            type: 'cells',
+            sheet,
+            cells: cells.map(({ r, c, input, style }) => {
+                const cell = { r, c };
+                if (input !== undefined) cell.input = this.#editText(r, c);
+                if (style !== undefined) cell.style = m.cellStyles?.[this.#cellKey(r, c)] ?? null;
+                return cell;
+            })
+        };
+        if (rows) { entry.rows = rows; entry.rowStyles = rows.map(r => m.rowStyles?.[r] ?? null); }
+        if (cols) { entry.cols = cols; entry.columnStyles = cols.map(c => m.columnStyles?.[c] ?? null); }
+        if (merges) entry.merges = this.#deepClone(m.mergedCells || []);
+        return entry;
+    }
+
+    // History entries apply to their own sheet: show it first. Like a re-render, this ends edit mode
+    // (the typed value is already in the model)
+    #showHistorySheet(sheet) {
+        if (sheet !== this._activeSheet) {
+            this.#stashActiveSheet();
+            this.#activateSheet(sheet);
+            this.#render();
+        }
+        const ed = this._editing;
+        if (ed) {
+            this._editing = null;
+            this.#cellEl(ed.r, ed.c)?.classList.remove('is-editing');
+            this.#renderRect({ sr: ed.r, sc: ed.c, er: ed.r, ec: ed.c });
+        }
+    }
+
+    // Put back what a 'cells' entry recorded and repaint just those cells, rows and columns
+    #restoreCells(entry) {
+        this.#showHistorySheet(entry.sheet);
+        const inverse = this.#captureCells(entry);
+        const m = this.model;
+        const inputs = entry.cells.filter(cell => 'input' in cell);
+        for (const { r, c, style } of entry.cells) {
+            if (style === undefined) continue;
+            if (!m.cellStyles) m.cellStyles = {};
+            if (style) m.cellStyles[this.#cellKey(r, c)] = style; else delete m.cellStyles[this.#cellKey(r, c)];
+        }
+        (entry.rows || []).forEach((r, i) => {
+            if (!Array.isArray(m.rowStyles)) m.rowStyles = Array.from({ length: m.rows }, () => null);
+            m.rowStyles[r] = entry.rowStyles[i];
+        });
+        (entry.cols || []).forEach((c, i) => {
+            if (!Array.isArray(m.columnStyles)) m.columnStyles = Array.from({ length: m.cols }, () => null);
+            m.columnStyles[c] = entry.columnStyles[i];
+        });
+        if (entry.merges) m.mergedCells = entry.merges;
+        // A few inputs update their dependents in place; larger batches recalculate once
+        if (inputs.length <= 64) {
+            for (const { r, c, input } of inputs) this.#refreshCellText(this.#writeCell(r, c, input));
+        } else {
+            if (!m.formulas) m.formulas = {};
+            for (const { r, c, input } of inputs) {
+                const key = this.#cellKey(r, c);
+                if (input.length > 1 && input[0] === '=') {
+                    m.formulas[key] = { formula: input.slice(1), value: null };
+                    m.data[r][c] = '';
+                } else {
+                    delete m.formulas[key];
+                    m.data[r][c] = input;
+                }
+            }
+            this.#recalcAll();
+            this.#refreshFormulaText();
+        }
+        // Merges change the shape of the grid
+        if (entry.merges) {
+            this.#render();
+        } else {
+            for (const { r, c } of entry.cells) this.#renderRect({ sr: r, sc: c, er: r, ec: c });
+            (entry.rows || []).forEach(r => this.#renderRow(r));
+            (entry.cols || []).forEach(c => this.#renderColumn(c));
+        }
+        if (entry.cells.length) this.#setActiveCell(entry.cells[0].r, entry.cells[0].c);
+        return inverse;
+    }
+
+    // A 'lines' entry reverts an insertion (remove the lines; `merges` are the regions from before it, as
+    // removing drops the ones it grew) or a removal (`removed`: insert them again with what #removeLines took out)
+    #restoreLines(entry) {
+        this.#showHistorySheet(entry.sheet);
+        const { axis, index, count } = entry;
+        const row = axis === 'row';
+        if (!entry.removed) {
+            const removed = this.#removeLines(axis, index, count);
+            if (entry.merges) this.model.mergedCells = entry.merges;
+            this.#recalcAll();
+            if (row) this.#removeRowNodes(index, count); else this.#removeColumnNodes(index, count);
+            this.#syncFilterButtons();
+            return { ...entry, removed };
+        }
+        this.#insertLines(axis, index, count);
+        this.#putBackLines(axis, index, count, entry.removed);
+        this.#recalcAll();
+        // Merges over the lines come back whole, which the node patch cannot draw
+        const spans = entry.removed.layout.mergedCells.some(g => (row
+            ? g.end.r >= index && g.start.r < index + count && g.start.r !== g.end.r
+            : g.end.c >= index && g.start.c < index + count && g.start.c !== g.end.c));
+        if (spans) this.#render();
+        else if (row) this.#insertRowNodes(index, count);
+        else this.#insertColumnNodes(index, count);
+        this.#syncFilterButtons();
+        return { type: 'lines', sheet: entry.sheet, axis, index, count };
+    }
+
+    // What removing `count` rows/columns at `index` of the active sheet takes out: the lines' cells and styles,
+    // plus the layout, names and formulas the removal reshapes (merges, filters, rules and #REF! references)
+    #captureLines(axis, index, count) {
+        const m = this.model;
+        const row = axis === 'row';
+        const end = index + count;
+        const pick = (map) => {
+            const out = {};
+            for (const [key, v] of Object.entries(map || {})) {
+                const p = this.#parseCellKey(key);
+                const i = row ? p?.r : p?.c;
+                if (i >= index && i < end) out[key] = v;
+            }
+            return out;
+        };
+        const lineStyles = row ? m.rowStyles : m.columnStyles;
+        return {
+            data: row ? m.data.slice(index, end) : m.data.map(cells => cells.slice(index, end)),
+            styles: Array.from({ length: count }, (_, i) => lineStyles?.[index + i] ?? null),
+            cellStyles: pick(m.cellStyles),
+            // Copies: the shift rewrites references of the removed formulas too
+            formulas: Object.fromEntries(Object.entries(pick(m.formulas)).map(([key, f]) => [key, { ...f }])),
+            cellLocks: pick(m.cellLocks),
+            cellValidations: pick(m.cellValidations),
+            hyperlinks: pick(m.hyperlinks),
+            layout: this.#deepClone({
+                mergedCells: m.mergedCells || [],
+                hiddenRows: m.hiddenRows || [],
+                hiddenColumns: m.hiddenColumns || [],
+                lockedRows: m.lockedRows || [],
+                lockedColumns: m.lockedColumns || [],
+                autoFilter: m.autoFilter ?? null,
+                filteredRows: m.filteredRows || [],
+                conditionalFormats: m.conditionalFormats || [],
+                drawings: m.drawings || [],
+                frozenRows: m.frozenRows,
+                frozenColumns: m.frozenColumns
+            }),
+            names: this.#deepClone(this._names),
+            formulaRefs: []
+        };
+    }
+
+    // Fill lines just inserted by #insertLines with what #captureLines took out when they were removed
+    #putBackLines(axis, index, count, saved) {
+        const m = this.model;
+        if (axis === 'row') {
+            saved.data.forEach((cells, i) => { m.data[index + i] = cells; });
+            m.rowStyles.splice(index, count, ...saved.styles);
+        } else {
+            m.data.forEach((cells, r) => cells.splice(index, count, ...saved.data[r]));
+            m.columnStyles.splice(index, count, ...saved.styles);
+        }
+        for (const name of ['cellStyles', 'formulas', 'cellLocks', 'cellValidations', 'hyperlinks']) {
+            m[name] = Object.assign(m[name] || {}, saved[name]);
+        }
+        // Formula sources elsewhere go back to their text from before the removal (#REF! included); the
+        // sheet's own rules come back with its layout
+        for (const { sheet, key, cf, formula } of saved.formulaRefs) {
+            const model = this.sheets[sheet]?.model;
+            const holder = key != null ? model?.formulas?.[key] : model?.conditionalFormats?.[cf]?.rule;
+            if (holder) holder.formula = formula;
+        }
+        Object.assign(m, saved.layout);
+        this._names = saved.names;
+    }
+
     #endTypingTxn() {
         if (this._typingTimer) { clearTimeout(this._typingTimer); this._typingTimer = null; }
         this._typingKey = null;
@@ -1799,23 +5025,27 @@ export class CustomTable {
     undo() {
         this.#endTypingTxn();
         if (!this._undoStack.length) return;
-        const snap = this._undoStack.pop();
-        const current = this.#deepClone(this.toSpreadsheetJSON());
-        this._redoStack.push(current);
+        const entry = this._undoStack.pop();
         this._isRestoring = true;
-        this.fromJSON(snap);
-        this._isRestoring = false;
+        try {
+            this._redoStack.push(this.#restoreHistory(entry));
+        } finally {
+            this._isRestoring = false;
+        }
+        this.#emit('undo', { canUndo: this._undoStack.length > 0, canRedo: this._redoStack.length > 0 });
     }
 
     redo() {
         this.#endTypingTxn();
         if (!this._redoStack.length) return;
-        const snap = this._redoStack.pop();
-        const current = this.#deepClone(this.toSpreadsheetJSON());
-        this._undoStack.push(current);
+        const entry = this._redoStack.pop();
         this._isRestoring = true;
-        this.fromJSON(snap);
-        this._isRestoring = false;
+        try {
+            this._undoStack.push(this.#restoreHistory(entry));
+        } finally {
+            this._isRestoring = false;
+        }
+        this.#emit('redo', { canUndo: this._undoStack.length > 0, canRedo: this._redoStack.length > 0 });
     }
 
     // Set a cell's value with typing-transaction-aware snapshots
@@ -1827,11 +5057,14 @@ export class CustomTable {
         // First keystroke into this cell -> push a snapshot
         if (this._typingKey !== key) {
             this.#endTypingTxn();
-            this.#pushUndoSnapshot('type');
+            this.#pushCellsUndo([{ r, c, input: true }]);
             this._typingKey = key;
         }
-        // Update the model (no re-render per keystroke)
-        this.model.data[r][c] = value;
+        // Update the model (no re-render per keystroke); dependent formulas are patched in place
+        const oldValue = this.#editText(r, c);
+        const changed = this.#writeCell(r, c, value);
+        this.#refreshCellText(changed);
+        this.#emitCellChanges([{ r, c, oldValue, newValue: this.#editText(r, c) }]);
 
         // Debounce: end typing txn after inactivity
         if (this._typingTimer) clearTimeout(this._typingTimer);
@@ -1840,4 +5073,4121 @@ export class CustomTable {
             this._typingTimer = null;
         }, this._typingDelay);
     }
+
+    // ----- Formula engine -----
+    // Formulas live in model.formulas keyed like cellStyles (C{col}R{row}) as { formula, value }, where
+    // `formula` is the source without the leading '=' and `value` the last computed result.
+    // model.data keeps the computed display text so rendering, CSV and trimming work on plain strings.
+
+    // Store a raw input for the active sheet ('=...' becomes a formula) and recalculate dependents.
+    // Returns the node keys of every formula cell that was recomputed.
+    #writeCell(r, c, value) {
+        const key = this.#cellKey(r, c);
+        const text = value == null ? '' : String(value);
+        if (!this.model.formulas) this.model.formulas = {};
+        if (text.length > 1 && text[0] === '=') {
+            this.model.formulas[key] = { formula: text.slice(1), value: null };
+        } else {
+            delete this.model.formulas[key];
+            this.model.data[r][c] = text;
+        }
+        if (!this._formulaDependents) this.#rebuildFormulaGraph();
+        else this.#linkFormulaCell(this._activeSheet, r, c);
+        return this.#recalcFrom(this._activeSheet, r, c);
+    }
+
+    // Update the text of recomputed cells on the active sheet without a full render
+    #refreshCellText(nodeKeys) {
+        if (!nodeKeys || !this._wrapEl) return;
+        for (const nk of nodeKeys) {
+            const [s, r, c] = nk.split(':').map(Number);
+            if (s !== this._activeSheet) continue;
+            const td = this.#cellEl(r, c);
+            if (!td || td === document.activeElement) continue; // don't clobber the formula being typed
+            const val = this.#displayText(r, c);
+            td.textContent = val;
+            td.classList.toggle('placeholder', !val);
+            this.#paintValidation(td, r, c);
+            this.#paintHyperlink(td, r, c);
+        }
+    }
+
+    // Refresh every formula result on the active sheet (after #recalcAll without a full render)
+    #refreshFormulaText() {
+        const nodeKeys = [];
+        for (const key of Object.keys(this.model.formulas || {})) {
+            const p = this.#parseCellKey(key);
+            if (p) nodeKeys.push(this.#formulaNodeKey(this._activeSheet, p.r, p.c));
+        }
+        this.#refreshCellText(nodeKeys);
+    }
+
+    #formulaNodeKey(s, r, c) { return `${s}:${r}:${c}`; }
+
+    // Recompute every formula in every sheet (after load, structural edits or sheet changes)
+    #recalcAll() {
+        this.#rebuildFormulaGraph();
+        this._cfStats.clear();
+        const pass = { done: new Set(), visiting: new Set(), dirty: null };
+        this.sheets.forEach((entry, s) => {
+            for (const key of Object.keys(entry.model.formulas || {})) {
+                const p = this.#parseCellKey(key);
+                if (!p) continue;
+                if (!pass.done.has(this.#formulaNodeKey(s, p.r, p.c))) this.#evaluateFormulaCell(s, p.r, p.c, pass);
+            }
+        });
+    }
+
+    // Recompute the formula at (s,r,c) if any, plus everything that transitively depends on it
+    #recalcFrom(s, r, c) {
+        const start = this.#formulaNodeKey(s, r, c);
+        const dirty = new Set();
+        if (this.sheets[s]?.model.formulas?.[this.#cellKey(r, c)]) dirty.add(start);
+        const queue = [start];
+        while (queue.length) {
+            const k = queue.pop();
+            for (const d of this._formulaDependents?.get(k) || []) {
+                if (!dirty.has(d)) { dirty.add(d); queue.push(d); }
+            }
+        }
+        const pass = { done: new Set(), visiting: new Set(), dirty };
+        for (const nk of dirty) {
+            if (pass.done.has(nk)) continue;
+            const [ns, nr, nc] = nk.split(':').map(Number);
+            this.#evaluateFormulaCell(ns, nr, nc, pass);
+        }
+        return dirty;
+    }
+
+    #rebuildFormulaGraph() {
+        this._formulaDependents = new Map();
+        this._formulaPrecedents = new Map();
+        this.sheets.forEach((entry, s) => {
+            for (const key of Object.keys(entry.model.formulas || {})) {
+                const p = this.#parseCellKey(key);
+                if (p) this.#linkFormulaCell(s, p.r, p.c);
+            }
+        });
+    }
+
+    // (Re)register the precedents of the formula at (s,r,c) in the dependency graph
+    #linkFormulaCell(s, r, c) {
+        const nk = this.#formulaNodeKey(s, r, c);
+        for (const pk of this._formulaPrecedents.get(nk) || []) this._formulaDependents.get(pk)?.delete(nk);
+        this._formulaPrecedents.delete(nk);
+        const f = this.sheets[s]?.model.formulas?.[this.#cellKey(r, c)];
+        if (!f) return;
+        const ast = this.#getFormulaAst(f.formula);
+        if (ast instanceof FormulaError) return;
+        const precedents = [];
+        const add = (ps, pr, pc) => {
+            const pk = this.#formulaNodeKey(ps, pr, pc);
+            precedents.push(pk);
+            if (!this._formulaDependents.has(pk)) this._formulaDependents.set(pk, new Set());
+            this._formulaDependents.get(pk).add(nk);
+        };
+        this.#walkFormulaRefs(ast, s, (ps, rng) => {
+            const model = this.sheets[ps].model;
+            // Very large ranges only need to track cells that actually exist
+            const big = (rng.end.r - rng.start.r + 1) * (rng.end.c - rng.start.c + 1) > 100000;
+            const er = big ? Math.min(rng.end.r, model.rows - 1) : rng.end.r;
+            const ec = big ? Math.min(rng.end.c, model.cols - 1) : rng.end.c;
+            for (let rr = rng.start.r; rr <= er; rr++) {
+                for (let cc = rng.start.c; cc <= ec; cc++) add(ps, rr, cc);
+            }
+        });
+        this._formulaPrecedents.set(nk, precedents);
+    }
+
+    // Visit every resolvable ref/range in an AST as (sheetIndex, {start, end})
+    #walkFormulaRefs(node, s, visit) {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'ref' || node.type === 'range') {
+            const ps = node.sheet == null ? s : this.#resolveSheetIndex(node.sheet);
+            if (ps >= 0) visit(ps, node.type === 'ref' ? { start: node, end: node } : node);
+            return;
+        }
+        if (node.type === 'name') {
+            const rng = this.#resolveFormulaName(node.name);
+            if (rng && !(rng instanceof FormulaError)) visit(rng.sheet, rng);
+            return;
+        }
+        if (node.arg) this.#walkFormulaRefs(node.arg, s, visit);
+        if (node.left) this.#walkFormulaRefs(node.left, s, visit);
+        if (node.right) this.#walkFormulaRefs(node.right, s, visit);
+        if (Array.isArray(node.args)) node.args.forEach(a => this.#walkFormulaRefs(a, s, visit));
+    }
+
+    #evaluateFormulaCell(s, r, c, pass) {
+        const nk = this.#formulaNodeKey(s, r, c);
+        const model = this.sheets[s]?.model;
+        const f = model?.formulas?.[this.#cellKey(r, c)];
+        if (!f) return;
+        pass.visiting.add(nk);
+        let v;
+        try {
+            const ast = this.#getFormulaAst(f.formula);
+            v = ast instanceof FormulaError ? ast : this.#evalFormulaScalar(ast, { sheet: s, pass });
+        } catch (err) {
+            v = err instanceof FormulaError ? err : new FormulaError('#ERROR!');
+        }
+        pass.visiting.delete(nk);
+        pass.done.add(nk);
+        if (v === null) v = 0; // a bare reference to a blank cell shows 0, like Excel
+        f.value = v;
+        if (r < model.rows && c < model.cols) model.data[r][c] = this.#formulaValueToText(v);
+    }
+
+    // Value of a cell as seen by formulas: computed result for formula cells, typed raw value otherwise
+    #formulaCellValue(s, r, c, pass) {
+        const model = this.sheets[s]?.model;
+        if (!model) return new FormulaError('#REF!');
+        if (r >= model.rows || c >= model.cols) return null; // beyond the grid reads as blank
+        const f = model.formulas?.[this.#cellKey(r, c)];
+        if (f) {
+            const nk = this.#formulaNodeKey(s, r, c);
+            if (pass.visiting.has(nk)) return new FormulaError('#CIRC!');
+            if (!pass.done.has(nk) && (!pass.dirty || pass.dirty.has(nk))) this.#evaluateFormulaCell(s, r, c, pass);
+            return f.value ?? null;
+        }
+        return this.#coerceRawValue(model.data[r][c]);
+    }
+
+    // Typed value of raw cell text: numbers (also '1,234.5' and '12.5%'), booleans, ISO dates as Excel
+    // serial numbers, otherwise the text itself; blank is null
+    #coerceRawValue(raw) {
+        if (raw == null || raw === '') return null;
+        if (typeof raw !== 'string') return raw;
+        const t = raw.trim();
+        if (/^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?$/i.test(t)) return Number(t);
+        if (/^[+-]?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(t)) return Number(t.replace(/,/g, ''));
+        if (/^[+-]?(?:\d+(?:\.\d*)?|\.\d+)%$/.test(t)) return Number(t.slice(0, -1)) / 100;
+        if (/^(true|false)$/i.test(t)) return t.toLowerCase() === 'true';
+        const serial = this.#isoDateToSerial(t);
+        if (serial != null) return serial;
+        return raw;
+    }
+
+    #formulaValueToText(v) {
+        if (v instanceof FormulaError) return v.code;
+        if (v == null) return '';
+        if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+        if (typeof v === 'number') return Number.isFinite(v) ? String(Number(v.toPrecision(15))) : '#NUM!';
+        return String(v);
+    }
+
+    #getFormulaAst(formula) {
+        const src = String(formula ?? '');
+        let ast = this._formulaAsts.get(src);
+        if (ast === undefined) {
+            try { ast = this.#parseFormula(src); }
+            catch (err) { ast = err instanceof FormulaError ? err : new FormulaError('#ERROR!'); }
+            if (this._formulaAsts.size > 2000) this._formulaAsts.clear();
+            this._formulaAsts.set(src, ast);
+        }
+        return ast;
+    }
+
+    // Tokens: num, str, bool-less ident, error, ref (optionally sheet-qualified, with `b` for ranges), op
+    #tokenizeFormula(src) {
+        const tokens = [];
+        const s = String(src);
+        const refRe = /^(\$?[A-Za-z]{1,3}\$?\d+)(?::(\$?[A-Za-z]{1,3}\$?\d+))?(?![A-Za-z0-9_(!])/;
+        let i = 0;
+        while (i < s.length) {
+            const ch = s[i];
+            if (/\s/.test(ch)) { i++; continue; }
+            const start = i;
+            let rest = s.slice(i);
+            // Optional sheet qualifier: 'My Sheet'!A1 or Sheet2!A1:B3
+            let sheet = null;
+            let m = /^'((?:[^']|'')+)'!/.exec(rest) || /^([A-Za-z_][A-Za-z0-9_.]*)!/.exec(rest);
+            if (m) {
+                sheet = m[1].replace(/''/g, "'");
+                i += m[0].length;
+                rest = s.slice(i);
+            }
+            m = refRe.exec(rest);
+            if (m) {
+                tokens.push({ type: 'ref', sheet, a: m[1], b: m[2] ?? null, start, refStart: i, end: i + m[0].length });
+                i += m[0].length;
+                continue;
+            }
+            m = /^#(?:REF!|DIV\/0!|VALUE!|NAME\?|N\/A|NUM!|NULL!|CIRC!|ERROR!)/i.exec(rest);
+            if (m) {
+                tokens.push({ type: 'error', value: m[0].toUpperCase(), start, end: i + m[0].length });
+                i += m[0].length;
+                continue;
+            }
+            if (sheet != null) throw new FormulaError('#ERROR!');
+            m = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(rest);
+            if (m) {
+                tokens.push({ type: 'num', value: Number(m[0]), start, end: i + m[0].length });
+                i += m[0].length;
+                continue;
+            }
+            if (ch === '"') {
+                let j = i + 1;
+                let str = '';
+                for (;;) {
+                    if (j >= s.length) throw new FormulaError('#ERROR!'); // unterminated string
+                    if (s[j] === '"') {
+                        if (s[j + 1] === '"') { str += '"'; j += 2; continue; }
+                        break;
+                    }
+                    str += s[j++];
+                }
+                tokens.push({ type: 'str', value: str, start, end: j + 1 });
+                i = j + 1;
+                continue;
+            }
+            m = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(rest);
+            if (m) {
+                tokens.push({ type: 'ident', value: m[0], start, end: i + m[0].length });
+                i += m[0].length;
+                continue;
+            }
+            const two = s.slice(i, i + 2);
+            if (two === '<=' || two === '>=' || two === '<>') {
+                tokens.push({ type: 'op', value: two, start, end: i + 2 });
+                i += 2;
+                continue;
+            }
+            if ('+-*/^&=<>%(),'.includes(ch)) {
+                tokens.push({ type: 'op', value: ch, start, end: i + 1 });
+                i++;
+                continue;
+            }
+            throw new FormulaError('#ERROR!');
+        }
+        return tokens;
+    }
+
+    // Recursive-descent parser. Precedence (low -> high): comparison, &, + -, * /, ^, unary, %
+    #parseFormula(src) {
+        const tokens = this.#tokenizeFormula(src);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+        const expect = (op) => {
+            if (!isOp(op)) throw new FormulaError('#ERROR!');
+            pos++;
+        };
+        const binary = (next, ops) => () => {
+            let left = next();
+            while (isOp(...ops)) {
+                const op = tokens[pos++].value;
+                left = { type: 'binary', op, left, right: next() };
+            }
+            return left;
+        };
+        const primary = () => {
+            const t = tokens[pos++];
+            if (!t) throw new FormulaError('#ERROR!');
+            if (t.type === 'num') return { type: 'num', value: t.value };
+            if (t.type === 'str') return { type: 'str', value: t.value };
+            if (t.type === 'error') return { type: 'error', value: t.value };
+            if (t.type === 'ref') {
+                const strip = (a1) => a1.replace(/\$/g, '');
+                if (!t.b) {
+                    const p = this.#parseA1(strip(t.a));
+                    if (!p) throw new FormulaError('#ERROR!');
+                    return { type: 'ref', sheet: t.sheet, r: p.r, c: p.c };
+                }
+                const rng = this.#parseA1Range(`${strip(t.a)}:${strip(t.b)}`);
+                if (!rng) throw new FormulaError('#ERROR!');
+                return {
+                    type: 'range',
+                    sheet: t.sheet,
+                    start: { r: Math.min(rng.start.r, rng.end.r), c: Math.min(rng.start.c, rng.end.c) },
+                    end: { r: Math.max(rng.start.r, rng.end.r), c: Math.max(rng.start.c, rng.end.c) }
+                };
+            }
+            if (t.type === 'ident') {
+                const name = t.value.toUpperCase();
+                if (isOp('(')) {
+                    pos++;
+                    const args = [];
+                    if (!isOp(')')) {
+                        for (;;) {
+                            args.push(comparison());
+                            if (!isOp(',')) break;
+                            pos++;
+                        }
+                    }
+                    expect(')');
+                    return { type: 'func', name, args };
+                }
+                if (name === 'TRUE' || name === 'FALSE') return { type: 'bool', value: name === 'TRUE' };
+                return { type: 'name', name: t.value };
+            }
+            if (t.type === 'op' && t.value === '(') {
+                const inner = comparison();
+                expect(')');
+                return inner;
+            }
+            throw new FormulaError('#ERROR!');
+        };
+        const postfix = () => {
+            let node = primary();
+            while (isOp('%')) { pos++; node = { type: 'percent', arg: node }; }
+            return node;
+        };
+        const unary = () => {
+            if (isOp('-', '+')) {
+                const op = tokens[pos++].value;
+                return { type: 'unary', op, arg: unary() };
+            }
+            return postfix();
+        };
+        const power = binary(unary, ['^']);
+        const multiplicative = binary(power, ['*', '/']);
+        const additive = binary(multiplicative, ['+', '-']);
+        const concat = binary(additive, ['&']);
+        const comparison = binary(concat, ['=', '<>', '<', '>', '<=', '>=']);
+
+        const ast = comparison();
+        if (pos < tokens.length) throw new FormulaError('#ERROR!');
+        return ast;
+    }
+
+    // Evaluate to a scalar; single-cell ranges collapse to their value, larger ranges are #VALUE!
+    #evalFormulaScalar(node, ctx) {
+        const v = this.#evalFormulaNode(node, ctx);
+        if (v && v.kind === 'range') {
+            if (v.start.r === v.end.r && v.start.c === v.end.c) return this.#formulaCellValue(v.sheet, v.start.r, v.start.c, ctx.pass);
+            return new FormulaError('#VALUE!');
+        }
+        return v;
+    }
+
+    #evalFormulaNode(node, ctx) {
+        switch (node.type) {
+            case 'num':
+            case 'str':
+            case 'bool':
+                return node.value;
+            case 'error':
+                return new FormulaError(node.value);
+            case 'name': {
+                const rng = this.#resolveFormulaName(node.name);
+                if (!rng) return new FormulaError('#NAME?');
+                return rng instanceof FormulaError ? rng : { kind: 'range', ...rng };
+            }
+            case 'ref': {
+                const s = node.sheet == null ? ctx.sheet : this.#resolveSheetIndex(node.sheet);
+                if (s < 0) return new FormulaError('#REF!');
+                return this.#formulaCellValue(s, node.r, node.c, ctx.pass);
+            }
+            case 'range': {
+                const s = node.sheet == null ? ctx.sheet : this.#resolveSheetIndex(node.sheet);
+                if (s < 0) return new FormulaError('#REF!');
+                return { kind: 'range', sheet: s, start: node.start, end: node.end };
+            }
+            case 'unary': {
+                const v = this.#evalFormulaScalar(node.arg, ctx);
+                if (node.op === '+') return v;
+                const n = this.#toFormulaNumber(v);
+                return n instanceof FormulaError ? n : -n;
+            }
+            case 'percent': {
+                const n = this.#toFormulaNumber(this.#evalFormulaScalar(node.arg, ctx));
+                return n instanceof FormulaError ? n : n / 100;
+            }
+            case 'binary':
+                return this.#evalFormulaBinary(node, ctx);
+            case 'func':
+                return this.#callFormulaFunction(node, ctx);
+            default:
+                return new FormulaError('#ERROR!');
+        }
+    }
+
+    #evalFormulaBinary(node, ctx) {
+        const l = this.#evalFormulaScalar(node.left, ctx);
+        const r = this.#evalFormulaScalar(node.right, ctx);
+        if (l instanceof FormulaError) return l;
+        if (r instanceof FormulaError) return r;
+        switch (node.op) {
+            case '&':
+                return this.#formulaValueToText(l) + this.#formulaValueToText(r);
+            case '=': return this.#compareFormulaValues(l, r) === 0;
+            case '<>': return this.#compareFormulaValues(l, r) !== 0;
+            case '<': return this.#compareFormulaValues(l, r) < 0;
+            case '>': return this.#compareFormulaValues(l, r) > 0;
+            case '<=': return this.#compareFormulaValues(l, r) <= 0;
+            case '>=': return this.#compareFormulaValues(l, r) >= 0;
+            default: break;
+        }
+        const a = this.#toFormulaNumber(l);
+        if (a instanceof FormulaError) return a;
+        const b = this.#toFormulaNumber(r);
+        if (b instanceof FormulaError) return b;
+        let out;
+        if (node.op === '+') out = a + b;
+        else if (node.op === '-') out = a - b;
+        else if (node.op === '*') out = a * b;
+        else if (node.op === '/') {
+            if (b === 0) return new FormulaError('#DIV/0!');
+            out = a / b;
+        } else if (node.op === '^') out = Math.pow(a, b);
+        else return new FormulaError('#ERROR!');
+        return Number.isFinite(out) ? out : new FormulaError('#NUM!');
+    }
+
+    #toFormulaNumber(v) {
+        if (v instanceof FormulaError) return v;
+        if (v == null) return 0;
+        if (typeof v === 'number') return v;
+        if (typeof v === 'boolean') return v ? 1 : 0;
+        const n = this.#coerceRawValue(String(v));
+        return typeof n === 'number' ? n : new FormulaError('#VALUE!');
+    }
+
+    #toFormulaBoolean(v) {
+        if (v instanceof FormulaError) return v;
+        if (v == null) return false;
+        if (typeof v === 'boolean') return v;
+        if (typeof v === 'number') return v !== 0;
+        const t = String(v).trim().toUpperCase();
+        if (t === 'TRUE' || t === 'FALSE') return t === 'TRUE';
+        return new FormulaError('#VALUE!');
+    }
+
+    // Excel ordering: numbers < text < booleans; text compares case-insensitively; blank adapts to the other side
+    #compareFormulaValues(a, b) {
+        const blankFor = (other) => (typeof other === 'string' ? '' : typeof other === 'boolean' ? false : 0);
+        if (a == null) a = blankFor(b);
+        if (b == null) b = blankFor(a);
+        const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+        if (rank(a) !== rank(b)) return rank(a) - rank(b);
+        if (typeof a === 'string') {
+            const x = a.toLowerCase(), y = b.toLowerCase();
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    // Cell values of a range result (clipped to the sheet grid), row by row
+    #formulaRangeValues(rng, pass) {
+        const model = this.sheets[rng.sheet].model;
+        const out = [];
+        const er = Math.min(rng.end.r, model.rows - 1);
+        const ec = Math.min(rng.end.c, model.cols - 1);
+        for (let r = rng.start.r; r <= er; r++) {
+            for (let c = rng.start.c; c <= ec; c++) out.push(this.#formulaCellValue(rng.sheet, r, c, pass));
+        }
+        return out;
+    }
+
+    // Flatten arguments for aggregate functions. Values from refs/ranges are kept as-is (text ignored later);
+    // literal arguments are marked so they can be coerced like Excel does.
+    #collectFormulaArgs(args, ctx) {
+        const out = [];
+        for (const a of args) {
+            const v = this.#evalFormulaNode(a, ctx);
+            if (v && v.kind === 'range') {
+                for (const cv of this.#formulaRangeValues(v, ctx.pass)) out.push({ value: cv, literal: false });
+            } else {
+                out.push({ value: v, literal: a.type !== 'ref' });
+            }
+        }
+        return out;
+    }
+
+    #numericFormulaArgs(args, ctx) {
+        const nums = [];
+        for (const { value, literal } of this.#collectFormulaArgs(args, ctx)) {
+            if (value instanceof FormulaError) return value;
+            if (typeof value === 'number') { nums.push(value); continue; }
+            if (!literal || value == null) continue; // text/booleans/blanks in ranges are ignored
+            const n = this.#toFormulaNumber(value);
+            if (n instanceof FormulaError) return n;
+            nums.push(n);
+        }
+        return nums;
+    }
+
+    #callFormulaFunction(node, ctx) {
+        const arity = FORMULA_FUNCTIONS[node.name];
+        if (!arity) return new FormulaError('#NAME?');
+        const args = node.args;
+        if (args.length < arity[0] || args.length > arity[1]) return new FormulaError('#VALUE!');
+        switch (node.name) {
+            case 'SUM': {
+                const nums = this.#numericFormulaArgs(args, ctx);
+                return nums instanceof FormulaError ? nums : nums.reduce((a, b) => a + b, 0);
+            }
+            case 'AVERAGE': {
+                const nums = this.#numericFormulaArgs(args, ctx);
+                if (nums instanceof FormulaError) return nums;
+                if (!nums.length) return new FormulaError('#DIV/0!');
+                return nums.reduce((a, b) => a + b, 0) / nums.length;
+            }
+            case 'MIN':
+            case 'MAX': {
+                const nums = this.#numericFormulaArgs(args, ctx);
+                if (nums instanceof FormulaError) return nums;
+                if (!nums.length) return 0;
+                return node.name === 'MIN' ? Math.min(...nums) : Math.max(...nums);
+            }
+            case 'COUNT': {
+                let n = 0;
+                for (const { value, literal } of this.#collectFormulaArgs(args, ctx)) {
+                    if (typeof value === 'number') n++;
+                    else if (literal && typeof value === 'string' && typeof this.#coerceRawValue(value) === 'number') n++;
+                }
+                return n;
+            }
+            case 'IF': {
+                // Only the chosen branch is evaluated
+                const cond = this.#toFormulaBoolean(this.#evalFormulaScalar(args[0], ctx));
+                if (cond instanceof FormulaError) return cond;
+                if (cond) return this.#evalFormulaScalar(args[1], ctx);
+                return args.length > 2 ? this.#evalFormulaScalar(args[2], ctx) : false;
+            }
+            case 'ROUND': {
+                const x = this.#toFormulaNumber(this.#evalFormulaScalar(args[0], ctx));
+                if (x instanceof FormulaError) return x;
+                const d = args.length > 1 ? this.#toFormulaNumber(this.#evalFormulaScalar(args[1], ctx)) : 0;
+                if (d instanceof FormulaError) return d;
+                // Round half away from zero; toPrecision strips binary noise such as 1.005 * 100 = 100.49999...
+                const f = Math.pow(10, Math.trunc(d));
+                const scaled = Number((Math.abs(x) * f).toPrecision(15));
+                return Math.sign(x) * Math.round(scaled) / f;
+            }
+            case 'CONCAT': {
+                let out = '';
+                for (const { value } of this.#collectFormulaArgs(args, ctx)) {
+                    if (value instanceof FormulaError) return value;
+                    out += this.#formulaValueToText(value);
+                }
+                return out;
+            }
+            case 'VLOOKUP':
+                return this.#formulaVlookup(args, ctx);
+            default:
+                return new FormulaError('#NAME?');
+        }
+    }
+
+    // VLOOKUP(lookup, table, colIndex, [approximate=TRUE]); approximate match expects an ascending first column
+    #formulaVlookup(args, ctx) {
+        const lookup = this.#evalFormulaScalar(args[0], ctx);
+        if (lookup instanceof FormulaError) return lookup;
+        const table = this.#evalFormulaNode(args[1], ctx);
+        if (table instanceof FormulaError) return table;
+        if (!table || table.kind !== 'range') return new FormulaError('#N/A');
+        const col = this.#toFormulaNumber(this.#evalFormulaScalar(args[2], ctx));
+        if (col instanceof FormulaError) return col;
+        const colIndex = Math.trunc(col);
+        if (colIndex < 1) return new FormulaError('#VALUE!');
+        if (colIndex > table.end.c - table.start.c + 1) return new FormulaError('#REF!');
+        let approximate = true;
+        if (args.length > 3) {
+            approximate = this.#toFormulaBoolean(this.#evalFormulaScalar(args[3], ctx));
+            if (approximate instanceof FormulaError) return approximate;
+        }
+        const model = this.sheets[table.sheet].model;
+        const lastRow = Math.min(table.end.r, model.rows - 1);
+        const rank = (v) => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+        let hit = -1;
+        for (let r = table.start.r; r <= lastRow; r++) {
+            const key = this.#formulaCellValue(table.sheet, r, table.start.c, ctx.pass);
+            if (key == null || key instanceof FormulaError) continue;
+            if (approximate) {
+                if (rank(key) !== rank(lookup)) continue;
+                if (this.#compareFormulaValues(key, lookup) > 0) break;
+                hit = r;
+            } else if (this.#compareFormulaValues(key, lookup) === 0) {
+                hit = r;
+                break;
+            }
+        }
+        if (hit < 0) return new FormulaError('#N/A');
+        return this.#formulaCellValue(table.sheet, hit, table.start.c + colIndex - 1, ctx.pass);
+    }
+
+    // Rewrite the refs of a formula. `fn(sheetIndex, {start, end})` returns the new range,
+    // null to turn the reference into #REF!, or undefined to keep it unchanged.
+    #rewriteFormulaRefs(formula, homeSheet, fn) {
+        let tokens;
+        try { tokens = this.#tokenizeFormula(formula); }
+        catch { return formula; }
+        let out = '';
+        let last = 0;
+        const parsePart = (a1) => {
+            const m = /^(\$?)([A-Za-z]+)(\$?)(\d+)$/.exec(a1);
+            return { colAbs: m[1], rowAbs: m[3], r: Number(m[4]) - 1, c: this.#colLabelToIndex(m[2]) };
+        };
+        const fmtPart = (p, r, c) => `${p.colAbs}${this.#colIndexToLabel(c)}${p.rowAbs}${r + 1}`;
+        for (const t of tokens) {
+            if (t.type !== 'ref') continue;
+            const s = t.sheet == null ? homeSheet : this.#resolveSheetIndex(t.sheet);
+            if (s < 0) continue;
+            const pa = parsePart(t.a);
+            const pb = t.b ? parsePart(t.b) : pa;
+            const next = fn(s, { start: { r: pa.r, c: pa.c }, end: { r: pb.r, c: pb.c } }, { a: pa, b: pb });
+            if (next === undefined) continue;
+            out += formula.slice(last, t.start);
+            if (next === null) {
+                out += '#REF!';
+            } else {
+                out += formula.slice(t.start, t.refStart) + fmtPart(pa, next.start.r, next.start.c);
+                if (t.b) out += ':' + fmtPart(pb, next.end.r, next.end.c);
+            }
+            last = t.end;
+        }
+        return last === 0 ? formula : out + formula.slice(last);
+    }
+
+    // Shift references into the active sheet after rows/cols are inserted (count > 0) or removed (count < 0)
+    // at `index`, across every sheet's formulas (the holders of #formulaHolders). Returns the sources it
+    // changed, by location: [{ sheet, key, formula }] for cells, [{ sheet, cf, formula }] for rules.
+    #shiftFormulaRefs(axis, index, count) {
+        const target = this._activeSheet;
+        const changed = [];
+        const shift = (s, f, at) => {
+            const next = this.#rewriteFormulaRefs(f.formula, s, (ps, rng) => {
+                if (ps !== target) return undefined;
+                const lo = axis === 'row' ? rng.start.r : rng.start.c;
+                const hi = axis === 'row' ? rng.end.r : rng.end.c;
+                const span = this.#shiftSpan(lo, hi, index, count);
+                if (!span) return null;
+                if (span[0] === lo && span[1] === hi) return undefined;
+                return axis === 'row'
+                    ? { start: { r: span[0], c: rng.start.c }, end: { r: span[1], c: rng.end.c } }
+                    : { start: { r: rng.start.r, c: span[0] }, end: { r: rng.end.r, c: span[1] } };
+            });
+            if (next === f.formula) return;
+            changed.push({ sheet: s, ...at, formula: f.formula });
+            f.formula = next;
+        };
+        this.sheets.forEach((entry, s) => {
+            for (const [key, f] of Object.entries(entry.model.formulas || {})) shift(s, f, { key });
+            (entry.model.conditionalFormats || []).forEach((cf, i) => {
+                if (cf.rule.type === 'expression') shift(s, cf.rule, { cf: i });
+            });
+        });
+        return changed;
+    }
+
+    // The rows/columns lo..hi after `count` rows/columns are inserted (count > 0) or removed (count < 0)
+    // at `index`: [lo, hi], or null when they are all removed
+    #shiftSpan(lo, hi, index, count) {
+        if (count > 0) return [lo >= index ? lo + count : lo, hi >= index ? hi + count : hi];
+        const n = -count;
+        if (lo >= index && hi < index + n) return null;
+        const nlo = lo < index ? lo : (lo >= index + n ? lo - n : index);
+        const nhi = hi < index ? hi : (hi >= index + n ? hi - n : index - 1);
+        return [nlo, nhi];
+    }
+
+    // Everything that holds a `formula` source: formula cells and expression rules of conditional formats
+    #formulaHolders(model) {
+        const rules = (model.conditionalFormats || []).map(cf => cf.rule).filter(rule => rule.type === 'expression');
+        return [...Object.values(model.formulas || {}), ...rules];
+    }
+
+    // Sheet name as written before '!' in a reference: quoted unless it is a plain identifier
+    #quoteSheetName(name) {
+        return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) && !/^[A-Za-z]{1,3}\d+$/.test(name)
+            ? name
+            : `'${name.replace(/'/g, "''")}'`;
+    }
+
+    // Follow a sheet rename in sheet-qualified references
+    #renameSheetInFormulas(oldName, newName) {
+        const lower = oldName.toLowerCase();
+        const quoted = this.#quoteSheetName(newName);
+        for (const entry of this.sheets) {
+            for (const f of this.#formulaHolders(entry.model)) {
+                let tokens;
+                try { tokens = this.#tokenizeFormula(f.formula); }
+                catch { continue; }
+                let out = '';
+                let last = 0;
+                for (const t of tokens) {
+                    if (t.type !== 'ref' || t.sheet == null || t.sheet.toLowerCase() !== lower) continue;
+                    out += f.formula.slice(last, t.start) + quoted + '!';
+                    last = t.refStart;
+                }
+                if (last) f.formula = out + f.formula.slice(last);
+            }
+        }
+    }
+
+    // ----- Number formats -----
+    // The `format` style key holds an Excel-style format string and cascades like other styles.
+
+    #effectiveFormat(r, c) {
+        const layers = [this.model.cellStyles?.[this.#cellKey(r, c)], this.model.rowStyles?.[r], this.model.columnStyles?.[c], this._defaultCellStyle];
+        for (const layer of layers) {
+            if (layer?.format) return layer.format;
+        }
+        return null;
+    }
+
+    // Text format ('@', or one section around '@' such as '"ID-"@'): typed input is kept as text
+    #isTextFormat(fmt) {
+        if (!fmt) return false;
+        const sections = this.#splitFormatSections(String(fmt).trim());
+        return sections.length === 1 && this.#tokenizeFormatSection(sections[0]).some(t => t.fmt === '@');
+    }
+
+    // Text shown in the td: computed/typed value run through the effective number format
+    #displayText(r, c) {
+        const raw = this.model.data[r]?.[c] ?? '';
+        const fmt = this.#effectiveFormat(r, c);
+        if (!fmt) return raw;
+        const f = this.model.formulas?.[this.#cellKey(r, c)];
+        // Under a text format '0012' stays '0012' (product codes, ZIP codes, phone numbers)
+        const value = f ? f.value : this.#isTextFormat(fmt) ? raw : this.#coerceRawValue(raw);
+        if (value instanceof FormulaError) return value.code;
+        return this.#formatCellValue(value, fmt);
+    }
+
+    // Text shown while editing: formula source or the raw input
+    #editText(r, c) {
+        const f = this.model.formulas?.[this.#cellKey(r, c)];
+        return f ? `=${f.formula}` : (this.model.data[r]?.[c] ?? '');
+    }
+
+    // Spreadsheet JSON value: canonical numbers/booleans are written typed, everything else as text
+    #exportCellValue(raw) {
+        if (typeof raw !== 'string') return raw;
+        const t = raw.trim();
+        if (t !== '' && String(Number(t)) === t) return Number(t);
+        if (t === 'TRUE' || t === 'FALSE') return t === 'TRUE';
+        return raw;
+    }
+
+    // 'yyyy-mm-dd' (optionally 'Thh:mm[:ss]' or ' hh:mm[:ss]') -> Excel serial date, else null
+    #isoDateToSerial(text) {
+        const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+        if (!m) return null;
+        const [y, mo, d, hh, mi, ss] = m.slice(1).map(x => Number(x ?? 0));
+        if (mo < 1 || mo > 12 || d < 1 || d > 31 || hh > 23 || mi > 59 || ss > 59) return null;
+        const ms = Date.UTC(y, mo - 1, d, hh, mi, ss);
+        if (new Date(ms).getUTCDate() !== d) return null; // e.g. 2025-02-30
+        return (ms - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    // Split a format into its sections (positive;negative;zero;text), ignoring ';' inside quotes
+    #splitFormatSections(fmt) {
+        const out = [];
+        let cur = '';
+        let quoted = false;
+        for (let i = 0; i < fmt.length; i++) {
+            const ch = fmt[i];
+            if (ch === '\\' && i + 1 < fmt.length) { cur += ch + fmt[++i]; continue; }
+            if (ch === '"') quoted = !quoted;
+            if (ch === ';' && !quoted) { out.push(cur); cur = ''; continue; }
+            cur += ch;
+        }
+        out.push(cur);
+        return out;
+    }
+
+    // Tokenize one format section into literal text ({ lit }) and format characters ({ fmt })
+    #tokenizeFormatSection(section) {
+        const tokens = [];
+        let i = 0;
+        while (i < section.length) {
+            const ch = section[i];
+            if (ch === '"') {
+                const end = section.indexOf('"', i + 1);
+                tokens.push({ lit: end < 0 ? section.slice(i + 1) : section.slice(i + 1, end) });
+                i = end < 0 ? section.length : end + 1;
+            } else if (ch === '\\' && i + 1 < section.length) {
+                tokens.push({ lit: section[i + 1] });
+                i += 2;
+            } else if (ch === '[') {
+                // [h], [mm], [ss] are elapsed time ({ elapsed }); [Red] and [>100] are dropped; [$RM-409] keeps its currency symbol
+                const end = section.indexOf(']', i);
+                const inner = end < 0 ? '' : section.slice(i + 1, end);
+                const cur = /^\$([^-\]]*)/.exec(inner);
+                if (cur) tokens.push({ lit: cur[1] });
+                else if (/^(?:h+|m+|s+)$/i.test(inner)) tokens.push({ elapsed: inner.toLowerCase() });
+                i = end < 0 ? section.length : end + 1;
+            } else if (ch === '_' && i + 1 < section.length) {
+                tokens.push({ lit: ' ' }); // padding to the width of the next char
+                i += 2;
+            } else if (ch === '*' && i + 1 < section.length) {
+                i += 2; // fill character: ignored
+            } else {
+                tokens.push({ fmt: ch });
+                i++;
+            }
+        }
+        return tokens;
+    }
+
+    // Format a typed value with an Excel-style format string (numbers, %, thousands and scaling, scientific,
+    // fractions, dates/times and elapsed time, text). Sections with codes outside that set show General.
+    #formatCellValue(value, format) {
+        if (value == null || value === '') return '';
+        const fmt = String(format ?? '').trim();
+        if (!fmt || /^general$/i.test(fmt) || typeof value === 'boolean') return this.#formulaValueToText(value);
+        const sections = this.#splitFormatSections(fmt);
+        if (typeof value === 'string') {
+            const textSection = sections.length > 3 ? sections[3] : sections.find(sec => sec.includes('@'));
+            if (textSection == null) return value;
+            return this.#tokenizeFormatSection(textSection).map(t => (t.lit != null ? t.lit : t.fmt === '@' ? value : t.fmt ?? '')).join('');
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) return this.#formulaValueToText(value);
+        // Pick the section; an explicit negative section replaces the minus sign
+        let section = sections[0];
+        let sign = value < 0 ? '-' : '';
+        if (value < 0 && sections.length > 1 && sections[1] !== '') { section = sections[1]; sign = ''; }
+        else if (value === 0 && sections.length > 2 && sections[2] !== '') section = sections[2];
+        const n = Math.abs(value);
+        if (/^general$/i.test(section.trim())) return sign + this.#formulaValueToText(n);
+        if (section.trim() === '@') return this.#formulaValueToText(value);
+        const tokens = this.#tokenizeFormatSection(section);
+        const isDigit = (t) => !!t?.fmt && /[0#?]/.test(t.fmt);
+        const hasDigits = tokens.some(isDigit);
+        const isDate = tokens.some(t => t.elapsed || (t.fmt && /[yYdDhHsS]/.test(t.fmt))) || (!hasDigits && tokens.some(t => t.fmt && /[mM]/.test(t.fmt)));
+        // 'E+' / 'E-' after the mantissa is an exponent; other unquoted letters that are not date codes
+        // (or AM/PM) are not format codes
+        const expAt = isDate ? -1 : tokens.findIndex((t, i) => /^[eE]$/.test(t.fmt ?? '') && /^[+-]$/.test(tokens[i + 1]?.fmt ?? '') && isDigit(tokens[i + 2]));
+        const known = (t, i) => (isDate ? /[yYmMdDhHsSaApP]/.test(t.fmt) : i === expAt);
+        if (tokens.some((t, i) => t.fmt && /[A-Za-z]/.test(t.fmt) && !known(t, i))) return sign + this.#formulaValueToText(n);
+        if (isDate) return this.#formatDateTokens(value, tokens);
+        if (expAt >= 0) return sign + this.#formatScientific(n, tokens, expAt);
+        const slashAt = tokens.findIndex((t, i) => t.fmt === '/' && isDigit(tokens[i - 1]) && /^[0-9#?]$/.test(tokens[i + 1]?.fmt ?? ''));
+        if (slashAt >= 0) return sign + this.#formatFraction(n, tokens, slashAt);
+        return sign + this.#formatNumberTokens(n, tokens);
+    }
+
+    #formatNumberTokens(n, tokens) {
+        const render = (list) => list.map(t => (t.lit != null ? t.lit : t.fmt)).join('');
+        const isDigit = (t) => t.fmt && /[0#?]/.test(t.fmt);
+        const first = tokens.findIndex(isDigit);
+        if (first < 0) return render(tokens);
+        let last = first;
+        tokens.forEach((t, i) => { if (isDigit(t)) last = i; });
+        // The number pattern spans from the first to the last digit placeholder ('.' and ',' inside belong to it)
+        const pattern = tokens.slice(first, last + 1).map(t => t.fmt ?? '').join('');
+        const percents = tokens.filter(t => t.fmt === '%').length;
+        // Commas right after the last placeholder or just before the decimal point scale by 1000 each ('#,##0,' shows thousands)
+        let after = last + 1;
+        while (tokens[after]?.fmt === ',') after++;
+        let [intPat, fracPat = ''] = pattern.split('.');
+        let scale = after - last - 1;
+        if (pattern.includes('.')) intPat = intPat.replace(/,+$/, (m) => { scale += m.length; return ''; });
+        const decimals = (fracPat.match(/[0#?]/g) || []).length;
+        const minDecimals = (fracPat.match(/0/g) || []).length;
+        const minInt = (intPat.match(/0/g) || []).length;
+        let [intStr, fracStr = ''] = (n * Math.pow(100, percents) / Math.pow(1000, scale)).toFixed(decimals).split('.');
+        fracStr = fracStr.replace(/0+$/, '').padEnd(minDecimals, '0');
+        if (intStr === '0' && minInt === 0) intStr = '';
+        intStr = intStr.padStart(minInt, '0');
+        if (intPat.includes(',')) intStr = intStr.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        const num = fracStr ? `${intStr}.${fracStr}` : intStr;
+        return render(tokens.slice(0, first)) + num + render(tokens.slice(after));
+    }
+
+    // Scientific notation: '0.00E+00' shows 1234.5 as 1.23E+03 ('E-' only writes negative signs). A '#' mantissa
+    // with several integer digits ('##0.0E+0') keeps the exponent a multiple of their count (engineering notation).
+    #formatScientific(n, tokens, expAt) {
+        const render = (list) => list.map(t => (t.lit != null ? t.lit : t.fmt)).join('');
+        const isDigit = (t) => !!t?.fmt && /[0#?]/.test(t.fmt);
+        const first = tokens.findIndex(isDigit);
+        let end = expAt + 2;
+        while (isDigit(tokens[end])) end++;
+        const [intPat, fracPat = ''] = (first < expAt ? tokens.slice(first, expAt) : []).map(t => t.fmt ?? '').join('').split('.');
+        const intDigits = Math.max(1, (intPat.match(/[0#?]/g) || []).length);
+        const step = intDigits > 1 && intPat.includes('#') ? intDigits : 1;
+        const decimals = (fracPat.match(/[0#?]/g) || []).length;
+        const minDecimals = (fracPat.match(/0/g) || []).length;
+        let exp = n === 0 ? 0 : Math.floor(Math.log10(n));
+        exp = step > 1 ? Math.floor(exp / step) * step : exp - (intDigits - 1);
+        // Rounding the mantissa can carry into one more digit (9.999 -> 10.00)
+        if (n !== 0 && Number((n / Math.pow(10, exp)).toFixed(decimals)) >= Math.pow(10, step > 1 ? step : intDigits)) exp += step;
+        let [intStr, fracStr = ''] = (n / Math.pow(10, exp)).toFixed(decimals).split('.');
+        fracStr = fracStr.replace(/0+$/, '').padEnd(minDecimals, '0');
+        intStr = intStr.padStart((intPat.match(/0/g) || []).length, '0');
+        const mantissa = fracStr ? `${intStr}.${fracStr}` : intStr;
+        const expSign = exp < 0 ? '-' : tokens[expAt + 1].fmt === '+' ? '+' : '';
+        const expDigits = String(Math.abs(exp)).padStart(tokens.slice(expAt + 2, end).filter(t => t.fmt === '0').length, '0');
+        return render(tokens.slice(0, Math.min(first, expAt))) + mantissa + tokens[expAt].fmt + expSign + expDigits + render(tokens.slice(end));
+    }
+
+    // Fractions: '# ?/?' (whole number and fraction), '?/?' (improper fraction), '# ??/??' (denominators up to 99),
+    // '# ?/8' (fixed denominator). The closest fraction wins; a whole number leaves the fraction blank.
+    #formatFraction(n, tokens, slashAt) {
+        const render = (list) => list.map(t => (t.lit != null ? t.lit : t.fmt)).join('');
+        const isDigit = (t) => !!t?.fmt && /[0#?]/.test(t.fmt);
+        const pat = (list) => list.map(t => t.fmt).join('');
+        let numStart = slashAt;
+        while (isDigit(tokens[numStart - 1])) numStart--;
+        let denEnd = slashAt + 1;
+        while (/^[0-9#?]$/.test(tokens[denEnd]?.fmt ?? '')) denEnd++;
+        // The whole-number part: the placeholders before the numerator, apart from a separator (usually a space)
+        let wholeEnd = numStart;
+        while (wholeEnd > 0 && !isDigit(tokens[wholeEnd - 1])) wholeEnd--;
+        let wholeStart = wholeEnd;
+        while (isDigit(tokens[wholeStart - 1])) wholeStart--;
+        const hasWhole = wholeEnd > 0;
+        const numPat = pat(tokens.slice(numStart, slashAt));
+        const denPat = pat(tokens.slice(slashAt + 1, denEnd));
+        let whole = hasWhole ? Math.floor(n) : 0;
+        const frac = n - whole;
+        const fixed = /^[1-9]\d*$/.test(denPat) ? Number(denPat) : null;
+        let den = fixed ?? 1;
+        let num = Math.round(frac * den);
+        if (!fixed) {
+            const maxDen = Math.pow(10, denPat.length) - 1;
+            for (let d = 2, best = Math.abs(frac - num); d <= maxDen && best > 0; d++) {
+                const k = Math.round(frac * d);
+                const err = Math.abs(frac - k / d);
+                if (err < best) { best = err; num = k; den = d; }
+            }
+        }
+        if (hasWhole && num === den) { whole++; num = 0; }
+        // Placeholders missing a digit: '0' writes a zero, '?' a space, '#' nothing
+        const fill = (text, p, right = false) => {
+            const pad = [...p.slice(0, Math.max(0, p.length - text.length))].map(ch => (ch === '0' ? '0' : ch === '?' ? ' ' : '')).join('');
+            return right ? text + pad : pad + text;
+        };
+        const wholePat = pat(tokens.slice(wholeStart, wholeEnd));
+        const prefix = render(tokens.slice(0, hasWhole ? wholeStart : numStart));
+        const suffix = render(tokens.slice(denEnd));
+        if (hasWhole && num === 0) {
+            const blank = ' '.repeat(render(tokens.slice(wholeEnd, denEnd)).length);
+            return prefix + String(whole) + blank + suffix;
+        }
+        const wholeText = hasWhole ? (whole ? String(whole) : wholePat.includes('0') ? '0' : '') + render(tokens.slice(wholeEnd, numStart)) : '';
+        const denText = fixed ? String(den) : fill(String(den), denPat, true);
+        return prefix + wholeText + fill(String(num), numPat) + '/' + denText + suffix;
+    }
+
+    // Date/time codes: yyyy yy m mm mmm mmmm mmmmm d dd ddd dddd h hh m/mm (minutes) s ss AM/PM A/P
+    #formatDateTokens(serial, tokens) {
+        const d = new Date(Math.round(serial * 86400000) + Date.UTC(1899, 11, 30));
+        // Group runs of the same letter into date parts
+        const parts = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const t = tokens[i];
+            if (t.elapsed) { parts.push({ code: t.elapsed, elapsed: true }); continue; }
+            if (t.fmt && /^[aA]$/.test(t.fmt)) {
+                const ahead = tokens.slice(i, i + 5).map(x => x.fmt ?? '\u0000').join('');
+                if (/^am\/pm$/i.test(ahead)) { parts.push({ ampm: 'long' }); i += 4; continue; }
+                if (/^a\/p/i.test(ahead)) { parts.push({ ampm: 'short' }); i += 2; continue; }
+            }
+            if (t.fmt && /[yYmMdDhHsS]/.test(t.fmt)) {
+                const ch = t.fmt.toLowerCase();
+                let run = 1;
+                while (tokens[i + run]?.fmt?.toLowerCase() === ch) run++;
+                parts.push({ code: ch.repeat(run) });
+                i += run - 1;
+                continue;
+            }
+            parts.push({ lit: t.lit ?? t.fmt });
+        }
+        // 'm'/'mm' right after an hour or right before seconds means minutes
+        const codes = parts.filter(p => p.code);
+        codes.forEach((p, k) => {
+            if (!/^m{1,2}$/.test(p.code)) return;
+            if (codes[k - 1]?.code[0] === 'h' || codes[k + 1]?.code[0] === 's') p.minutes = true;
+        });
+        const hasAmPm = parts.some(p => p.ampm);
+        const hours = d.getUTCHours();
+        const pad = (v) => String(v).padStart(2, '0');
+        const num = (v, code) => (code.length > 1 ? pad(v) : String(v));
+        // Elapsed time ([h]:mm, [mm]:ss): the total count of the unit, not limited to a day or an hour
+        const elapsedMs = Math.round(Math.abs(serial) * 86400000);
+        const elapsedUnit = { h: 3600000, m: 60000, s: 1000 };
+        return parts.map((p) => {
+            if (p.lit != null) return p.lit;
+            if (p.ampm) return p.ampm === 'long' ? (hours < 12 ? 'AM' : 'PM') : (hours < 12 ? 'A' : 'P');
+            const code = p.code;
+            if (p.elapsed) return (serial < 0 ? '-' : '') + num(Math.floor(elapsedMs / elapsedUnit[code[0]]), code);
+            if (p.minutes) return num(d.getUTCMinutes(), code);
+            switch (code[0]) {
+                case 'y': return code.length <= 2 ? pad(d.getUTCFullYear() % 100) : String(d.getUTCFullYear());
+                case 'm': {
+                    const name = MONTH_NAMES[d.getUTCMonth()];
+                    if (code.length <= 2) return num(d.getUTCMonth() + 1, code);
+                    if (code.length === 3) return name.slice(0, 3);
+                    return code.length === 5 ? name[0] : name;
+                }
+                case 'd': {
+                    const name = DAY_NAMES[d.getUTCDay()];
+                    if (code.length <= 2) return num(d.getUTCDate(), code);
+                    return code.length === 3 ? name.slice(0, 3) : name;
+                }
+                case 'h': return num(hasAmPm ? (hours % 12 || 12) : hours, code);
+                case 's': return num(d.getUTCSeconds(), code);
+                default: return code;
+            }
+        }).join('');
+    }
+
+    // ----- Clipboard -----
+    // Copy writes TSV + an HTML table (Excel/Sheets read both); paste reads an HTML table first
+    // (values + basic styles), else TSV. Copies made here are pasted from `_clipboard` so raw values,
+    // formulas (relative references shifted like Excel) and full cell styles survive.
+
+    #onCopy(e, cut = false) {
+        const sel = this._selection;
+        const rect = this.#selectionRect();
+        if (!rect || !e.clipboardData || !this.#isGridTarget(e.target)) return;
+        // Text selected inside the cell being edited is copied by the browser as usual
+        if (sel.type === 'cell' && this.#hasTextSelection()) return;
+        e.preventDefault();
+        // Cutting locked cells does nothing (not even the copy)
+        if (cut && this.#rectLocked(rect)) return;
+        const { text, html, cells } = this.#serializeRect(rect);
+        e.clipboardData.setData('text/plain', text);
+        e.clipboardData.setData('text/html', html);
+        this._clipboard = { text, cells, r: rect.sr, c: rect.sc };
+        if (cut) this.#clearSelectionValues();
+    }
+
+    #onPaste(e) {
+        const rect = this.#selectionRect();
+        const cd = e.clipboardData;
+        if (!rect || !cd || !this.#isGridTarget(e.target)) return;
+        const { grid, fromTable, own } = this.#clipboardGrid(cd.getData('text/plain') || '', cd.getData('text/html') || '');
+        if (!grid.length) return;
+        e.preventDefault();
+        // While editing, a single plain value goes in at the caret like typing
+        if (this._editing && !fromTable && grid.length === 1 && grid[0].length === 1) {
+            if (document.execCommand?.('insertText', false, grid[0][0].value)) return;
+        }
+        this.#pasteGrid(grid, rect.sr, rect.sc, { withStyles: fromTable, origin: own });
+    }
+
+    // Clipboard text/html -> grid of { value, style? }. A copy made in this table (`own`) is pasted from
+    // `_clipboard`; HTML tables bring basic styles (`fromTable`), anything else is read as TSV.
+    #clipboardGrid(text, html) {
+        const own = this._clipboard && text === this._clipboard.text ? this._clipboard : null;
+        let grid = null;
+        if (own) {
+            grid = own.cells;
+        } else if (/<table[\s>]/i.test(html)) {
+            grid = this.#parseHtmlTable(html);
+        }
+        const fromTable = !!grid;
+        if (!grid) grid = this.#parseCSV(text, '\t').map(row => row.map(value => ({ value })));
+        return { grid, fromTable, own };
+    }
+
+    // Context menu cut/copy: there is no clipboard event, so write through the async Clipboard API.
+    // `_clipboard` keeps the copy, so it still pastes within the table when the browser denies access.
+    async #copySelection(cut = false) {
+        const rect = this.#selectionRect();
+        if (!rect || (cut && this.#rectLocked(rect))) return;
+        this.#endEdit();
+        const { text, html, cells } = this.#serializeRect(rect);
+        this._clipboard = { text, cells, r: rect.sr, c: rect.sc };
+        if (cut) this.#clearSelectionValues();
+        try {
+            if (window.ClipboardItem && navigator.clipboard?.write) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([html], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard?.writeText(text);
+            }
+        } catch { /* no clipboard access */ }
+    }
+
+    // Context menu paste: read the system clipboard when allowed, else paste the last copy made here
+    async #pasteFromClipboard() {
+        let text = null;
+        let html = '';
+        try {
+            if (navigator.clipboard?.read) {
+                for (const item of await navigator.clipboard.read()) {
+                    if (item.types.includes('text/html')) html = await (await item.getType('text/html')).text();
+                    if (item.types.includes('text/plain')) text = await (await item.getType('text/plain')).text();
+                }
+            } else if (navigator.clipboard?.readText) {
+                text = await navigator.clipboard.readText();
+            }
+        } catch { /* no clipboard access */ }
+        if (text == null && !html) {
+            if (!this._clipboard) return;
+            text = this._clipboard.text;
+        }
+        const rect = this.#selectionRect();
+        if (!rect) return;
+        const { grid, fromTable, own } = this.#clipboardGrid(text ?? '', html);
+        if (grid.length) this.#pasteGrid(grid, rect.sr, rect.sc, { withStyles: fromTable, origin: own });
+    }
+
+    // Write a grid of { value, style? } from (r0, c0), growing the sheet as needed; one undo step
+    #pasteGrid(grid, r0, c0, { withStyles = false, origin = null } = {}) {
+        const height = grid.length;
+        const width = Math.max(...grid.map(row => row.length));
+        if (this.#rectLocked({ sr: r0, sc: c0, er: r0 + height - 1, ec: c0 + width - 1 })) return;
+        this.#endEdit();
+        this.#endTypingTxn();
+        const before = { rows: this.model.rows, cols: this.model.cols };
+        // One undo step: the columns and rows added at the end, then the pasted cells
+        this.#historyStep(() => {
+            const sheet = this._activeSheet;
+            if (c0 + width > before.cols) this.#pushHistory({ type: 'lines', sheet, axis: 'col', index: before.cols, count: c0 + width - before.cols });
+            if (r0 + height > before.rows) this.#pushHistory({ type: 'lines', sheet, axis: 'row', index: before.rows, count: r0 + height - before.rows });
+            this.#growGrid(r0 + height, c0 + width);
+            const cells = [];
+            for (let i = 0; i < height; i++) {
+                for (let j = 0; j < width; j++) cells.push(withStyles ? { r: r0 + i, c: c0 + j, input: true, style: true } : { r: r0 + i, c: c0 + j, input: true });
+            }
+            this.#pushCellsUndo(cells);
+        });
+        const changes = [];
+        if (!this.model.formulas) this.model.formulas = {};
+        if (!this.model.cellStyles) this.model.cellStyles = {};
+        for (let i = 0; i < height; i++) {
+            for (let j = 0; j < width; j++) {
+                const cell = grid[i][j] || { value: '' };
+                const r = r0 + i;
+                const c = c0 + j;
+                const key = this.#cellKey(r, c);
+                const value = cell.value == null ? '' : String(cell.value);
+                const oldValue = this.#editText(r, c);
+                if (value.length > 1 && value[0] === '=') {
+                    const formula = origin ? this.#offsetFormulaRefs(value.slice(1), r0 - origin.r, c0 - origin.c) : value.slice(1);
+                    this.model.formulas[key] = { formula, value: null };
+                    this.model.data[r][c] = '';
+                } else {
+                    delete this.model.formulas[key];
+                    this.model.data[r][c] = value;
+                }
+                changes.push({ r, c, oldValue, newValue: this.#editText(r, c) });
+                if (withStyles) {
+                    const style = cell.style ? this.#sanitizeStyle({ ...cell.style }) : null;
+                    if (style) this.model.cellStyles[key] = style; else delete this.model.cellStyles[key];
+                }
+            }
+        }
+        this.#recalcAll();
+        this.#renderRect({ sr: r0, sc: c0, er: r0 + height - 1, ec: c0 + width - 1 });
+        this.#refreshFormulaText();
+        this.#setSelection(this.#makeRangeSelection(r0, c0, r0 + height - 1, c0 + width - 1));
+        if (this.model.cols > before.cols) this.#emit('colinsert', { index: before.cols, count: this.model.cols - before.cols });
+        if (this.model.rows > before.rows) this.#emit('rowinsert', { index: before.rows, count: this.model.rows - before.rows });
+        this.#emitCellChanges(changes);
+        if (withStyles) this.#emit('stylechange', { scope: 'range', range: this.#rangeToA1({ r: r0, c: c0 }, { r: r0 + height - 1, c: c0 + width - 1 }) });
+    }
+
+    // Add rows/columns (without an undo step of their own) until the sheet is at least rows x cols
+    #growGrid(rows, cols) {
+        const grown = this.model.rows < rows || this.model.cols < cols;
+        while (this.model.cols < cols) {
+            for (let r = 0; r < this.model.rows; r++) this.model.data[r].push('');
+            this.model.cols += 1;
+            if (!Array.isArray(this.model.columnStyles)) this.model.columnStyles = [];
+            this.model.columnStyles.push(null);
+            if (!this._virtual) this.#appendColumnNodes();
+        }
+        while (this.model.rows < rows) {
+            this.model.data.push(Array.from({ length: this.model.cols }, () => ''));
+            this.model.rows += 1;
+            if (!this._virtual) this.#appendRowNodes();
+        }
+        if (this._virtual && grown) this.#render();
+    }
+
+    #hasTextSelection() {
+        const s = window.getSelection?.();
+        return !!s && !s.isCollapsed && !!this._wrapEl?.contains(s.anchorNode);
+    }
+
+    // TSV (display text, Excel quoting), HTML table (display text + inline CSS) and raw cells for `_clipboard`
+    #serializeRect(rect) {
+        const { topLeftMap, coveredSet } = this.#buildMergeMaps(this.model.mergedCells || []);
+        const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const lines = [];
+        const htmlRows = [];
+        const cells = [];
+        for (let r = rect.sr; r <= rect.er; r++) {
+            const fields = [];
+            const tds = [];
+            const row = [];
+            for (let c = rect.sc; c <= rect.ec; c++) {
+                const covered = coveredSet.has(this.#posKey(r, c));
+                const shown = covered ? '' : this.#displayText(r, c);
+                fields.push(/[\t\n\r"]/.test(shown) ? `"${shown.replace(/"/g, '""')}"` : shown);
+                const style = this.model.cellStyles?.[this.#cellKey(r, c)];
+                row.push({ value: covered ? '' : this.#editText(r, c), style: style ? { ...style } : null });
+                if (covered) continue;
+                const span = topLeftMap.get(this.#posKey(r, c));
+                const spanAttrs = span ? `${span.rowSpan > 1 ? ` rowspan="${Math.min(span.rowSpan, rect.er - r + 1)}"` : ''}${span.colSpan > 1 ? ` colspan="${Math.min(span.colSpan, rect.ec - c + 1)}"` : ''}` : '';
+                const css = Object.entries(this.#cascadedCellStyle(r, c) || {})
+                    .filter(([k]) => !NON_CSS_STYLE_KEYS.has(k) && k !== 'width' && k !== 'height')
+                    .map(([k, v]) => `${k.replace(/[A-Z]/g, m => `-${m.toLowerCase()}`)}:${v}`)
+                    .join(';');
+                tds.push(`<td${spanAttrs}${css ? ` style="${esc(css)}"` : ''}>${esc(shown).replace(/\n/g, '<br>')}</td>`);
+            }
+            lines.push(fields.join('\t'));
+            htmlRows.push(`<tr>${tds.join('')}</tr>`);
+            cells.push(row);
+        }
+        return {
+            text: lines.join('\r\n'),
+            html: `<meta charset="utf-8"><table><tbody>${htmlRows.join('')}</tbody></table>`,
+            cells
+        };
+    }
+
+    // HTML table (Excel, Google Sheets, web pages) -> grid of { value, style }; spanned slots become blanks
+    #parseHtmlTable(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const table = doc.querySelector('table');
+        if (!table) return null;
+        // Excel keeps cell formatting in class rules (.xl65 { ... }) of a <style> block
+        const classRules = new Map();
+        doc.querySelectorAll('style').forEach((st) => {
+            for (const m of st.textContent.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+                classRules.set(m[1], `${classRules.get(m[1]) || ''};${m[2]}`);
+            }
+        });
+        const grid = [];
+        [...table.rows].forEach((tr, r) => {
+            grid[r] = grid[r] || [];
+            let c = 0;
+            for (const td of tr.cells) {
+                while (grid[r][c]) c++;
+                const rowSpan = Math.max(1, td.rowSpan || 1);
+                const colSpan = Math.max(1, td.colSpan || 1);
+                const css = [...td.classList].map(cl => classRules.get(cl) || '').join(';') + ';' + (td.getAttribute('style') || '');
+                const style = this.#cssTextToCellStyle(css) || {};
+                if (!style.fontWeight && td.querySelector('b, strong')) style.fontWeight = 'bold';
+                if (!style.fontStyle && td.querySelector('i, em')) style.fontStyle = 'italic';
+                const value = this.#htmlCellText(td);
+                for (let dr = 0; dr < rowSpan; dr++) {
+                    grid[r + dr] = grid[r + dr] || [];
+                    for (let dc = 0; dc < colSpan; dc++) {
+                        grid[r + dr][c + dc] = (dr || dc) ? { value: '' } : { value, style: Object.keys(style).length ? style : null };
+                    }
+                }
+                c += colSpan;
+            }
+        });
+        // Fill holes left by ragged rows
+        const width = Math.max(0, ...grid.map(row => row.length));
+        return grid.map(row => Array.from({ length: width }, (_, c) => row[c] || { value: '' }));
+    }
+
+    // Cell text as shown: collapsed whitespace, <br> as line breaks
+    #htmlCellText(td) {
+        const clone = td.cloneNode(true);
+        clone.querySelectorAll('br').forEach(br => br.replaceWith('\u0000'));
+        return clone.textContent
+            .replace(/\u00a0/g, ' ')
+            .replace(/[ \t\r\n]+/g, ' ')
+            .trim()
+            .replace(/ ?\u0000 ?/g, '\n');
+    }
+
+    // Inline CSS declarations -> the basic cell style keys the toolbar edits (later declarations win)
+    #cssTextToCellStyle(cssText) {
+        const out = {};
+        for (const decl of String(cssText || '').split(';')) {
+            const i = decl.indexOf(':');
+            if (i < 0) continue;
+            const prop = decl.slice(0, i).trim().toLowerCase();
+            const val = decl.slice(i + 1).trim().replace(/\s*!important$/i, '');
+            const lower = val.toLowerCase();
+            if (!val) continue;
+            if (prop === 'font-weight') {
+                if (lower === 'bold' || lower === 'bolder' || Number(lower) >= 600) out.fontWeight = 'bold'; else delete out.fontWeight;
+            } else if (prop === 'font-style') {
+                if (lower === 'italic' || lower === 'oblique') out.fontStyle = 'italic'; else delete out.fontStyle;
+            } else if (prop === 'text-decoration' || prop === 'text-decoration-line') {
+                const parts = ['underline', 'line-through'].filter(d => lower.includes(d));
+                if (parts.length) out.textDecoration = parts.join(' '); else delete out.textDecoration;
+            } else if (prop === 'color') {
+                // Excel/Sheets spell out the default black text on every cell
+                if (/^(windowtext|auto|inherit|initial|black|#000|#000000|rgb\(0,\s*0,\s*0\))$/.test(lower)) delete out.color; else out.color = val;
+            } else if (prop === 'background' || prop === 'background-color') {
+                const color = val.split(/\s+/)[0];
+                if (/^(none|transparent|inherit|initial|white|#fff|#ffffff|rgb\(255,\s*255,\s*255\))$/.test(color.toLowerCase())) delete out.background; else out.background = color;
+            } else if (prop === 'text-align') {
+                if (['left', 'center', 'right', 'justify'].includes(lower)) out.textAlign = lower;
+            } else if (prop === 'vertical-align') {
+                if (['top', 'middle', 'bottom'].includes(lower)) out.verticalAlign = lower;
+            } else if (prop === 'font-size') {
+                const m = /^([\d.]+)(pt|px)$/.exec(lower);
+                if (m) out.fontSize = `${Math.round(m[2] === 'pt' ? Number(m[1]) * 4 / 3 : Number(m[1]))}px`;
+            } else if (prop === 'font-family') {
+                out.fontFamily = val;
+            }
+        }
+        return Object.keys(out).length ? out : null;
+    }
+
+    // Shift relative references by (dr, dc), as when a formula is copied to another cell; references
+    // pushed off the top/left edge become #REF!
+    #offsetFormulaRefs(formula, dr, dc) {
+        if (!dr && !dc) return formula;
+        return this.#rewriteFormulaRefs(formula, this._activeSheet, (s, rng, parts) => {
+            const move = (p, pos) => ({ r: p.rowAbs ? pos.r : pos.r + dr, c: p.colAbs ? pos.c : pos.c + dc });
+            const start = move(parts.a, rng.start);
+            const end = move(parts.b, rng.end);
+            if (start.r < 0 || start.c < 0 || end.r < 0 || end.c < 0) return null;
+            return { start, end };
+        });
+    }
+
+    // ----- Context menu -----
+    // Items are { label, icon?, disabled?, when?, action(context, table) } or 'separator'; the menu
+    // closes before an action runs
+
+    #bindContextMenu(table) {
+        table.addEventListener('contextmenu', (e) => {
+            const target = this.#contextTarget(e.target);
+            if (!target) return;
+            e.preventDefault();
+            let { clientX: x, clientY: y } = e;
+            // Opened from the keyboard (menu key, Shift+F10): show it under the focused cell
+            if (!x && !y) {
+                const box = e.target.getBoundingClientRect();
+                x = box.left;
+                y = box.bottom;
+            }
+            this.#openContextMenu(this.#contextMenuItems(target), x, y);
+        });
+    }
+
+    // The right-clicked cell or header: { type: 'cell', r, c } | { type: 'row', r } | { type: 'col', c }.
+    // Like Excel, the selection moves there unless the click is inside it.
+    #contextTarget(el) {
+        const td = el?.closest?.('td.cell');
+        const th = el?.closest?.('th');
+        if (td) {
+            const r = Number(td.dataset.r);
+            const c = Number(td.dataset.c);
+            if (!this.#selectionContains(r, c)) {
+                this.#setSelection({ type: 'cell', r, c });
+                td.focus();
+            }
+            return { type: 'cell', r, c };
+        }
+        const rect = this.#selectionRect();
+        if (th?.dataset.c != null) {
+            const c = Number(th.dataset.c);
+            const whole = rect && rect.sr === 0 && rect.er === this.model.rows - 1 && c >= rect.sc && c <= rect.ec;
+            if (!whole) this.#setSelection({ type: 'col', c });
+            return { type: 'col', c };
+        }
+        if (th?.querySelector('.row-head')) {
+            const r = Number(th.closest('tr').dataset.r);
+            const whole = rect && rect.sc === 0 && rect.ec === this.model.cols - 1 && r >= rect.sr && r <= rect.er;
+            if (!whole) this.#setSelection({ type: 'row', r });
+            return { type: 'row', r };
+        }
+        return null;
+    }
+
+    // Menu entries for a target: the built-in ones, then the host's (options.contextMenuItems).
+    // Row/column actions apply to every row/column the selection spans.
+    #contextMenuItems(target) {
+        const rect = this.#selectionRect() ?? { sr: target.r ?? 0, er: target.r ?? 0, sc: target.c ?? 0, ec: target.c ?? 0 };
+        const nRows = rect.er - rect.sr + 1;
+        const nCols = rect.ec - rect.sc + 1;
+        const rows = (one, many) => (nRows === 1 ? one : many.replace('#', nRows));
+        const cols = (one, many) => (nCols === 1 ? one : many.replace('#', nCols));
+        const touchesMerge = (this.model.mergedCells || []).some(m => m.start.r <= rect.er && m.end.r >= rect.sr && m.start.c <= rect.ec && m.end.c >= rect.sc);
+        const isRow = target.type === 'row';
+        const isCol = target.type === 'col';
+        // Locked cells keep their values; read-only mode also keeps structure and styles
+        const locked = this.#rectLocked(rect);
+        const ro = this._readOnly;
+
+        const items = [
+            { label: 'Cut', icon: 'content_cut', disabled: locked, action: () => this.#copySelection(true) },
+            { label: 'Copy', icon: 'content_copy', action: () => this.#copySelection() },
+            { label: 'Paste', icon: 'content_paste', disabled: locked, action: () => this.#pasteFromClipboard() },
+            'separator'
+        ];
+        if (!isCol) {
+            items.push(
+                { label: rows('Insert row above', 'Insert # rows above'), icon: 'north', disabled: ro, action: () => this.insertRow(rect.sr, nRows) },
+                { label: rows('Insert row below', 'Insert # rows below'), icon: 'south', disabled: ro, action: () => this.insertRow(rect.er + 1, nRows) }
+            );
+        }
+        if (!isRow) {
+            items.push(
+                { label: cols('Insert column left', 'Insert # columns left'), icon: 'west', disabled: ro, action: () => this.insertColumn(rect.sc, nCols) },
+                { label: cols('Insert column right', 'Insert # columns right'), icon: 'east', disabled: ro, action: () => this.insertColumn(rect.ec + 1, nCols) }
+            );
+        }
+        if (!isCol) items.push({ label: rows('Delete row', 'Delete # rows'), icon: 'delete', disabled: nRows >= this.model.rows || this.#linesLocked('row', rect.sr, nRows), action: () => this.removeRow(rect.sr, nRows) });
+        if (!isRow) items.push({ label: cols('Delete column', 'Delete # columns'), icon: 'delete', disabled: nCols >= this.model.cols || this.#linesLocked('col', rect.sc, nCols), action: () => this.removeColumn(rect.sc, nCols) });
+        items.push(
+            'separator',
+            { label: 'Clear contents', icon: 'backspace', disabled: locked, action: () => this.#clearSelectionValues() },
+            { label: 'Clear formatting', icon: 'format_clear', disabled: ro, action: () => this.#applyStyleToSelection('clear') },
+            'separator',
+            { label: 'Merge cells', icon: 'call_merge', disabled: (nRows === 1 && nCols === 1) || locked, action: () => this.#mergeSelection() },
+            { label: 'Unmerge cells', icon: 'call_split', disabled: !touchesMerge || ro, action: () => this.#unmergeRect(rect) }
+        );
+        if (!isRow && !isCol) {
+            const link = this.getHyperlink(target.r, target.c);
+            const cellLocked = ro || this.#isCellLocked(target.r, target.c);
+            items.push('separator', { label: link ? 'Edit link…' : 'Insert link…', icon: 'link', disabled: cellLocked, action: () => this.#openLinkPanel(target.r, target.c) });
+            if (link) items.push({ label: 'Remove link', icon: 'link_off', disabled: cellLocked, action: () => this.setHyperlink(target.r, target.c, null) });
+        }
+        if (isRow) {
+            const hidden = this.#hiddenAround('row', rect.sr, rect.er);
+            items.push(
+                'separator',
+                { label: 'Row style…', icon: 'palette', disabled: ro, action: () => this.#openStyleEditor('row', target.r) },
+                { label: rows('Hide row', 'Hide # rows'), icon: 'visibility_off', disabled: nRows >= this.model.rows - (this.model.hiddenRows?.length || 0), action: () => this.hideRows(rect.sr, nRows) },
+                { label: 'Unhide rows', icon: 'visibility', disabled: !hidden.length, action: () => this.unhideRows(hidden[0], hidden[hidden.length - 1] - hidden[0] + 1) }
+            );
+        }
+        if (isCol) {
+            const hidden = this.#hiddenAround('col', rect.sc, rect.ec);
+            const sortable = this.#canSortRows(this.#frozenRows());
+            items.push(
+                'separator',
+                { label: 'Sort ascending', icon: 'arrow_upward', disabled: !sortable, action: () => this.#sortColumn(target.c, 'asc') },
+                { label: 'Sort descending', icon: 'arrow_downward', disabled: !sortable, action: () => this.#sortColumn(target.c, 'desc') },
+                'separator',
+                { label: 'Column style…', icon: 'palette', disabled: ro, action: () => this.#openStyleEditor('col', target.c) },
+                { label: 'Column style as JSON…', icon: 'data_object', disabled: ro, action: () => this.#editColumnStyle(target.c) },
+                { label: cols('Hide column', 'Hide # columns'), icon: 'visibility_off', disabled: nCols >= this.model.cols - (this.model.hiddenColumns?.length || 0), action: () => this.hideColumns(rect.sc, nCols) },
+                { label: 'Unhide columns', icon: 'visibility', disabled: !hidden.length, action: () => this.unhideColumns(hidden[0], hidden[hidden.length - 1] - hidden[0] + 1) }
+            );
+        }
+
+        // Host entries get { target, selection, range, sheet } and the table
+        const context = {
+            target: { ...target },
+            selection: this._selection ? { ...this._selection } : null,
+            range: this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }),
+            sheet: this.getActiveSheet()
+        };
+        this._menuContext = context;
+        const host = this._contextMenuItems;
+        let all = items;
+        if (typeof host === 'function') {
+            try { all = host(context, items) ?? items; } catch (err) { console.error('contextMenuItems failed', err); }
+        } else if (Array.isArray(host) && host.length) {
+            all = [...items, 'separator', ...host];
+        }
+        // `when(context)` filters entries, `disabled` may be a function too; no stray separators
+        const out = [];
+        for (const item of all) {
+            if (item === 'separator') {
+                if (out.length && out[out.length - 1] !== 'separator') out.push(item);
+                continue;
+            }
+            if (!item || typeof item.label !== 'string') continue;
+            if (typeof item.when === 'function' && !item.when(context)) continue;
+            out.push(typeof item.disabled === 'function' ? { ...item, disabled: !!item.disabled(context) } : item);
+        }
+        if (out[out.length - 1] === 'separator') out.pop();
+        return out;
+    }
+
+    // Row/column style panel anchored at the header
+    #openStyleEditor(type, index) {
+        const anchor = type === 'row' ? this.#rowEl(index)?.cells[0] : this._theadEl.querySelector(`th[data-c="${index}"]`);
+        if (anchor) this.#openStylePanel(type, index, anchor);
+    }
+
+    #buildContextMenu() {
+        const menu = document.createElement('div');
+        menu.className = 'ct-context-menu';
+        menu.setAttribute('role', 'menu');
+        menu.style.display = 'none';
+        menu.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-item]');
+            if (!btn || btn.disabled) return;
+            const item = this._menuItems?.[Number(btn.dataset.item)];
+            const context = this._menuContext;
+            this.#closeContextMenu(true);
+            try { item?.action?.(context, this); } catch (err) { console.error('Context menu action failed', err); }
+        });
+        menu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' || e.key === 'Tab') { e.preventDefault(); this.#closeContextMenu(true); return; }
+            if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+            e.preventDefault();
+            const items = [...menu.querySelectorAll('button:not(:disabled)')];
+            const i = items.indexOf(document.activeElement) + (e.key === 'ArrowDown' ? 1 : -1);
+            items[(i + items.length) % items.length]?.focus();
+        });
+        return menu;
+    }
+
+    // Show `items` at viewport position (x, y), kept inside the viewport
+    #openContextMenu(items, x, y) {
+        const menu = this._menuEl;
+        if (!menu || !items.length) return;
+        this._menuItems = items;
+        menu.replaceChildren(...items.map((item, i) => {
+            if (item === 'separator') {
+                const sep = document.createElement('div');
+                sep.className = 'ct-menu-sep';
+                sep.setAttribute('role', 'separator');
+                return sep;
+            }
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'ct-menu-item';
+            btn.dataset.item = String(i);
+            btn.setAttribute('role', 'menuitem');
+            btn.disabled = !!item.disabled;
+            const icon = document.createElement('span');
+            icon.className = 'material-icons';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = item.icon || '';
+            const label = document.createElement('span');
+            label.textContent = item.label;
+            btn.append(icon, label);
+            return btn;
+        }));
+        menu.style.display = 'block';
+        menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - menu.offsetWidth - 4))}px`;
+        menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - menu.offsetHeight - 4))}px`;
+        menu.querySelector('button:not(:disabled)')?.focus();
+    }
+
+    #closeContextMenu(restoreFocus = false) {
+        if (!this._menuEl || this._menuEl.style.display === 'none') return;
+        this._menuEl.style.display = 'none';
+        this._menuItems = null;
+        this._menuContext = null;
+        if (restoreFocus) this.#restoreSelectionFocus();
+    }
+
+    // ----- Keyboard navigation and edit mode -----
+    // Cells stay contentEditable, but in navigation mode keys move the active cell instead of the caret.
+    // Typing or F2 enters edit mode on the active cell; Enter/Tab commit and move, Escape cancels.
+
+    #onCellKeydown(e) {
+        const sel = this._selection;
+        if (!this.#isGridTarget(e.target) || (sel?.type !== 'cell' && sel?.type !== 'range')) return;
+        const key = e.key;
+        const ctrl = e.ctrlKey || e.metaKey;
+        if (e.isComposing) return;
+
+        if (this._editing) {
+            if (key === 'Escape') { e.preventDefault(); this.#endEdit({ cancel: true }); }
+            else if (key === 'Enter' && !e.altKey) { e.preventDefault(); if (this.#endEdit()) this.#moveActiveCell(e.shiftKey ? -1 : 1, 0); }
+            else if (key === 'Tab') { e.preventDefault(); if (this.#endEdit()) this.#moveActiveCell(0, e.shiftKey ? -1 : 1); }
+            return; // everything else edits the text
+        }
+
+        // Ctrl/Cmd+K inserts or edits the link of the active cell
+        if (ctrl && !e.altKey && key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.#openLinkPanel(sel.r, sel.c);
+            return;
+        }
+
+        // Alt+Down opens the dropdown of a list cell
+        if (key === 'ArrowDown' && e.altKey && this.#validationRule(sel.r, sel.c)?.type === 'list') {
+            e.preventDefault();
+            this.#openValidationList(sel.r, sel.c);
+            return;
+        }
+
+        const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+        if (arrows[key] && !e.altKey) {
+            e.preventDefault();
+            const [dr, dc] = arrows[key];
+            if (e.shiftKey) {
+                // Grow/shrink the range from its far corner
+                const from = { r: sel.r2 ?? sel.r, c: sel.c2 ?? sel.c };
+                const to = ctrl ? this.#jumpCell(from.r, from.c, dr, dc) : {
+                    r: Math.max(0, Math.min(this.model.rows - 1, from.r + dr)),
+                    c: Math.max(0, Math.min(this.model.cols - 1, from.c + dc))
+                };
+                this.#setSelection(this.#makeRangeSelection(sel.r, sel.c, to.r, to.c));
+                if (this._virtual) this.#revealCell(to.r, to.c);
+            } else if (ctrl) {
+                const to = this.#jumpCell(sel.r, sel.c, dr, dc);
+                this.#setActiveCell(to.r, to.c);
+            } else {
+                this.#moveActiveCell(dr, dc);
+            }
+            return;
+        }
+        switch (key) {
+            case 'Tab': e.preventDefault(); this.#moveActiveCell(0, e.shiftKey ? -1 : 1); return;
+            case 'Enter': e.preventDefault(); this.#moveActiveCell(e.shiftKey ? -1 : 1, 0); return;
+            case 'Home': e.preventDefault(); this.#setActiveCell(ctrl ? 0 : sel.r, 0); return;
+            case 'End': {
+                e.preventDefault();
+                const last = ctrl ? this.#lastUsedCell() : { r: sel.r, c: this.model.cols - 1 };
+                this.#setActiveCell(last.r, last.c);
+                return;
+            }
+            case 'F2': e.preventDefault(); this.#beginEdit(sel.r, sel.c); return;
+            case 'Delete': e.preventDefault(); this.#clearSelectionValues(); return;
+            case 'Backspace':
+                // Clear the active cell and start editing it (the key itself deletes the selected text)
+                if (this.#isCellLocked(sel.r, sel.c)) e.preventDefault();
+                else this.#beginEdit(sel.r, sel.c, { caret: 'all' });
+                return;
+            default:
+                // A printable key starts editing and replaces the content (the key press types into the cell)
+                if (key.length !== 1 || ctrl || e.altKey) return;
+                if (this.#isCellLocked(sel.r, sel.c)) e.preventDefault();
+                else this.#beginEdit(sel.r, sel.c, { caret: 'all' });
+        }
+    }
+
+    // caret: 'end' (F2), 'all' (typing replaces the content) or 'keep' (double-click position)
+    #beginEdit(r, c, { caret = 'end' } = {}) {
+        if (this.#isCellLocked(r, c)) return;
+        const td = this.#revealCell(r, c);
+        if (!td) return;
+        const raw = this.#editText(r, c);
+        this._editing = { r, c, raw, undoDepth: this._undoStack.length };
+        td.classList.add('is-editing');
+        td.classList.remove('placeholder');
+        // Edit the raw input (formula source, unformatted number) rather than the displayed text
+        if (td.textContent !== raw || td.firstElementChild) td.textContent = raw;
+        if (document.activeElement !== td) td.focus();
+        if (caret === 'keep') return;
+        const range = document.createRange();
+        range.selectNodeContents(td);
+        if (caret === 'end') range.collapse(false);
+        const s = window.getSelection?.();
+        if (s) { s.removeAllRanges(); s.addRange(range); }
+    }
+
+    // Returns false when the input was refused by a 'reject' validation rule (the cell keeps its old value)
+    #endEdit({ cancel = false } = {}) {
+        const ed = this._editing;
+        if (!ed) return true;
+        this._editing = null;
+        this.#endTypingTxn();
+        const { r, c } = ed;
+        const changed = this.#editText(r, c) !== ed.raw;
+        const rule = changed && !cancel ? this.#validationRule(r, c) : null;
+        const rejected = rule?.errorStyle === 'reject' && !this.#validationPasses(rule, r, c);
+        if ((cancel || rejected) && changed) {
+            // Drop the snapshot the edit pushed and put the original input back
+            this._undoStack.length = Math.min(this._undoStack.length, ed.undoDepth);
+            const oldValue = this.#editText(r, c);
+            this.#refreshCellText(this.#writeCell(r, c, ed.raw));
+            this.#emitCellChanges([{ r, c, oldValue, newValue: ed.raw }]);
+        }
+        const td = this.#cellEl(r, c);
+        if (td) {
+            td.classList.remove('is-editing');
+            const shown = this.#displayText(r, c);
+            if (td.textContent !== shown || td.firstElementChild) td.textContent = shown;
+            td.classList.toggle('placeholder', !shown);
+            this.#paintValidation(td, r, c);
+            this.#paintHyperlink(td, r, c);
+        }
+        if (rejected) alert(this.#validationMessage(rule));
+        return !rejected;
+    }
+
+    #setActiveCell(r, c) {
+        const m = this.#mergeAt(r, c);
+        const target = m ? m.start : { r, c };
+        this.#setSelection({ type: 'cell', r: target.r, c: target.c });
+        const td = this.#revealCell(target.r, target.c);
+        if (!td) return;
+        td.focus();
+        td.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+        // Navigation mode: no caret inside the cell
+        window.getSelection?.()?.removeAllRanges();
+    }
+
+    // One step from the active cell, stepping over merged regions; stays put at the sheet edge
+    #moveActiveCell(dr, dc) {
+        const sel = this._selection;
+        const next = this.#stepCell(sel.r, sel.c, dr, dc);
+        this.#setActiveCell(next.r, next.c);
+    }
+
+    #stepCell(r, c, dr, dc) {
+        const m = this.#mergeAt(r, c);
+        let nr = dr > 0 ? (m ? m.end.r : r) + 1 : dr < 0 ? (m ? m.start.r : r) - 1 : r;
+        let nc = dc > 0 ? (m ? m.end.c : c) + 1 : dc < 0 ? (m ? m.start.c : c) - 1 : c;
+        // Hidden rows/columns are stepped over
+        while (dr && nr >= 0 && nr < this.model.rows && this.#isRowHidden(nr)) nr += dr;
+        while (dc && nc >= 0 && nc < this.model.cols && this.#isColumnHidden(nc)) nc += dc;
+        if (nr < 0 || nc < 0 || nr >= this.model.rows || nc >= this.model.cols) return { r, c };
+        const target = this.#mergeAt(nr, nc);
+        return target ? { r: target.start.r, c: target.start.c } : { r: nr, c: nc };
+    }
+
+    // Ctrl+Arrow: to the end of the current block of filled cells, else to the next filled cell, else the edge
+    #jumpCell(r, c, dr, dc) {
+        const filled = (p) => (this.model.data[p.r]?.[p.c] ?? '') !== '' || !!this.model.formulas?.[this.#cellKey(p.r, p.c)];
+        const same = (a, b) => a.r === b.r && a.c === b.c;
+        let cur = { r, c };
+        let next = this.#stepCell(cur.r, cur.c, dr, dc);
+        if (same(cur, next)) return cur;
+        if (filled(cur) && filled(next)) {
+            for (;;) {
+                const after = this.#stepCell(next.r, next.c, dr, dc);
+                if (same(after, next) || !filled(after)) return next;
+                next = after;
+            }
+        }
+        while (!filled(next)) {
+            cur = next;
+            next = this.#stepCell(cur.r, cur.c, dr, dc);
+            if (same(cur, next)) return cur;
+        }
+        return next;
+    }
+
+    // Bottom-right corner of the used area (Ctrl+End)
+    #lastUsedCell() {
+        let r = 0;
+        let c = 0;
+        for (let i = 0; i < this.model.rows; i++) {
+            for (let j = 0; j < this.model.cols; j++) {
+                if ((this.model.data[i][j] ?? '') !== '' || this.model.formulas?.[this.#cellKey(i, j)]) { r = Math.max(r, i); c = Math.max(c, j); }
+            }
+        }
+        return { r, c };
+    }
+
+    #mergeAt(r, c) {
+        return (this.model.mergedCells || []).find(m => r >= m.start.r && r <= m.end.r && c >= m.start.c && c <= m.end.c) || null;
+    }
+
+    // Keyboard and clipboard events come from a cell, or from the scroller holding focus in virtual mode
+    #isGridTarget(target) {
+        return !!target?.closest?.('td.cell') || (!!this._virtual && target === this._scrollEl);
+    }
+
+    // Delete key (and cut): clear values and formulas (not styles) of the selection as one undo step
+    #clearSelectionValues() {
+        const rect = this.#selectionRect();
+        if (!rect || this.#rectLocked(rect)) return;
+        this.#endEdit();
+        this.#endTypingTxn();
+        const cells = [];
+        for (let r = rect.sr; r <= rect.er; r++) {
+            for (let c = rect.sc; c <= rect.ec; c++) {
+                if (this.#editText(r, c) !== '') cells.push({ r, c, input: true });
+            }
+        }
+        this.#pushCellsUndo(cells);
+        const changes = [];
+        for (let r = rect.sr; r <= rect.er; r++) {
+            for (let c = rect.sc; c <= rect.ec; c++) {
+                changes.push({ r, c, oldValue: this.#editText(r, c), newValue: '' });
+                this.model.data[r][c] = '';
+                if (this.model.formulas) delete this.model.formulas[this.#cellKey(r, c)];
+            }
+        }
+        this.#recalcAll();
+        this.#renderRect(rect);
+        this.#refreshFormulaText();
+        this.#emitCellChanges(changes);
+    }
+
+    // ----- Sorting -----
+    // sortBy compares per-cell sort values { rank, v }: rank 0 numbers/dates, 1 text, 2 booleans,
+    // 3 errors, 4 blank (kept last in both directions)
+
+    #sortValue(r, c) {
+        const f = this.model.formulas?.[this.#cellKey(r, c)];
+        const v = f ? f.value : this.#coerceRawValue(this.model.data[r]?.[c]);
+        if (v == null || v === '') return { rank: 4 };
+        if (v instanceof FormulaError) return { rank: 3, v: v.code };
+        if (typeof v === 'number') return { rank: 0, v };
+        if (typeof v === 'boolean') return { rank: 2, v: Number(v) };
+        return { rank: 1, v: String(v) };
+    }
+
+    #compareSortValues(a, b, desc) {
+        if (a.rank === 4 || b.rank === 4) return (a.rank === 4) - (b.rank === 4);
+        let d = a.rank - b.rank;
+        if (!d) d = typeof a.v === 'string' ? TEXT_COLLATOR.compare(a.v, b.v) : a.v - b.v;
+        return desc ? -d : d;
+    }
+
+    // Merges inside a single row move with it; merges spanning rows of the sorted block (or reaching
+    // into it from the header) cannot
+    #sortBlockedByMerges(headerRows) {
+        return (this.model.mergedCells || []).some(m => m.end.r >= headerRows && m.start.r !== m.end.r);
+    }
+
+    // Put row order[i] at row h + i (rows above h stay): values, row and cell styles, locks, merges,
+    // hidden/filtered/locked rows and formulas, whose relative references move with their row (like Excel)
+    #reorderRows(h, order) {
+        const m = this.model;
+        const to = new Map(order.map((r, i) => [r, h + i]));
+        const dest = (r) => to.get(r) ?? r;
+        const data = m.data.slice();
+        const rowStyles = Array.isArray(m.rowStyles) ? m.rowStyles.slice() : [];
+        order.forEach((r, i) => {
+            data[h + i] = m.data[r];
+            rowStyles[h + i] = m.rowStyles?.[r] ?? null;
+        });
+        m.data = data;
+        m.rowStyles = rowStyles;
+        const rekey = (map, move = v => v) => Object.fromEntries(Object.entries(map || {}).map(([key, v]) => {
+            const p = this.#parseCellKey(key);
+            return p ? [this.#cellKey(dest(p.r), p.c), move(v, p)] : [key, v];
+        }));
+        m.cellStyles = rekey(m.cellStyles);
+        m.cellLocks = rekey(m.cellLocks);
+        m.cellValidations = rekey(m.cellValidations);
+        m.hyperlinks = rekey(m.hyperlinks);
+        m.formulas = rekey(m.formulas, (f, p) => ({ ...f, formula: this.#offsetFormulaRefs(f.formula, dest(p.r) - p.r, 0) }));
+        m.mergedCells = (m.mergedCells || []).map(g => ({ start: { r: dest(g.start.r), c: g.start.c }, end: { r: dest(g.end.r), c: g.end.c } }));
+        const remap = (list) => (list || []).map(dest).sort((a, b) => a - b);
+        m.hiddenRows = remap(m.hiddenRows);
+        m.lockedRows = remap(m.lockedRows);
+        m.filteredRows = remap(m.filteredRows);
+    }
+
+    // Menu entries: sorting the rows below `h` is possible (not read-only, no locked cell or blocking merge)
+    #canSortRows(h) {
+        return !this._readOnly && !this.#sortBlockedByMerges(h)
+            && !this.#rectLocked({ sr: h, sc: 0, er: this.model.rows - 1, ec: this.model.cols - 1 });
+    }
+
+    // Column header button and menus: sort the rows below `h` (the frozen ones) by column c. Without `dir`
+    // the button sorts ascending, or descending when the last header sort was ascending on this column.
+    #sortColumn(c, dir = null, h = this.#frozenRows()) {
+        if (this._readOnly) return;
+        const last = this._lastSort;
+        if (!dir) dir = last?.model === this.model && last.c === c && last.dir === 'asc' ? 'desc' : 'asc';
+        if (this.#rectLocked({ sr: h, sc: 0, er: this.model.rows - 1, ec: this.model.cols - 1 })) {
+            alert('Rows with locked cells cannot be sorted.');
+            return;
+        }
+        if (!this.sortBy([{ col: c, dir }], { headerRows: h })) {
+            alert('Rows cannot be sorted while merged cells span several rows.');
+            return;
+        }
+        this._lastSort = { model: this.model, c, dir };
+    }
+
+    // ----- Filters -----
+    // model.autoFilter = { r, sc, ec, columns: { [c]: criterion } } filters rows r+1 to the last row;
+    // model.filteredRows lists the rows it hides. They are only recomputed when the filter changes
+    // (like Excel), so editing a visible row never makes it disappear.
+
+    #normalizeFilterCriterion(crit) {
+        if (!crit || typeof crit !== 'object') return null;
+        if (Array.isArray(crit.values)) return { values: [...new Set(crit.values.map(v => (v == null ? '' : String(v))))] };
+        const op = String(crit.op ?? '');
+        if (!FILTER_OPERATORS.has(op)) return null;
+        if (op === 'blank') return { op };
+        const out = { op, value: String(crit.value ?? '') };
+        if (op === 'between') out.value2 = String(crit.value2 ?? '');
+        return out;
+    }
+
+    // 'A1:D20': the header row and filtered columns, down to the last row
+    #autoFilterRef() {
+        const af = this.model.autoFilter;
+        return this.#rangeToA1({ r: af.r, c: af.sc }, { r: this.model.rows - 1, c: af.ec });
+    }
+
+    // Value lists match case-insensitively, like Excel: 'North' and 'north' are one checklist entry
+    #filterKey(text) {
+        return String(text).toLocaleLowerCase();
+    }
+
+    #filterMatches(r, c, crit) {
+        const text = this.#displayText(r, c) ?? '';
+        if (crit.values) return (crit.keys ?? new Set(crit.values.map(v => this.#filterKey(v)))).has(this.#filterKey(text));
+        if (crit.op === 'blank') return text === '';
+        if (crit.op === 'contains') return text.toLowerCase().includes(crit.value.toLowerCase());
+        // equals / gt / lt / between: numbers (and dates) compare as numbers, text with the sort collation
+        const cell = this.#sortValue(r, c);
+        if (cell.rank === 4) return false;
+        const compare = (raw) => {
+            const v = this.#coerceRawValue(raw);
+            if (typeof v === 'number') return cell.rank === 0 ? cell.v - v : NaN;
+            return cell.rank === 0 ? NaN : TEXT_COLLATOR.compare(text, String(raw).trim());
+        };
+        if (crit.op === 'equals') return compare(crit.value) === 0;
+        if (crit.op === 'gt') return compare(crit.value) > 0;
+        if (crit.op === 'lt') return compare(crit.value) < 0;
+        // between: inclusive, in either order
+        const a = compare(crit.value);
+        const b = compare(crit.value2);
+        return (a >= 0 && b <= 0) || (a <= 0 && b >= 0);
+    }
+
+    // Rows below the header that fail a criterion; `except` skips one column (its own value list)
+    #computeFilteredRows(except = -1) {
+        const af = this.model.autoFilter;
+        const criteria = Object.entries(af?.columns || {})
+            .map(([c, crit]) => [Number(c), crit.values ? { ...crit, keys: new Set(crit.values.map(v => this.#filterKey(v))) } : crit])
+            .filter(([c]) => c !== except);
+        const out = [];
+        if (!criteria.length) return out;
+        for (let r = af.r + 1; r < this.model.rows; r++) {
+            if (!criteria.every(([c, crit]) => this.#filterMatches(r, c, crit))) out.push(r);
+        }
+        return out;
+    }
+
+    // Set (or remove, with null) the AutoFilter and refilter the rows; one undo step
+    #updateAutoFilter(next) {
+        this.#endEdit();
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('filter');
+        this.model.autoFilter = next;
+        this.model.filteredRows = next ? this.#computeFilteredRows() : [];
+        this.#syncFilterButtons();
+        this.#applyHidden();
+        this.#emit('filter', { ...(this.getAutoFilter() || { ref: null, columns: [] }), filtered: this.model.filteredRows.length });
+    }
+
+    // Keep the AutoFilter in place after `delta` rows/columns were inserted (> 0) or removed (< 0) at
+    // `index`; removing its header row (or all of its columns) removes it
+    #shiftAutoFilter(axis, index, delta) {
+        const af = this.model.autoFilter;
+        if (axis === 'row') {
+            this.model.filteredRows = this.#shiftIndexes(this.model.filteredRows, index, delta);
+            if (!af) return;
+            if (delta < 0 && af.r >= index && af.r < index - delta) {
+                this.model.autoFilter = null;
+                this.model.filteredRows = [];
+            } else if (af.r >= index) af.r += delta;
+            return;
+        }
+        if (!af) return;
+        const map = (c) => (c < index ? c : delta > 0 ? c + delta : c >= index - delta ? c + delta : null);
+        const sc = map(af.sc) ?? index;
+        const ec = map(af.ec) ?? index - 1;
+        if (ec < sc) {
+            this.model.autoFilter = null;
+            this.model.filteredRows = [];
+            return;
+        }
+        const columns = {};
+        for (const [c, crit] of Object.entries(af.columns)) {
+            const to = map(Number(c));
+            if (to != null) columns[to] = crit;
+        }
+        this.model.autoFilter = { r: af.r, sc, ec, columns };
+    }
+
+    #buildFilterButton(c) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'icon-btn filter-col';
+        btn.title = 'Filter rows by this column';
+        btn.setAttribute('aria-haspopup', 'dialog');
+        btn.innerHTML = '<span class="material-icons" aria-hidden="true">filter_alt</span>';
+        btn.classList.toggle('is-filtered', !!this.model.autoFilter?.columns[c]);
+        return btn;
+    }
+
+    // Filter buttons on the column headers of the AutoFilter (and the toolbar toggle) follow the model
+    #syncFilterButtons() {
+        const af = this.model.autoFilter;
+        this._theadEl?.querySelectorAll('th[data-c]').forEach((th) => {
+            const c = Number(th.dataset.c);
+            th.querySelector('.filter-col')?.remove();
+            if (af && c >= af.sc && c <= af.ec) th.querySelector('.sort-col')?.after(this.#buildFilterButton(c));
+        });
+        this._wrapEl?.querySelector('[data-action="filter"]')?.classList.toggle('active', !!af);
+    }
+
+    // Toolbar action: remove the filter, or add one on the top row of the selection (its columns when
+    // several are selected, else every column)
+    #toggleAutoFilter() {
+        if (this.model.autoFilter) { this.setAutoFilter(null); return; }
+        const rect = this.#selectionRect();
+        if (!rect) return;
+        const wide = rect.ec > rect.sc;
+        this.#updateAutoFilter({ r: rect.sr, sc: wide ? rect.sc : 0, ec: wide ? rect.ec : this.model.cols - 1, columns: {} });
+    }
+
+    // Distinct displayed values of column c in the rows the other columns' criteria let through, grouped
+    // case-insensitively (labelled with the first text seen), in sort order with blanks last
+    #filterValues(c) {
+        const af = this.model.autoFilter;
+        const hidden = new Set(this.#computeFilteredRows(c));
+        const seen = new Map();
+        for (let r = af.r + 1; r < this.model.rows; r++) {
+            if (hidden.has(r)) continue;
+            const text = this.#displayText(r, c) ?? '';
+            const key = this.#filterKey(text);
+            if (!seen.has(key)) seen.set(key, { text, sort: text === '' ? { rank: 4 } : this.#sortValue(r, c) });
+        }
+        return [...seen.values()].sort((a, b) => this.#compareSortValues(a.sort, b.sort, false)).map(v => v.text);
+    }
+
+    #buildFilterPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'ct-filter-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <button type="button" class="ct-filter-sort" data-action="sort-asc"><span class="material-icons" aria-hidden="true">arrow_upward</span><span>Sort ascending</span></button>
+            <button type="button" class="ct-filter-sort" data-action="sort-desc"><span class="material-icons" aria-hidden="true">arrow_downward</span><span>Sort descending</span></button>
+            <div class="ct-menu-sep" role="separator"></div>
+            <label class="ct-filter-field">Condition
+                <select class="ct-input" data-role="op">
+                    <option value="">None (use the list)</option>
+                    <option value="contains">Contains</option>
+                    <option value="equals">Equals</option>
+                    <option value="gt">Greater than</option>
+                    <option value="lt">Less than</option>
+                    <option value="between">Between</option>
+                    <option value="blank">Is blank</option>
+                </select>
+            </label>
+            <div class="ct-filter-operands">
+                <input class="ct-input" data-role="value" type="text" placeholder="Value" />
+                <input class="ct-input" data-role="value2" type="text" placeholder="and" />
+            </div>
+            <input class="ct-input" data-role="search" type="search" placeholder="Search values" />
+            <div class="ct-filter-list" role="group" aria-label="Values"></div>
+            <div class="ct-style-actions">
+                <button type="button" class="btn secondary" data-action="clear">Clear</button>
+                <div class="spacer"></div>
+                <button type="button" class="btn secondary" data-action="cancel">Cancel</button>
+                <button type="button" class="btn" data-action="ok">OK</button>
+            </div>
+        `;
+        const boxes = () => [...panel.querySelectorAll('.ct-filter-list input[data-value]')];
+        const syncAll = () => {
+            const all = panel.querySelector('input[data-role="all"]');
+            if (!all) return;
+            const checked = boxes().filter(b => b.checked).length;
+            all.checked = checked === boxes().length;
+            all.indeterminate = checked > 0 && !all.checked;
+        };
+        panel.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-action]')?.dataset.action;
+            const c = this._filterColumn;
+            if (!action || c == null) return;
+            if (action === 'sort-asc' || action === 'sort-desc') {
+                this.#closeFilterPanel();
+                this.#sortColumn(c, action === 'sort-asc' ? 'asc' : 'desc', this.model.autoFilter.r + 1);
+                return;
+            }
+            if (action === 'ok') {
+                const op = panel.querySelector('[data-role="op"]').value;
+                let crit = null;
+                if (op) {
+                    crit = { op, value: panel.querySelector('[data-role="value"]').value, value2: panel.querySelector('[data-role="value2"]').value };
+                } else if (boxes().some(b => !b.checked)) {
+                    crit = { values: boxes().filter(b => b.checked).map(b => b.dataset.value) };
+                }
+                this.#closeFilterPanel();
+                this.filterColumn(c, crit);
+                return;
+            }
+            this.#closeFilterPanel();
+            if (action === 'clear') this.filterColumn(c, null);
+        });
+        panel.addEventListener('change', (e) => {
+            const t = e.target;
+            if (t.dataset.role === 'all') boxes().filter(b => !b.closest('label').hidden).forEach((b) => { b.checked = t.checked; });
+            if (t.dataset.role === 'op') this.#syncFilterPanelOperands();
+            syncAll();
+        });
+        panel.addEventListener('input', (e) => {
+            if (e.target.dataset.role !== 'search') return;
+            const q = e.target.value.trim().toLowerCase();
+            boxes().forEach((b) => { b.closest('label').hidden = !!q && !b.dataset.value.toLowerCase().includes(q); });
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.preventDefault(); this.#closeFilterPanel(); return; }
+            if (e.key === 'Enter' && e.target.matches('input[type="text"], input[type="search"], select')) {
+                e.preventDefault();
+                panel.querySelector('[data-action="ok"]').click();
+            }
+        });
+        return panel;
+    }
+
+    // Open the filter dropdown of column c below its header button
+    #openFilterPanel(c, anchor) {
+        const panel = this._filterPanelEl;
+        const af = this.model.autoFilter;
+        if (!panel || !af) return;
+        this.#closeContextMenu();
+        this._filterColumn = c;
+        const crit = af.columns[c] || null;
+        const canSort = this.#canSortRows(af.r + 1);
+        panel.querySelectorAll('[data-action^="sort-"]').forEach((b) => { b.disabled = !canSort; });
+        panel.querySelector('[data-role="op"]').value = crit?.op || '';
+        panel.querySelector('[data-role="value"]').value = crit?.value ?? '';
+        panel.querySelector('[data-role="value2"]').value = crit?.value2 ?? '';
+        panel.querySelector('[data-role="search"]').value = '';
+        // Value checklist (built with textContent: the values are cell text)
+        const picked = new Set((crit?.values || []).map(v => this.#filterKey(v)));
+        const item = (text, value) => {
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            if (value == null) box.dataset.role = 'all'; else box.dataset.value = value;
+            box.checked = value == null || !crit?.values || picked.has(this.#filterKey(value));
+            const span = document.createElement('span');
+            span.textContent = text;
+            label.append(box, span);
+            return label;
+        };
+        const list = panel.querySelector('.ct-filter-list');
+        const values = this.#filterValues(c);
+        const all = item('(Select all)', null);
+        list.replaceChildren(all, ...values.map(v => item(v === '' ? '(Blanks)' : v, v)));
+        const checked = crit?.values ? values.filter(v => picked.has(this.#filterKey(v))).length : values.length;
+        all.firstChild.checked = checked === values.length;
+        all.firstChild.indeterminate = checked > 0 && checked < values.length;
+        this.#syncFilterPanelOperands();
+        panel.style.display = 'block';
+        const rect = anchor.getBoundingClientRect();
+        panel.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - panel.offsetWidth - 4))}px`;
+        panel.style.top = `${Math.max(0, Math.min(rect.bottom + 4, window.innerHeight - panel.offsetHeight - 4))}px`;
+        panel.querySelector('[data-role="search"]').focus();
+    }
+
+    // A condition replaces the value list: show the operands it needs and grey out the list
+    #syncFilterPanelOperands() {
+        const panel = this._filterPanelEl;
+        const op = panel.querySelector('[data-role="op"]').value;
+        panel.querySelector('[data-role="value"]').hidden = !op || op === 'blank';
+        panel.querySelector('[data-role="value2"]').hidden = op !== 'between';
+        panel.querySelector('[data-role="search"]').disabled = !!op;
+        panel.querySelector('.ct-filter-list').classList.toggle('is-disabled', !!op);
+        panel.querySelectorAll('.ct-filter-list input').forEach((b) => { b.disabled = !!op; });
+    }
+
+    #closeFilterPanel(restoreFocus = true) {
+        if (!this._filterPanelEl || this._filterPanelEl.style.display === 'none') return;
+        this._filterPanelEl.style.display = 'none';
+        this._filterColumn = null;
+        if (restoreFocus) this.#restoreSelectionFocus();
+    }
+
+    // ----- Find and replace -----
+    // The find bar (Ctrl+F, Ctrl+H with replace) searches the active sheet as you type. Matches are
+    // highlighted from `_find` = { model, keys, current } and Enter / Shift+Enter select the next or
+    // previous one after the active cell, so results stay right after edits.
+
+    #findRegExp(query, { matchCase = false, wholeCell = false, regex = false } = {}) {
+        const source = String(query ?? '');
+        if (!source) return null;
+        let pattern = regex ? source : source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (wholeCell) pattern = `^(?:${pattern})$`;
+        try {
+            return new RegExp(pattern, matchCase ? 'g' : 'gi');
+        } catch {
+            return null;
+        }
+    }
+
+    #findMatches(re, inFormulas) {
+        const { coveredSet } = this.#buildMergeMaps(this.model.mergedCells || []);
+        const out = [];
+        for (let r = 0; r < this.model.rows; r++) {
+            if (this.#isRowHidden(r)) continue;
+            for (let c = 0; c < this.model.cols; c++) {
+                if (this.#isColumnHidden(c) || coveredSet.has(this.#posKey(r, c))) continue;
+                const text = inFormulas ? this.#editText(r, c) : this.#displayText(r, c);
+                if (text && text.search(re) !== -1) out.push({ r, c, ref: `${this.#colIndexToLabel(c)}${r + 1}`, text });
+            }
+        }
+        return out;
+    }
+
+    // Rewrite the typed text of the cells matching `query` (or only `only` = { r, c }), skipping locked
+    // cells. One undo step.
+    #replaceMatches(query, replacement, opts, { only = null } = {}) {
+        const re = this.#findRegExp(query, opts);
+        if (!re) return 0;
+        const inFormulas = opts.lookIn === 'formulas';
+        const repl = String(replacement ?? '');
+        const changes = [];
+        for (const { r, c } of only ? [only] : this.#findMatches(re, true)) {
+            const key = this.#cellKey(r, c);
+            if ((!inFormulas && this.model.formulas?.[key]) || this.#isCellLocked(r, c)) continue;
+            const oldValue = this.#editText(r, c);
+            const newValue = opts.regex ? oldValue.replace(re, repl) : oldValue.replace(re, () => repl);
+            if (newValue !== oldValue) changes.push({ r, c, oldValue, newValue });
+        }
+        if (!changes.length) return 0;
+        this.#endEdit();
+        this.#endTypingTxn();
+        this.#pushCellsUndo(changes.map(({ r, c }) => ({ r, c, input: true })));
+        if (!this.model.formulas) this.model.formulas = {};
+        const rect = { sr: changes[0].r, sc: changes[0].c, er: changes[0].r, ec: changes[0].c };
+        for (const ch of changes) {
+            const key = this.#cellKey(ch.r, ch.c);
+            if (ch.newValue.length > 1 && ch.newValue[0] === '=') {
+                this.model.formulas[key] = { formula: ch.newValue.slice(1), value: null };
+                this.model.data[ch.r][ch.c] = '';
+            } else {
+                delete this.model.formulas[key];
+                this.model.data[ch.r][ch.c] = ch.newValue;
+            }
+            ch.newValue = this.#editText(ch.r, ch.c);
+            rect.sr = Math.min(rect.sr, ch.r); rect.er = Math.max(rect.er, ch.r);
+            rect.sc = Math.min(rect.sc, ch.c); rect.ec = Math.max(rect.ec, ch.c);
+        }
+        this.#recalcAll();
+        this.#renderRect(rect);
+        this.#refreshFormulaText();
+        this.#emitCellChanges(changes);
+        return changes.length;
+    }
+
+    #buildFindBar() {
+        const bar = document.createElement('div');
+        bar.className = 'ct-find-bar';
+        bar.setAttribute('role', 'search');
+        bar.hidden = true;
+        bar.innerHTML = `
+            <div class="ct-find-row">
+                <input class="ct-input" data-role="find" type="search" placeholder="Find" aria-label="Find" />
+                <span class="ct-find-count" aria-live="polite"></span>
+                <button type="button" class="icon-btn" data-find="prev" title="Previous match (Shift+Enter)"><span class="material-icons" aria-hidden="true">keyboard_arrow_up</span></button>
+                <button type="button" class="icon-btn" data-find="next" title="Next match (Enter)"><span class="material-icons" aria-hidden="true">keyboard_arrow_down</span></button>
+                <label><input type="checkbox" data-opt="matchCase" /> Match case</label>
+                <label><input type="checkbox" data-opt="wholeCell" /> Whole cell</label>
+                <label><input type="checkbox" data-opt="regex" /> Regex</label>
+                <select class="ct-input" data-role="look-in" title="Look in">
+                    <option value="values">Values</option>
+                    <option value="formulas">Formulas</option>
+                </select>
+                <button type="button" class="icon-btn" data-find="close" title="Close (Escape)"><span class="material-icons" aria-hidden="true">close</span></button>
+            </div>
+            <div class="ct-find-row" data-role="replace-row">
+                <input class="ct-input" data-role="replace" type="text" placeholder="Replace with" aria-label="Replace with" />
+                <button type="button" class="btn secondary" data-find="replace">Replace</button>
+                <button type="button" class="btn secondary" data-find="replace-all">Replace all</button>
+            </div>
+        `;
+        bar.addEventListener('input', () => this.#runFind(0));
+        bar.addEventListener('change', (e) => { if (e.target.matches('[data-opt], [data-role="look-in"]')) this.#runFind(0); });
+        bar.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-find]')?.dataset.find;
+            if (action === 'next' || action === 'prev') this.#runFind(action === 'next' ? 1 : -1);
+            else if (action === 'replace') this.#replaceCurrent();
+            else if (action === 'replace-all') this.#replaceAllFromBar();
+            else if (action === 'close') this.#closeFindBar();
+        });
+        bar.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.preventDefault(); this.#closeFindBar(); return; }
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (e.target.dataset.role === 'replace') this.#replaceCurrent();
+            else this.#runFind(e.shiftKey ? -1 : 1);
+        });
+        return bar;
+    }
+
+    #openFindBar(replace = false) {
+        const bar = this._findBarEl;
+        if (!bar) return;
+        this.#endEdit();
+        bar.hidden = false;
+        bar.querySelector('[data-role="replace-row"]').hidden = !replace || this._readOnly;
+        const input = bar.querySelector('[data-role="find"]');
+        // Like Excel, a single selected value becomes the search text
+        const sel = this._selection;
+        if (!input.value && sel?.type === 'cell') input.value = this.#displayText(sel.r, sel.c) ?? '';
+        input.focus();
+        input.select();
+        this.#runFind(0);
+    }
+
+    #closeFindBar() {
+        if (!this._findBarEl || this._findBarEl.hidden) return;
+        this._findBarEl.hidden = true;
+        this._find = null;
+        this.#applyFindHighlights();
+        this.#restoreSelectionFocus();
+    }
+
+    #findBarOptions() {
+        const bar = this._findBarEl;
+        const opt = (name) => !!bar.querySelector(`[data-opt="${name}"]`)?.checked;
+        return {
+            query: bar.querySelector('[data-role="find"]').value,
+            matchCase: opt('matchCase'),
+            wholeCell: opt('wholeCell'),
+            regex: opt('regex'),
+            lookIn: bar.querySelector('[data-role="look-in"]').value
+        };
+    }
+
+    // Search again and select a match: the first one at or after the active cell (step 0), the next
+    // one after it (1) or the previous one (-1), wrapping around the sheet
+    #runFind(step) {
+        const bar = this._findBarEl;
+        if (!bar || bar.hidden) return;
+        const { query, ...opts } = this.#findBarOptions();
+        const count = bar.querySelector('.ct-find-count');
+        const re = this.#findRegExp(query, opts);
+        const matches = re ? this.#findMatches(re, opts.lookIn === 'formulas') : [];
+        let index = -1;
+        if (matches.length) {
+            const sel = this._selection;
+            const at = sel?.r != null && sel?.c != null ? sel.r * this.model.cols + sel.c : -1;
+            const pos = (m) => m.r * this.model.cols + m.c;
+            if (step < 0) {
+                index = matches.findLastIndex(m => pos(m) < at);
+                if (index < 0) index = matches.length - 1;
+            } else {
+                index = matches.findIndex(m => (step ? pos(m) > at : pos(m) >= at));
+                if (index < 0) index = 0;
+            }
+        }
+        const current = matches[index];
+        this._find = { model: this.model, keys: new Set(matches.map(m => this.#cellKey(m.r, m.c))), current: current ? this.#cellKey(current.r, current.c) : null };
+        if (query && !re) count.textContent = 'Invalid pattern';
+        else count.textContent = !query ? '' : matches.length ? `${index + 1} of ${matches.length}` : 'No results';
+        if (current) {
+            // The find bar keeps the focus: select and scroll without focusing the cell
+            this.#setSelection({ type: 'cell', r: current.r, c: current.c });
+            this.#revealCell(current.r, current.c)?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+        }
+        this.#applyFindHighlights();
+    }
+
+    // Replace in the selected match (if it still matches), then move on to the next one
+    #replaceCurrent() {
+        const sel = this._selection;
+        const { query, ...opts } = this.#findBarOptions();
+        if (this._find?.current && sel?.r != null && this._find.current === this.#cellKey(sel.r, sel.c)) {
+            this.#replaceMatches(query, this._findBarEl.querySelector('[data-role="replace"]').value, opts, { only: { r: sel.r, c: sel.c } });
+        }
+        this.#runFind(1);
+    }
+
+    #replaceAllFromBar() {
+        const { query, ...opts } = this.#findBarOptions();
+        const n = this.#replaceMatches(query, this._findBarEl.querySelector('[data-role="replace"]').value, opts);
+        this.#runFind(0);
+        if (query) this._findBarEl.querySelector('.ct-find-count').textContent = `Replaced ${n} cell${n === 1 ? '' : 's'}`;
+    }
+
+    #paintFindMatch(td, r, c) {
+        const find = this._find?.model === this.model ? this._find : null;
+        const key = this.#cellKey(r, c);
+        td.classList.toggle('ct-find-match', !!find?.keys.has(key));
+        td.classList.toggle('ct-find-current', find?.current === key);
+    }
+
+    #applyFindHighlights() {
+        this._tbodyEl?.querySelectorAll('td.cell').forEach((td) => {
+            this.#paintFindMatch(td, Number(td.closest('tr').dataset.r), Number(td.dataset.c));
+        });
+    }
+
+    // ----- Data validation -----
+    // model.cellValidations maps cell keys to normalized rules (see setValidation). Typed input that breaks a
+    // 'reject' rule is refused when the edit is committed; other invalid values ('warning' rules, paste,
+    // find/replace, API calls, imports) are kept and flagged with a corner marker and a tooltip.
+
+    #normalizeValidationRule(rule) {
+        if (!rule || typeof rule !== 'object') return null;
+        const type = String(rule.type || '').toLowerCase();
+        const out = { type };
+        if (type === 'list') {
+            // values: ['pcs', 'box'] or 'pcs|box'
+            const values = typeof rule.values === 'string' ? rule.values.split('|') : rule.values;
+            if (!Array.isArray(values)) return null;
+            out.values = [...new Set(values.map(v => String(v ?? '').trim()).filter(Boolean))];
+            if (!out.values.length) return null;
+        } else if (type === 'number' || type === 'date') {
+            for (const k of ['min', 'max']) {
+                if (rule[k] == null || rule[k] === '') continue;
+                if (this.#validationBound(type, rule[k]) == null) return null;
+                out[k] = type === 'number' ? Number(rule[k]) : rule[k];
+            }
+            if (type === 'number' && rule.integer === true) out.integer = true;
+        } else if (type === 'regex') {
+            // Stateful flags (g, y) would make test() alternate between matches
+            const flags = String(rule.flags ?? '').replace(/[^imsu]/g, '');
+            if (typeof rule.pattern !== 'string' || !rule.pattern) return null;
+            try { new RegExp(rule.pattern, flags); } catch { return null; }
+            out.pattern = rule.pattern;
+            if (flags) out.flags = flags;
+        } else {
+            return null;
+        }
+        out.errorStyle = rule.errorStyle === 'warning' ? 'warning' : 'reject';
+        if (typeof rule.message === 'string' && rule.message.trim()) out.message = rule.message.trim();
+        if (rule.allowBlank === false) out.allowBlank = false;
+        return out;
+    }
+
+    // A min/max bound as a number (dates: a serial or a 'yyyy-mm-dd' string), or null
+    #validationBound(type, v) {
+        if (type === 'date' && typeof v === 'string') return this.#isoDateToSerial(v.trim());
+        const n = Number(v);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // The rule stored on (r, c) itself; a merged region's rule sits on its top-left cell
+    #validationRule(r, c) {
+        return this.model.cellValidations?.[this.#cellKey(r, c)] ?? null;
+    }
+
+    #isCellValid(r, c) {
+        const rule = this.#validationRule(r, c);
+        return !rule || this.#validationPasses(rule, r, c);
+    }
+
+    // Formula cells are checked by their result, other cells by what was typed
+    #validationPasses(rule, r, c) {
+        const f = this.model.formulas?.[this.#cellKey(r, c)];
+        const raw = f ? f.value : String(this.model.data[r]?.[c] ?? '').trim();
+        if (raw instanceof FormulaError) return false;
+        if (raw == null || raw === '') return rule.allowBlank !== false;
+        const text = String(raw);
+        const value = this.#coerceRawValue(raw);
+        switch (rule.type) {
+            case 'list':
+                return rule.values.some(v => v === text || (typeof value === 'number' && this.#coerceRawValue(v) === value));
+            case 'number':
+            case 'date': {
+                if (typeof value !== 'number') return false;
+                // Dates are typed as yyyy-mm-dd (formula results are serials already)
+                if (rule.type === 'date' && !f && this.#isoDateToSerial(text) == null) return false;
+                if (rule.integer && !Number.isInteger(value)) return false;
+                const min = rule.min != null ? this.#validationBound(rule.type, rule.min) : null;
+                const max = rule.max != null ? this.#validationBound(rule.type, rule.max) : null;
+                return (min == null || value >= min) && (max == null || value <= max);
+            }
+            case 'regex':
+                return new RegExp(rule.pattern, rule.flags || '').test(text);
+            default:
+                return true;
+        }
+    }
+
+    // Tooltip and error text: the rule's message, else a description of what it accepts
+    #validationMessage(rule) {
+        if (rule.message) return rule.message;
+        if (rule.type === 'list') return `Choose one of: ${rule.values.join(', ')}`;
+        if (rule.type === 'regex') return 'The value does not match the required pattern.';
+        const what = rule.type === 'date' ? 'a date (yyyy-mm-dd)' : rule.integer ? 'a whole number' : 'a number';
+        const { min, max } = rule;
+        if (min != null && max != null) return `Enter ${what} between ${min} and ${max}.`;
+        if (min != null) return `Enter ${what} greater than or equal to ${min}.`;
+        if (max != null) return `Enter ${what} less than or equal to ${max}.`;
+        return `Enter ${what}.`;
+    }
+
+    // List cells get a dropdown arrow (CSS, on the active cell); invalid values a marker and a tooltip
+    #paintValidation(td, r, c) {
+        const rule = this.#validationRule(r, c);
+        const invalid = !!rule && !this.#validationPasses(rule, r, c);
+        td.classList.toggle('ct-list', rule?.type === 'list' && !this.#isCellLocked(r, c));
+        td.classList.toggle('ct-invalid', invalid);
+        if (invalid) {
+            td.title = this.#validationMessage(rule);
+            td.setAttribute('aria-invalid', 'true');
+        } else {
+            td.removeAttribute('title');
+            td.removeAttribute('aria-invalid');
+        }
+    }
+
+    // In-cell dropdown of a list rule: the context menu, opened under the cell
+    #openValidationList(r, c) {
+        const rule = this.#validationRule(r, c);
+        if (rule?.type !== 'list' || this.#isCellLocked(r, c) || !this.#endEdit()) return;
+        const td = this.#revealCell(r, c);
+        if (!td) return;
+        const current = this.#editText(r, c);
+        const box = td.getBoundingClientRect();
+        this._menuContext = null;
+        this.#openContextMenu(rule.values.map(v => ({
+            label: v,
+            icon: v === current ? 'check' : '',
+            action: () => this.#pickListValue(r, c, v)
+        })), box.left, box.bottom);
+        const i = rule.values.indexOf(current);
+        if (i >= 0) this._menuEl.querySelector(`button[data-item="${i}"]`)?.focus();
+    }
+
+    #pickListValue(r, c, value) {
+        if (this.#isCellLocked(r, c) || this.#editText(r, c) === value) return;
+        this.#endTypingTxn();
+        this.#pushCellsUndo([{ r, c, input: true }]);
+        const oldValue = this.#editText(r, c);
+        this.#refreshCellText(this.#writeCell(r, c, value));
+        this.#renderRect({ sr: r, sc: c, er: r, ec: c });
+        this.#emitCellChanges([{ r, c, oldValue, newValue: this.#editText(r, c) }]);
+    }
+
+    // ----- Hyperlinks -----
+    // model.hyperlinks maps cell keys to a sanitized target: an http(s), mailto or tel URL, or `#Sheet!A1` for
+    // a cell of the workbook. Linked cells render their text inside an anchor; a click on it follows the
+    // link in navigation mode (contenteditable cells do not follow links by themselves).
+
+    #sanitizeHyperlink(target) {
+        const s = String(target ?? '').trim();
+        if (!s || s.length > 2048 || /[\u0000-\u001f\u007f]/.test(s)) return null;
+        // Cell links are checked for shape only: the sheet may not be loaded yet (or be renamed later)
+        if (s.startsWith('#')) return /^#(?:(?:'(?:[^']|'')+'|[^'!]+)!)?\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?$/i.test(s) ? s : null;
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(s)?.[1].toLowerCase();
+        if (scheme) return ['http', 'https', 'mailto', 'tel'].includes(scheme) ? s : null;
+        // Bare addresses: 'name@example.com' and 'www.example.com'
+        if (/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(s)) return `mailto:${s}`;
+        if (/^[a-z0-9-]+(\.[a-z0-9-]+)+(?:[/?#]\S*)?$/i.test(s)) return `https://${s}`;
+        return null;
+    }
+
+    // 'A1', 'B2:D5', 'Sheet2!A1' or "'My sheet'!A1:B2" -> { sheet, rect } on that sheet's grid, or null.
+    // clamp: a range reaching past the grid is cut to it instead of refused.
+    #parseSheetRange(text, { clamp = false } = {}) {
+        const m = /^(?:(?:'((?:[^']|'')+)'|([^'!]+))!)?([^!]+)$/.exec(String(text ?? '').trim());
+        if (!m) return null;
+        const name = m[1] != null ? m[1].replace(/''/g, "'") : m[2];
+        const sheet = name != null ? this.#resolveSheetIndex(name) : this._activeSheet;
+        const rng = sheet >= 0 ? this.#parseA1Range(m[3].replace(/\$/g, '')) : null;
+        if (!rng) return null;
+        const { rows, cols } = sheet === this._activeSheet ? this.model : this.sheets[sheet].model;
+        const fit = (v, n) => (clamp ? Math.min(v, n - 1) : v);
+        const rect = {
+            sr: fit(Math.min(rng.start.r, rng.end.r), rows), er: fit(Math.max(rng.start.r, rng.end.r), rows),
+            sc: fit(Math.min(rng.start.c, rng.end.c), cols), ec: fit(Math.max(rng.start.c, rng.end.c), cols)
+        };
+        if (rect.sr < 0 || rect.sc < 0 || rect.er >= rows || rect.ec >= cols) return null;
+        return { sheet, rect };
+    }
+
+    // Activate sheet `sheet` and select `rect` on it, with its top-left cell active and in view
+    #goToRange(sheet, rect) {
+        if (sheet !== this._activeSheet) this.setActiveSheet(sheet);
+        this.#setActiveCell(rect.sr, rect.sc);
+        if (rect.er !== rect.sr || rect.ec !== rect.sc) this.#setSelection(this.#makeRangeSelection(rect.sr, rect.sc, rect.er, rect.ec));
+    }
+
+    #followHyperlink(target) {
+        if (target.startsWith('#')) {
+            const dest = this.#parseSheetRange(target.slice(1), { clamp: true });
+            if (dest) this.#goToRange(dest.sheet, dest.rect);
+            return;
+        }
+        window.open(target, '_blank', 'noopener,noreferrer');
+    }
+
+    // Stored on the top-left cell of a merged region
+    #writeHyperlink(r, c, target) {
+        const m = this.#mergeAt(r, c);
+        const p = m ? m.start : { r, c };
+        const key = this.#cellKey(p.r, p.c);
+        if (!this.model.hyperlinks) this.model.hyperlinks = {};
+        if (target) this.model.hyperlinks[key] = target;
+        else delete this.model.hyperlinks[key];
+        this.#renderRect({ sr: p.r, sc: p.c, er: p.r, ec: p.c });
+        this.#emit('hyperlinkchange', { r: p.r, c: p.c, ref: `${this.#colIndexToLabel(p.c)}${p.r + 1}`, target: target || null });
+    }
+
+    // Wrap the displayed text of a linked cell in an anchor (not while it is being edited)
+    #paintHyperlink(td, r, c) {
+        const target = this.model.hyperlinks?.[this.#cellKey(r, c)];
+        td.classList.toggle('ct-linked', !!target);
+        if (!target || !td.textContent || (this._editing?.r === r && this._editing?.c === c)) return;
+        const a = document.createElement('a');
+        a.className = 'ct-link';
+        a.href = target;
+        a.contentEditable = 'false';
+        a.title = target.startsWith('#') ? `Go to ${target.slice(1)}` : target;
+        a.textContent = td.textContent;
+        td.replaceChildren(a);
+    }
+
+    #buildLinkPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'ct-link-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Link');
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <label class="ct-filter-field">Text to display
+                <input class="ct-input" data-role="text" type="text" />
+            </label>
+            <label class="ct-filter-field">Link
+                <input class="ct-input" data-role="target" type="text" placeholder="https://…, mailto:…, #Sheet2!A1" />
+            </label>
+            <div class="ct-link-error" role="alert" hidden></div>
+            <div class="ct-style-actions">
+                <button type="button" class="btn secondary" data-action="remove">Remove link</button>
+                <div class="spacer"></div>
+                <button type="button" class="btn secondary" data-action="cancel">Cancel</button>
+                <button type="button" class="btn" data-action="ok">OK</button>
+            </div>
+        `;
+        panel.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-action]')?.dataset.action;
+            const cell = this._linkCell;
+            if (!action || !cell) return;
+            if (action === 'ok') {
+                const raw = panel.querySelector('[data-role="target"]').value.trim();
+                const target = raw ? this.#sanitizeHyperlink(raw) : null;
+                const error = panel.querySelector('.ct-link-error');
+                if (raw && !target) {
+                    error.textContent = 'Use a web address (https://…), an email address or a cell reference such as #Sheet2!A1.';
+                    error.hidden = false;
+                    return;
+                }
+                this.#closeLinkPanel();
+                this.#applyLinkPanel(cell.r, cell.c, target, panel.querySelector('[data-role="text"]').value);
+                return;
+            }
+            this.#closeLinkPanel();
+            if (action === 'remove' && this.getHyperlink(cell.r, cell.c)) this.setHyperlink(cell.r, cell.c, null);
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.preventDefault(); this.#closeLinkPanel(); return; }
+            if (e.key === 'Enter' && e.target.matches('input')) {
+                e.preventDefault();
+                panel.querySelector('[data-action="ok"]').click();
+            }
+        });
+        return panel;
+    }
+
+    // Insert/edit link dialog for cell (r, c), below the cell
+    #openLinkPanel(r, c) {
+        const panel = this._linkPanelEl;
+        if (!panel || this._readOnly) return;
+        const m = this.#mergeAt(r, c);
+        const p = m ? m.start : { r, c };
+        if (this.#isCellLocked(p.r, p.c)) return;
+        this.#endEdit();
+        this.#closeContextMenu();
+        this.#closeFilterPanel(false);
+        this._linkCell = p;
+        const target = this.getHyperlink(p.r, p.c);
+        // Formula cells keep their formula: only the link can change
+        const text = panel.querySelector('[data-role="text"]');
+        text.value = this.#displayText(p.r, p.c);
+        text.disabled = !!this.model.formulas?.[this.#cellKey(p.r, p.c)];
+        panel.querySelector('[data-role="target"]').value = target ?? '';
+        panel.querySelector('[data-action="remove"]').hidden = !target;
+        panel.querySelector('.ct-link-error').hidden = true;
+        panel.style.display = 'block';
+        const rect = (this.#revealCell(p.r, p.c) ?? this._scrollEl).getBoundingClientRect();
+        panel.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - panel.offsetWidth - 4))}px`;
+        panel.style.top = `${Math.max(0, Math.min(rect.bottom + 4, window.innerHeight - panel.offsetHeight - 4))}px`;
+        panel.querySelector('[data-role="target"]').focus();
+    }
+
+    #closeLinkPanel(restoreFocus = true) {
+        if (!this._linkPanelEl || this._linkPanelEl.style.display === 'none') return;
+        this._linkPanelEl.style.display = 'none';
+        this._linkCell = null;
+        if (restoreFocus) this.#restoreSelectionFocus();
+    }
+
+    // The dialog's text and link change together as one undo step; an empty cell shows the link itself
+    #applyLinkPanel(r, c, target, text) {
+        const oldValue = this.#editText(r, c);
+        const isFormula = !!this.model.formulas?.[this.#cellKey(r, c)];
+        let value = isFormula || text === this.#displayText(r, c) ? null : text;
+        if (!isFormula && !text && !oldValue && target) value = target.startsWith('#') ? target.slice(1) : target.replace(/^mailto:/i, '');
+        if (target === this.getHyperlink(r, c) && value == null) return;
+        this.#endTypingTxn();
+        this.#pushUndoSnapshot('hyperlink');
+        if (value != null) this.#refreshCellText(this.#writeCell(r, c, value));
+        this.#writeHyperlink(r, c, target);
+        if (value != null) this.#emitCellChanges([{ r, c, oldValue, newValue: this.#editText(r, c) }]);
+    }
+
+    // ----- Named ranges -----
+    // Excel's rules: a letter, '_' or '\' first, then letters, digits, '_' and '.'; nothing that reads as a
+    // cell reference (A1, R1C1, R, C); at most 255 characters
+    #isValidRangeName(name) {
+        return typeof name === 'string' && name.length <= 255
+            && /^[A-Za-z_\\][A-Za-z0-9_.]*$/.test(name)
+            && !/^[A-Za-z]{1,3}\d+$/.test(name)
+            && !/^[RC]$|^R\d*C\d*$/i.test(name);
+    }
+
+    // Names are case-insensitive
+    #findNameIndex(name) {
+        const lower = name.toLowerCase();
+        return this._names.findIndex(n => n.name.toLowerCase() === lower);
+    }
+
+    // A name whose range was deleted (entry.sheet is null) refers to #REF!, like in Excel
+    #nameRangeA1(entry) {
+        if (entry.sheet == null) return '#REF!';
+        return this.#rangeToA1({ r: entry.sr, c: entry.sc }, { r: entry.er, c: entry.ec }).replace(/^([A-Z]+\d+):\1$/, '$1');
+    }
+
+    // Absolute, sheet-qualified reference: "'Sheet 1'!$A$1:$C$10"
+    #nameRef(entry, sheetName = entry.sheet) {
+        if (entry.sheet == null) return '#REF!';
+        return `${this.#quoteSheetName(sheetName)}!${this.#nameRangeA1(entry).replace(/([A-Z]+)(\d+)/g, '$$$1$$$2')}`;
+    }
+
+    // Spreadsheet JSON `names` ([{ name, value }]) -> entries; invalid or duplicate names and unresolvable
+    // references are dropped, '#REF!' (or 'Sheet1!#REF!') is kept as a deleted reference. Ranges reaching
+    // past the grid are cut to it.
+    #parseNames(list) {
+        const out = [];
+        for (const item of Array.isArray(list) ? list : []) {
+            const name = String(item?.name ?? '').trim();
+            const value = String(item?.value ?? '').trim().replace(/^=/, '');
+            const dest = this.#parseSheetRange(value, { clamp: true });
+            const deleted = !dest && /(?:^|!)#REF!$/i.test(value);
+            if ((!dest && !deleted) || !this.#isValidRangeName(name) || out.some(n => n.name.toLowerCase() === name.toLowerCase())) continue;
+            out.push(deleted ? { name, sheet: null } : { name, sheet: this.sheets[dest.sheet].name, ...dest.rect });
+        }
+        return out;
+    }
+
+    // Range of a name used in a formula as { sheet, start, end }, #REF! when its range was deleted, null for no such name
+    #resolveFormulaName(name) {
+        const entry = this._names[this.#findNameIndex(name)];
+        if (!entry) return null;
+        const s = entry.sheet == null ? -1 : this.#resolveSheetIndex(entry.sheet);
+        if (s < 0) return new FormulaError('#REF!');
+        return { sheet: s, start: { r: entry.sr, c: entry.sc }, end: { r: entry.er, c: entry.ec } };
+    }
+
+    // Names on the active sheet follow inserted/removed rows or columns; a name whose whole range is removed
+    // stays defined with a #REF! reference
+    #shiftNames(axis, index, count) {
+        const sheet = this.sheets[this._activeSheet]?.name;
+        this._names = this._names.map((n) => {
+            if (n.sheet == null || n.sheet !== sheet) return n;
+            const next = axis === 'row' ? this.#shiftSpan(n.sr, n.er, index, count) : this.#shiftSpan(n.sc, n.ec, index, count);
+            if (!next) return { name: n.name, sheet: null };
+            return axis === 'row' ? { ...n, sr: next[0], er: next[1] } : { ...n, sc: next[0], ec: next[1] };
+        });
+    }
+
+    // Name box: the name of the selected range, else the active cell's address (left alone while typing in it)
+    #refreshNameBox() {
+        const input = this._wrapEl?.querySelector('[data-role="name-box"]');
+        if (!input || input === document.activeElement) return;
+        input.classList.remove('is-invalid');
+        const sel = this._selection;
+        const rect = this.#selectionRect();
+        if (!rect) { input.value = ''; return; }
+        const sheet = this.sheets[this._activeSheet].name;
+        const named = this._names.find(n => n.sheet === sheet && n.sr === rect.sr && n.sc === rect.sc && n.er === rect.er && n.ec === rect.ec);
+        input.value = named ? named.name : `${this.#colIndexToLabel(sel.c ?? rect.sc)}${(sel.r ?? rect.sr) + 1}`;
+    }
+
+    // Enter in the name box: go to a name or an address; an unknown valid name is defined for the selection (like Excel)
+    #submitNameBox(input) {
+        const text = input.value.trim();
+        if (!text) { input.blur(); this.#refreshNameBox(); this.#restoreSelectionFocus(); return; }
+        const named = this._names[this.#findNameIndex(text)];
+        const dest = named ? this.#parseSheetRange(this.#nameRef(named), { clamp: true }) : this.#parseSheetRange(text, { clamp: true });
+        const rect = this.#selectionRect();
+        if (dest) {
+            input.blur();
+            this.#goToRange(dest.sheet, dest.rect);
+        } else if (!named && rect && !this._readOnly && this.#isValidRangeName(text)) {
+            input.blur();
+            this.defineName(text, this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }));
+            this.#restoreSelectionFocus();
+        } else {
+            input.classList.add('is-invalid');
+            input.select();
+            return;
+        }
+        this.#refreshNameBox();
+    }
+
+    // ----- Images -----
+    // The workbook keeps each image once in `_images` (id -> data URL); model.drawings places them on a sheet as
+    // { id, image, r, c, offsetX, offsetY, width, height }: anchored to the top-left cell (r, c), so they move with
+    // inserted and deleted rows/columns. The drawing layer inside the scroller shows them over the cells, at
+    // positions measured from the rendered grid.
+
+    #isImageDataUrl(src) {
+        return typeof src === 'string' && /^data:image\/(?:png|jpeg|gif|webp|bmp|svg\+xml);base64,[A-Za-z0-9+/=\s]+$/i.test(src);
+    }
+
+    // Id of `src` in the image store (added when new), or null when it is not an image data URL
+    #storeImage(src) {
+        if (!this.#isImageDataUrl(src)) return null;
+        const known = Object.keys(this._images).find(id => this._images[id] === src);
+        if (known) return known;
+        let n = Object.keys(this._images).length + 1;
+        while (`image${n}` in this._images) n++;
+        this._images[`image${n}`] = src;
+        return `image${n}`;
+    }
+
+    #uniqueDrawingId(taken) {
+        let n = 1;
+        while (taken.has(`drawing${n}`)) n++;
+        return `drawing${n}`;
+    }
+
+    // Drawing from API or JSON input, anchored inside a rows x cols grid; null when its image is unknown.
+    // Offsets are whole px; a missing size stays null until the image has loaded (see #layoutDrawings).
+    #normalizeDrawing(d, rows, cols) {
+        if (!d || typeof d.image !== 'string' || !this._images[d.image]) return null;
+        const r = Number(d.r);
+        const c = Number(d.c);
+        if (!Number.isFinite(r) || !Number.isFinite(c)) return null;
+        const offset = (v) => (Number.isFinite(Number(v)) ? Math.max(0, Math.round(Number(v))) : 0);
+        const size = (v) => (v != null && Number(v) >= 1 ? Math.round(Number(v)) : null);
+        return {
+            id: typeof d.id === 'string' && d.id.trim() ? d.id.trim() : null,
+            image: d.image,
+            r: Math.max(0, Math.min(rows - 1, Math.trunc(r))),
+            c: Math.max(0, Math.min(cols - 1, Math.trunc(c))),
+            offsetX: offset(d.offsetX),
+            offsetY: offset(d.offsetY),
+            width: size(d.width),
+            height: size(d.height)
+        };
+    }
+
+    #findDrawing(id) {
+        return (this.model.drawings || []).find(d => d.id === id) ?? null;
+    }
+
+    #drawingRef(d) {
+        return `${this.#colIndexToLabel(d.c)}${d.r + 1}`;
+    }
+
+    // Rows/columns inserted before the anchor push it along; when the anchor row/column is deleted the drawing
+    // moves to the one after the deleted block (the last one when nothing follows), keeping its offset
+    #shiftDrawings(axis, index, delta) {
+        const key = axis === 'row' ? 'r' : 'c';
+        const last = (axis === 'row' ? this.model.rows : this.model.cols) - 1;
+        for (const d of this.model.drawings || []) {
+            if (d[key] < index) continue;
+            d[key] = delta > 0 || d[key] >= index - delta ? d[key] + delta : index;
+            d[key] = Math.min(d[key], last);
+        }
+    }
+
+    // Own size of an image for a drawing without one: the given width or height keeps the proportions,
+    // otherwise the image is scaled down to fit 480 x 360
+    #fitImageSize(naturalWidth, naturalHeight, d) {
+        if (d.width != null) return { width: d.width, height: Math.max(1, Math.round(d.width * naturalHeight / naturalWidth)) };
+        if (d.height != null) return { width: Math.max(1, Math.round(d.height * naturalWidth / naturalHeight)), height: d.height };
+        const k = Math.min(1, 480 / naturalWidth, 360 / naturalHeight);
+        return { width: Math.max(1, Math.round(naturalWidth * k)), height: Math.max(1, Math.round(naturalHeight * k)) };
+    }
+
+    // Pixel edges in the scroller's content: rowTops[r] is where row r starts below the header row and
+    // colLefts[c] where column c starts right of the row heads (hidden rows/columns take no space)
+    #gridEdges() {
+        const { rows, cols } = this.model;
+        const headHeight = this._theadEl?.offsetHeight || 0;
+        const rowTops = new Float64Array(rows + 1);
+        const colLefts = new Float64Array(cols + 1);
+        if (this._virtual) {
+            const m = this._vMetrics;
+            for (let r = 0; r <= rows; r++) rowTops[r] = headHeight + m.rowTops[r];
+            for (let c = 0; c <= cols; c++) colLefts[c] = this._virtual.rowHeaderWidth + m.colLefts[c];
+            return { rowTops, colLefts };
+        }
+        rowTops[0] = headHeight;
+        for (let r = 0; r < rows; r++) rowTops[r + 1] = rowTops[r] + (this.#rowEl(r)?.offsetHeight || 0);
+        const widths = new Map();
+        this._theadEl?.querySelectorAll('th[data-c]').forEach(th => widths.set(Number(th.dataset.c), th.offsetWidth));
+        colLefts[0] = this._theadEl?.rows[0]?.cells[0]?.offsetWidth || 0;
+        for (let c = 0; c < cols; c++) colLefts[c + 1] = colLefts[c] + (widths.get(c) || 0);
+        return { rowTops, colLefts };
+    }
+
+    // Anchor (cell and offsets) of a point of the drawing layer; points above/left of the grid go to A1's edges
+    #drawingAnchorAt(x, y) {
+        const { rowTops, colLefts } = this.#gridEdges();
+        const r = this.#offsetIndex(rowTops, y);
+        const c = this.#offsetIndex(colLefts, x);
+        return { r, c, offsetX: Math.max(0, Math.round(x - colLefts[c])), offsetY: Math.max(0, Math.round(y - rowTops[r])) };
+    }
+
+    // Sync the drawing layer with the active sheet's drawings (nodes are kept by id, so images are not
+    // reloaded), then place them
+    #renderDrawings() {
+        const layer = this._drawingLayerEl;
+        if (!layer) return;
+        const drawings = this.model.drawings || [];
+        if (!drawings.some(d => d.id === this._activeDrawing)) this._activeDrawing = null;
+        const nodes = new Map([...layer.children].map(el => [el.dataset.id, el]));
+        const next = drawings.map((d) => {
+            let el = nodes.get(d.id);
+            if (!el) {
+                el = document.createElement('div');
+                el.className = 'ct-drawing';
+                el.dataset.id = d.id;
+                el.tabIndex = -1;
+                const img = document.createElement('img');
+                img.alt = '';
+                img.draggable = false;
+                img.addEventListener('load', () => this.#layoutDrawings());
+                const handle = document.createElement('span');
+                handle.className = 'ct-drawing-handle';
+                handle.title = 'Drag to resize (Shift keeps the proportions)';
+                el.append(img, handle);
+            }
+            const img = el.firstElementChild;
+            if (img.getAttribute('src') !== this._images[d.image]) img.src = this._images[d.image];
+            return el;
+        });
+        if (next.length !== layer.children.length || next.some((el, i) => layer.children[i] !== el)) layer.replaceChildren(...next);
+        this.#layoutDrawings();
+    }
+
+    // Position the drawing nodes from their anchors. A drawing without a size takes its image's own size once
+    // the image has loaded; the node being dragged is left where the mouse put it.
+    #layoutDrawings() {
+        const layer = this._drawingLayerEl;
+        if (!layer?.children.length) return;
+        const { rowTops, colLefts } = this.#gridEdges();
+        for (const el of layer.children) {
+            const d = this.#findDrawing(el.dataset.id);
+            if (!d) continue;
+            el.classList.toggle('is-selected', d.id === this._activeDrawing);
+            if (this._drawingDrag?.id === d.id) continue;
+            const img = el.firstElementChild;
+            if ((d.width == null || d.height == null) && img.naturalWidth && img.naturalHeight) {
+                Object.assign(d, this.#fitImageSize(img.naturalWidth, img.naturalHeight, d));
+            }
+            el.style.left = `${colLefts[d.c] + d.offsetX}px`;
+            el.style.top = `${rowTops[d.r] + d.offsetY}px`;
+            el.style.width = d.width != null ? `${d.width}px` : '';
+            el.style.height = d.height != null ? `${d.height}px` : '';
+        }
+    }
+
+    #selectDrawing(id) {
+        this._activeDrawing = id;
+        for (const el of this._drawingLayerEl?.children ?? []) el.classList.toggle('is-selected', el.dataset.id === id);
+    }
+
+    // Click selects a drawing (and starts moving or resizing it); Delete/Backspace removes it, Escape goes back to the cells
+    #bindDrawingEvents(layer) {
+        layer.addEventListener('mousedown', (e) => {
+            const el = e.target.closest('.ct-drawing');
+            if (!el || e.button !== 0) return;
+            e.preventDefault(); // no text selection or native image drag
+            this.#endEdit();
+            this.#selectDrawing(el.dataset.id);
+            el.focus({ preventScroll: true });
+            if (!this._readOnly) this.#startDrawingDrag(e, el, e.target.closest('.ct-drawing-handle') ? 'resize' : 'move');
+        });
+        layer.addEventListener('keydown', (e) => {
+            const id = e.target.closest?.('.ct-drawing')?.dataset.id;
+            if (!id) return;
+            if ((e.key === 'Delete' || e.key === 'Backspace') && !this._readOnly) {
+                e.preventDefault();
+                this.removeImage(id);
+                this.#restoreSelectionFocus();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.#selectDrawing(null);
+                this.#restoreSelectionFocus();
+            }
+        });
+    }
+
+    // Mouse drag on a drawing: the node follows the mouse, and on release the drawing is moved (anchored to the
+    // cell under its new top-left corner) or resized from the corner handle (Shift keeps the proportions), as one undo step
+    #startDrawingDrag(e, el, mode) {
+        const id = el.dataset.id;
+        const start = {
+            x: e.clientX,
+            y: e.clientY,
+            left: parseFloat(el.style.left) || 0,
+            top: parseFloat(el.style.top) || 0,
+            width: parseFloat(el.style.width) || el.offsetWidth,
+            height: parseFloat(el.style.height) || el.offsetHeight
+        };
+        let moved = false;
+        this._drawingDrag = { id };
+        const onMove = (ev) => {
+            const dx = ev.clientX - start.x;
+            const dy = ev.clientY - start.y;
+            moved = moved || dx !== 0 || dy !== 0;
+            if (mode === 'move') {
+                el.style.left = `${start.left + dx}px`;
+                el.style.top = `${start.top + dy}px`;
+                return;
+            }
+            let width = Math.max(8, start.width + dx);
+            let height = Math.max(8, start.height + dy);
+            if (ev.shiftKey && start.width && start.height) {
+                const k = Math.max(width / start.width, height / start.height);
+                width = start.width * k;
+                height = start.height * k;
+            }
+            el.style.width = `${Math.round(width)}px`;
+            el.style.height = `${Math.round(height)}px`;
+        };
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+            this._drawingDrag = null;
+            if (!moved) return;
+            const changes = mode === 'move'
+                ? this.#drawingAnchorAt(parseFloat(el.style.left), parseFloat(el.style.top))
+                : { width: parseFloat(el.style.width), height: parseFloat(el.style.height) };
+            if (!this.updateImage(id, changes)) this.#layoutDrawings();
+        };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    // Toolbar: pick an image file and place it at the top-left cell of the selection
+    #pickImageFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/png,image/jpeg,image/gif,image/webp,image/bmp,image/svg+xml';
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const rect = this.#selectionRect();
+                const id = this.addImage(String(reader.result), { r: rect?.sr ?? 0, c: rect?.sc ?? 0 });
+                if (id) this.#selectDrawing(id);
+            };
+            reader.readAsDataURL(file);
+        });
+        input.click();
+    }
+
+    // ----- Conditional formats -----
+    // model.conditionalFormats lists { sr, sc, er, ec, rule } in priority order. Rules are evaluated while a
+    // cell is painted, on top of its own style; range statistics (top N, duplicates, scales, bars) are
+    // cached per entry in `_cfStats` until a value changes.
+
+    #normalizeConditionalRule(rule) {
+        if (!rule || typeof rule !== 'object') return null;
+        const type = String(rule.type || '');
+        const out = { type };
+        switch (type) {
+            case 'cellValue':
+                if (!['gt', 'lt', 'between', 'equals'].includes(rule.op) || rule.value == null || rule.value === '') return null;
+                out.op = rule.op;
+                out.value = String(rule.value);
+                if (rule.op === 'between') {
+                    if (rule.value2 == null || rule.value2 === '') return null;
+                    out.value2 = String(rule.value2);
+                }
+                break;
+            case 'contains':
+                if (rule.value == null || rule.value === '') return null;
+                out.value = String(rule.value);
+                break;
+            case 'top':
+            case 'bottom': {
+                const count = rule.count == null || rule.count === '' ? 10 : Number(rule.count);
+                if (!Number.isInteger(count) || count < 1 || (rule.percent && count > 100)) return null;
+                out.count = count;
+                if (rule.percent) out.percent = true;
+                break;
+            }
+            case 'duplicates':
+            case 'unique':
+                break;
+            case 'expression': {
+                const formula = String(rule.formula ?? '').trim().replace(/^=/, '');
+                if (!formula || this.#getFormulaAst(formula) instanceof FormulaError) return null;
+                out.formula = formula;
+                break;
+            }
+            case 'colorScale': {
+                const colors = Array.isArray(rule.colors) ? rule.colors.map(c => this.#cssColorToXlsxRGB(c)) : [];
+                if ((colors.length !== 2 && colors.length !== 3) || colors.includes(null)) return null;
+                return { type, colors: colors.map(hex => `#${hex.toLowerCase()}`) };
+            }
+            case 'dataBar': {
+                const hex = this.#cssColorToXlsxRGB(rule.color ?? '#638ec6');
+                return hex ? { type, color: `#${hex.toLowerCase()}` } : null;
+            }
+            default:
+                return null;
+        }
+        // Highlight rules need something to apply
+        const style = this.#sanitizeStyle(rule.style);
+        if (!style || !Object.keys(style).length) return null;
+        out.style = style;
+        return out;
+    }
+
+    // Repaint what a rule change touched (the old range too, for updates and removals), then tell the manager and listeners
+    #conditionalFormatsChanged(action, index, old = null) {
+        const list = this.model.conditionalFormats;
+        this._cfStats.clear();
+        if (old) this.#renderRect(old);
+        list.forEach(cf => this.#renderRect(cf));
+        this.#syncConditionalFormatPanel();
+        const cf = list[index] ?? old;
+        this.#emit('conditionalformat', { action, index, ref: this.#rangeToA1({ r: cf.sr, c: cf.sc }, { r: cf.er, c: cf.ec }) });
+    }
+
+    // Values changed: drop the cached statistics and repaint every rule's range
+    #refreshConditionalFormats() {
+        this._cfStats.clear();
+        for (const cf of this.model.conditionalFormats || []) this.#renderRect(cf);
+    }
+
+    // Rule ranges follow inserted/removed rows or columns; a rule whose whole range is removed goes with it
+    #shiftConditionalFormats(axis, index, count) {
+        const list = this.model.conditionalFormats;
+        if (!list?.length) return;
+        this.model.conditionalFormats = list.map((cf) => {
+            const next = axis === 'row' ? this.#shiftSpan(cf.sr, cf.er, index, count) : this.#shiftSpan(cf.sc, cf.ec, index, count);
+            if (!next) return null;
+            return axis === 'row' ? { ...cf, sr: next[0], er: next[1] } : { ...cf, sc: next[0], ec: next[1] };
+        }).filter(Boolean);
+    }
+
+    // Value as rules see it: formula result or typed input (numbers, dates as serials, booleans, text)
+    #conditionalValue(r, c) {
+        const f = this.model.formulas?.[this.#cellKey(r, c)];
+        return f ? f.value : this.#coerceRawValue(this.model.data[r]?.[c]);
+    }
+
+    #conditionalKey(v) {
+        return typeof v === 'string' ? v.trim().toLowerCase() : String(v);
+    }
+
+    // Sorted numbers and value counts of a rule's range
+    #conditionalStats(cf) {
+        let stats = this._cfStats.get(cf);
+        if (stats) return stats;
+        const nums = [];
+        const counts = new Map();
+        for (let r = cf.sr; r <= cf.er; r++) {
+            for (let c = cf.sc; c <= cf.ec; c++) {
+                const v = this.#conditionalValue(r, c);
+                if (v == null || v === '' || v instanceof FormulaError) continue;
+                if (typeof v === 'number' && Number.isFinite(v)) nums.push(v);
+                const key = this.#conditionalKey(v);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+        nums.sort((a, b) => a - b);
+        stats = { nums, counts };
+        this._cfStats.set(cf, stats);
+        return stats;
+    }
+
+    // Style the sheet's conditional formats give cell (r, c), or null
+    #conditionalStyle(r, c) {
+        const list = this.model.conditionalFormats;
+        if (!list?.length) return null;
+        let out = null;
+        for (const cf of list) {
+            if (r < cf.sr || r > cf.er || c < cf.sc || c > cf.ec) continue;
+            const style = this.#conditionalRuleStyle(cf, r, c);
+            // Earlier rules win
+            if (style) out = { ...style, ...out };
+        }
+        return out;
+    }
+
+    #conditionalRuleStyle(cf, r, c) {
+        const { rule } = cf;
+        const v = this.#conditionalValue(r, c);
+        if (rule.type === 'expression') return this.#conditionalExpressionMatches(cf, r, c) ? rule.style : null;
+        if (v == null || v === '' || v instanceof FormulaError) return null;
+        switch (rule.type) {
+            case 'cellValue': {
+                const cmp = (x) => {
+                    if (typeof v === 'number' && typeof x === 'number') return v - x;
+                    if (typeof v === 'string' && typeof x === 'string') return TEXT_COLLATOR.compare(v, x);
+                    return v === x ? 0 : NaN;
+                };
+                const a = this.#coerceRawValue(rule.value);
+                if (rule.op === 'between') {
+                    const b = this.#coerceRawValue(rule.value2);
+                    const [lo, hi] = typeof a === 'number' && typeof b === 'number' && a > b ? [b, a] : [a, b];
+                    return cmp(lo) >= 0 && cmp(hi) <= 0 ? rule.style : null;
+                }
+                const d = cmp(a);
+                return (rule.op === 'gt' ? d > 0 : rule.op === 'lt' ? d < 0 : d === 0) ? rule.style : null;
+            }
+            case 'contains':
+                return this.#displayText(r, c).toLowerCase().includes(rule.value.toLowerCase()) ? rule.style : null;
+            case 'top':
+            case 'bottom': {
+                const { nums } = this.#conditionalStats(cf);
+                if (typeof v !== 'number' || !nums.length) return null;
+                // Ties with the last ranked value are included, like Excel
+                const n = Math.min(nums.length, rule.percent ? Math.max(1, Math.floor(nums.length * rule.count / 100)) : rule.count);
+                return (rule.type === 'top' ? v >= nums[nums.length - n] : v <= nums[n - 1]) ? rule.style : null;
+            }
+            case 'duplicates':
+            case 'unique': {
+                const count = this.#conditionalStats(cf).counts.get(this.#conditionalKey(v)) || 0;
+                return (rule.type === 'duplicates' ? count > 1 : count === 1) ? rule.style : null;
+            }
+            case 'colorScale':
+            case 'dataBar': {
+                const { nums } = this.#conditionalStats(cf);
+                if (typeof v !== 'number' || !nums.length) return null;
+                const min = nums[0];
+                const max = nums[nums.length - 1];
+                const t = (a, b) => (b > a ? Math.max(0, Math.min(1, (v - a) / (b - a))) : 1);
+                if (rule.type === 'dataBar') {
+                    // Bars start at zero unless the range has negative values
+                    const pct = Math.round(t(Math.min(0, min), Math.max(0, max)) * 100);
+                    const bar = this.#mixColors(rule.color, '#ffffff', 0.35);
+                    return { backgroundImage: `linear-gradient(90deg, ${bar} ${pct}%, transparent ${pct}%)` };
+                }
+                const { colors } = rule;
+                if (colors.length === 2) return { background: this.#mixColors(colors[0], colors[1], t(min, max)) };
+                const n = nums.length;
+                const mid = n % 2 ? nums[(n - 1) / 2] : (nums[n / 2 - 1] + nums[n / 2]) / 2;
+                return { background: v <= mid ? this.#mixColors(colors[0], colors[1], t(min, mid)) : this.#mixColors(colors[1], colors[2], t(mid, max)) };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // The formula is written for the range's top-left cell; relative references move with the cell
+    #conditionalExpressionMatches(cf, r, c) {
+        const ast = this.#getFormulaAst(this.#offsetFormulaRefs(cf.rule.formula, r - cf.sr, c - cf.sc));
+        if (ast instanceof FormulaError) return false;
+        try {
+            const v = this.#evalFormulaScalar(ast, { sheet: this._activeSheet, pass: { done: new Set(), visiting: new Set(), dirty: new Set() } });
+            return this.#toFormulaBoolean(v) === true;
+        } catch {
+            return false;
+        }
+    }
+
+    // #rrggbb between a (t = 0) and b (t = 1)
+    #mixColors(a, b, t) {
+        const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+        return `#${[0, 1, 2].map(i => Math.round(channel(a, i) + (channel(b, i) - channel(a, i)) * t).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    #describeConditionalRule(rule) {
+        switch (rule.type) {
+            case 'cellValue':
+                if (rule.op === 'between') return `Between ${rule.value} and ${rule.value2}`;
+                return `${{ gt: 'Greater than', lt: 'Less than', equals: 'Equal to' }[rule.op]} ${rule.value}`;
+            case 'contains': return `Text contains "${rule.value}"`;
+            case 'top': return `Top ${rule.count}${rule.percent ? '%' : ''}`;
+            case 'bottom': return `Bottom ${rule.count}${rule.percent ? '%' : ''}`;
+            case 'duplicates': return 'Duplicate values';
+            case 'unique': return 'Unique values';
+            case 'expression': return `Formula =${rule.formula}`;
+            case 'colorScale': return `${rule.colors.length}-color scale`;
+            case 'dataBar': return 'Data bar';
+            default: return rule.type;
+        }
+    }
+
+    // Rules manager: a list of the active sheet's rules (priority order) above a form that adds or edits one
+    #buildConditionalFormatPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'ct-cf-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Conditional formatting');
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="ct-style-header">
+                <span class="ct-style-title">Conditional formatting</span>
+                <button type="button" class="icon-btn" data-action="close" title="Close"><span class="material-icons" aria-hidden="true">close</span></button>
+            </div>
+            <div class="ct-cf-list" role="list"></div>
+            <div class="ct-menu-sep" role="separator"></div>
+            <div class="ct-cf-form">
+                <label class="ct-cf-field ct-cf-wide">Apply to range
+                    <span class="ct-cf-ref-row">
+                        <input class="ct-input" data-role="ref" type="text" placeholder="B2:B20" />
+                        <button type="button" class="icon-btn" data-action="use-selection" title="Use the selected cells"><span class="material-icons" aria-hidden="true">highlight_alt</span></button>
+                    </span>
+                </label>
+                <label class="ct-cf-field ct-cf-wide">Format cells if
+                    <select class="ct-input" data-role="kind">
+                        <option value="gt">Greater than</option>
+                        <option value="lt">Less than</option>
+                        <option value="between">Between</option>
+                        <option value="equals">Equal to</option>
+                        <option value="contains">Text contains</option>
+                        <option value="top">Top N</option>
+                        <option value="bottom">Bottom N</option>
+                        <option value="duplicates">Duplicate values</option>
+                        <option value="unique">Unique values</option>
+                        <option value="expression">Custom formula is true</option>
+                        <option value="colorScale2">2-color scale</option>
+                        <option value="colorScale3">3-color scale</option>
+                        <option value="dataBar">Data bar</option>
+                    </select>
+                </label>
+                <label class="ct-cf-field" data-show="gt lt between equals contains">Value <input class="ct-input" data-role="value" type="text" /></label>
+                <label class="ct-cf-field" data-show="between">And <input class="ct-input" data-role="value2" type="text" /></label>
+                <label class="ct-cf-field" data-show="top bottom">Count <input class="ct-input" data-role="count" type="number" min="1" /></label>
+                <label class="ct-cf-check" data-show="top bottom"><input type="checkbox" data-role="percent" /> Percent of cells</label>
+                <label class="ct-cf-field ct-cf-wide" data-show="expression">Formula for the top-left cell <input class="ct-input" data-role="formula" type="text" placeholder="=B2&gt;C2" /></label>
+                <label class="ct-cf-field" data-show="style">Text color <input class="ct-input" data-role="color" type="color" /></label>
+                <label class="ct-cf-field" data-show="style">Fill <input class="ct-input" data-role="background" type="color" /></label>
+                <label class="ct-cf-check" data-show="style"><input type="checkbox" data-role="bold" /> Bold</label>
+                <label class="ct-cf-check" data-show="style"><input type="checkbox" data-role="italic" /> Italic</label>
+                <label class="ct-cf-field" data-show="colorScale2 colorScale3">Minimum <input class="ct-input" data-role="min-color" type="color" /></label>
+                <label class="ct-cf-field" data-show="colorScale3">Midpoint <input class="ct-input" data-role="mid-color" type="color" /></label>
+                <label class="ct-cf-field" data-show="colorScale2 colorScale3">Maximum <input class="ct-input" data-role="max-color" type="color" /></label>
+                <label class="ct-cf-field" data-show="dataBar">Bar color <input class="ct-input" data-role="bar-color" type="color" /></label>
+            </div>
+            <div class="ct-cf-error" role="alert" hidden></div>
+            <div class="ct-style-actions">
+                <button type="button" class="btn secondary" data-action="new">New rule</button>
+                <div class="spacer"></div>
+                <button type="button" class="btn" data-action="save">Add rule</button>
+            </div>
+        `;
+        const field = (role) => panel.querySelector(`[data-role="${role}"]`);
+        panel.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const action = btn.dataset.action;
+            const index = Number(btn.closest('[data-index]')?.dataset.index);
+            if (action === 'close') { this.#closeConditionalFormatPanel(); return; }
+            if (action === 'new') { this.#fillConditionalForm(null); return; }
+            if (action === 'use-selection') {
+                const rect = this.#selectionRect();
+                if (rect) field('ref').value = this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec });
+                return;
+            }
+            if (action === 'edit') { this.#fillConditionalForm(index); return; }
+            if (action === 'delete') {
+                const editing = this._cfEditIndex;
+                if (this.removeConditionalFormat(index)) this.#fillConditionalForm(editing === index ? null : editing > index ? editing - 1 : editing);
+                return;
+            }
+            if (action === 'up' || action === 'down') {
+                const to = action === 'up' ? index - 1 : index + 1;
+                const editing = this._cfEditIndex;
+                if (this.moveConditionalFormat(index, to)) {
+                    this._cfEditIndex = editing === index ? to : editing === to ? index : editing;
+                    this.#syncConditionalFormatPanel();
+                }
+                return;
+            }
+            if (action === 'save') {
+                const ref = field('ref').value.trim();
+                const rule = this.#readConditionalForm();
+                const editing = this._cfEditIndex;
+                const ok = editing != null ? this.updateConditionalFormat(editing, ref, rule) : this.addConditionalFormat(ref, rule) >= 0;
+                const error = panel.querySelector('.ct-cf-error');
+                error.hidden = ok;
+                error.textContent = ok ? '' : (this.#a1ToRect(ref) ? 'Check the rule: a value, count or formula is missing or invalid.' : 'Enter a range on this sheet, e.g. B2:B20.');
+                if (ok && editing == null) this.#fillConditionalForm(null);
+            }
+        });
+        panel.addEventListener('change', (e) => {
+            if (e.target.dataset.role === 'kind') this.#syncConditionalFormFields();
+        });
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') { e.preventDefault(); this.#closeConditionalFormatPanel(); return; }
+            if (e.key === 'Enter' && e.target.matches('input[type="text"], input[type="number"], select')) {
+                e.preventDefault();
+                panel.querySelector('[data-action="save"]').click();
+            }
+        });
+        return panel;
+    }
+
+    #toggleConditionalFormatPanel(anchor) {
+        const panel = this._cfPanelEl;
+        if (!panel) return;
+        if (panel.style.display !== 'none') { this.#closeConditionalFormatPanel(); return; }
+        this.#closeContextMenu();
+        this.#closeFilterPanel(false);
+        panel.style.display = 'block';
+        this.#fillConditionalForm(null);
+        const rect = anchor.getBoundingClientRect();
+        panel.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - panel.offsetWidth - 4))}px`;
+        panel.style.top = `${Math.max(0, Math.min(rect.bottom + 4, window.innerHeight - panel.offsetHeight - 4))}px`;
+        panel.querySelector('[data-role="ref"]').focus();
+    }
+
+    #closeConditionalFormatPanel(restoreFocus = true) {
+        if (!this._cfPanelEl || this._cfPanelEl.style.display === 'none') return;
+        this._cfPanelEl.style.display = 'none';
+        this._cfEditIndex = null;
+        if (restoreFocus) this.#restoreSelectionFocus();
+    }
+
+    // Load rule `index` into the form, or reset it for a new rule on the selection
+    #fillConditionalForm(index) {
+        const panel = this._cfPanelEl;
+        const cf = index != null ? this.model.conditionalFormats?.[index] : null;
+        this._cfEditIndex = cf ? index : null;
+        const field = (role) => panel.querySelector(`[data-role="${role}"]`);
+        const hex = (color, fallback) => (color && this.#cssColorToXlsxRGB(color) ? `#${this.#cssColorToXlsxRGB(color).toLowerCase()}` : fallback);
+        const rule = cf?.rule || {};
+        const style = rule.style || {};
+        const sel = this.#selectionRect();
+        const rect = cf || sel;
+        field('ref').value = rect ? this.#rangeToA1({ r: rect.sr, c: rect.sc }, { r: rect.er, c: rect.ec }) : '';
+        field('kind').value = rule.type === 'cellValue' ? rule.op
+            : rule.type === 'colorScale' ? `colorScale${rule.colors.length}`
+            : rule.type || 'gt';
+        field('value').value = rule.value ?? '';
+        field('value2').value = rule.value2 ?? '';
+        field('count').value = rule.count ?? 10;
+        field('percent').checked = !!rule.percent;
+        field('formula').value = rule.formula ? `=${rule.formula}` : '';
+        // New highlight rules start as Excel's light red fill with dark red text
+        field('color').value = hex(style.color, cf ? '#000000' : '#9c0006');
+        field('background').value = hex(style.background || style.backgroundColor, cf ? '#ffffff' : '#ffc7ce');
+        field('bold').checked = /^(bold|[6-9]00)$/.test(String(style.fontWeight ?? ''));
+        field('italic').checked = style.fontStyle === 'italic';
+        const colors = rule.colors || [];
+        field('min-color').value = colors[0] || '#f8696b';
+        field('mid-color').value = colors.length === 3 ? colors[1] : '#ffeb84';
+        field('max-color').value = colors[colors.length - 1] || '#63be7b';
+        field('bar-color').value = rule.color || '#638ec6';
+        const error = panel.querySelector('.ct-cf-error');
+        error.hidden = true;
+        error.textContent = '';
+        this.#syncConditionalFormFields();
+        this.#syncConditionalFormatPanel();
+    }
+
+    #syncConditionalFormFields() {
+        const panel = this._cfPanelEl;
+        const kind = panel.querySelector('[data-role="kind"]').value;
+        const shown = new Set([kind]);
+        if (!['colorScale2', 'colorScale3', 'dataBar'].includes(kind)) shown.add('style');
+        panel.querySelectorAll('[data-show]').forEach((el) => { el.hidden = !el.dataset.show.split(' ').some(k => shown.has(k)); });
+    }
+
+    #readConditionalForm() {
+        const field = (role) => this._cfPanelEl.querySelector(`[data-role="${role}"]`);
+        const kind = field('kind').value;
+        if (kind === 'dataBar') return { type: 'dataBar', color: field('bar-color').value };
+        if (kind === 'colorScale2' || kind === 'colorScale3') {
+            const colors = [field('min-color').value, field('mid-color').value, field('max-color').value];
+            return { type: 'colorScale', colors: kind === 'colorScale2' ? [colors[0], colors[2]] : colors };
+        }
+        const style = { color: field('color').value, background: field('background').value };
+        if (field('bold').checked) style.fontWeight = 'bold';
+        if (field('italic').checked) style.fontStyle = 'italic';
+        if (['gt', 'lt', 'between', 'equals'].includes(kind)) return { type: 'cellValue', op: kind, value: field('value').value.trim(), value2: field('value2').value.trim(), style };
+        if (kind === 'contains') return { type: 'contains', value: field('value').value, style };
+        if (kind === 'top' || kind === 'bottom') return { type: kind, count: Number(field('count').value), percent: field('percent').checked, style };
+        if (kind === 'expression') return { type: 'expression', formula: field('formula').value, style };
+        return { type: kind, style };
+    }
+
+    // Rebuild the rule list (built with textContent: values and formulas are user text); read-only tables close the manager
+    #syncConditionalFormatPanel() {
+        const panel = this._cfPanelEl;
+        if (!panel || panel.style.display === 'none') return;
+        if (this._readOnly) { this.#closeConditionalFormatPanel(false); return; }
+        const list = this.model.conditionalFormats || [];
+        if (this._cfEditIndex != null && !list[this._cfEditIndex]) this._cfEditIndex = null;
+        const items = list.map((cf, i) => {
+            const row = document.createElement('div');
+            row.className = 'ct-cf-item';
+            row.setAttribute('role', 'listitem');
+            row.dataset.index = String(i);
+            row.classList.toggle('is-editing', i === this._cfEditIndex);
+            const preview = document.createElement('span');
+            preview.className = 'ct-cf-preview';
+            preview.textContent = 'Aa';
+            const { rule } = cf;
+            if (rule.style) this.#applyStyleObject(preview, rule.style);
+            else if (rule.type === 'colorScale') preview.style.backgroundImage = `linear-gradient(90deg, ${rule.colors.join(', ')})`;
+            else preview.style.backgroundImage = `linear-gradient(90deg, ${this.#mixColors(rule.color, '#ffffff', 0.35)} 60%, transparent 60%)`;
+            const desc = document.createElement('span');
+            desc.className = 'ct-cf-desc';
+            desc.textContent = this.#describeConditionalRule(rule);
+            desc.title = desc.textContent;
+            const ref = document.createElement('span');
+            ref.className = 'ct-cf-ref';
+            ref.textContent = this.#rangeToA1({ r: cf.sr, c: cf.sc }, { r: cf.er, c: cf.ec });
+            const button = (action, icon, title, disabled = false) => {
+                const b = document.createElement('button');
+                b.type = 'button';
+                b.className = 'icon-btn';
+                b.dataset.action = action;
+                b.title = title;
+                b.disabled = disabled;
+                b.innerHTML = `<span class="material-icons" aria-hidden="true">${icon}</span>`;
+                return b;
+            };
+            row.append(preview, desc, ref,
+                button('up', 'arrow_upward', 'Higher priority', i === 0),
+                button('down', 'arrow_downward', 'Lower priority', i === list.length - 1),
+                button('edit', 'edit', 'Edit rule'),
+                button('delete', 'delete', 'Delete rule'));
+            return row;
+        });
+        if (!items.length) {
+            const empty = document.createElement('div');
+            empty.className = 'ct-cf-empty';
+            empty.textContent = 'No rules on this sheet';
+            items.push(empty);
+        }
+        panel.querySelector('.ct-cf-list').replaceChildren(...items);
+        panel.querySelector('[data-action="save"]').textContent = this._cfEditIndex != null ? 'Save rule' : 'Add rule';
+    }
+
+    // ----- Locked cells -----
+    // model.lockedRows / model.lockedColumns are sorted index lists; model.cellLocks maps cell keys to
+    // true (locked) or false (editable inside a locked row/column). Locked cells stay contentEditable so
+    // focus, navigation and copy work as usual; input into them is refused.
+
+    #isCellLocked(r, c) {
+        if (this._readOnly) return true;
+        const own = this.model.cellLocks?.[this.#cellKey(r, c)];
+        return typeof own === 'boolean' ? own : this.#isLineLocked(r, c);
+    }
+
+    #isLineLocked(r, c) {
+        return !!(this.model.lockedRows?.includes(r) || this.model.lockedColumns?.includes(c));
+    }
+
+    #hasLockedCells() {
+        return this._readOnly || !!this.model.lockedRows?.length || !!this.model.lockedColumns?.length
+            || Object.values(this.model.cellLocks || {}).includes(true);
+    }
+
+    // Whether a rectangle (grown over the merges it touches) holds a locked cell
+    #rectLocked(rect) {
+        if (!this.#hasLockedCells()) return false;
+        if (this._readOnly) return true;
+        const { sr, sc, er, ec } = this.#growRectOverMerges({ ...rect });
+        const { coveredSet } = this.#buildMergeMaps(this.model.mergedCells || []);
+        for (let r = sr; r <= er; r++) {
+            for (let c = sc; c <= ec; c++) {
+                if (!coveredSet.has(this.#posKey(r, c)) && this.#isCellLocked(r, c)) return true;
+            }
+        }
+        return false;
+    }
+
+    // (r, c) => whether the cell (or the merged region it is part of) is locked, for loops over many cells
+    #lockedCellTest() {
+        if (!this.#hasLockedCells()) return () => false;
+        if (this._readOnly) return () => true;
+        return (r, c) => !this.isCellEditable(r, c);
+    }
+
+    // Whether removing `count` rows/columns from `index` would remove a locked cell
+    #linesLocked(axis, index, count = 1) {
+        return axis === 'row'
+            ? this.#rectLocked({ sr: index, sc: 0, er: index + count - 1, ec: this.model.cols - 1 })
+            : this.#rectLocked({ sr: 0, sc: index, er: this.model.rows - 1, ec: index + count - 1 });
+    }
+
+    #setLineLocked(axis, index, locked) {
+        const size = axis === 'row' ? this.model.rows : this.model.cols;
+        if (!Number.isInteger(index) || index < 0 || index >= size) return;
+        const key = axis === 'row' ? 'lockedRows' : 'lockedColumns';
+        const list = this.model[key] || [];
+        if (list.includes(index) === locked) return;
+        this.#endEdit();
+        this.#pushUndoSnapshot(locked ? 'lock' : 'unlock');
+        this.model[key] = locked ? [...list, index].sort((a, b) => a - b) : list.filter(i => i !== index);
+        const range = axis === 'row'
+            ? this.#rangeToA1({ r: index, c: 0 }, { r: index, c: this.model.cols - 1 })
+            : this.#rangeToA1({ r: 0, c: index }, { r: this.model.rows - 1, c: index });
+        if (axis === 'row') {
+            this.#renderRow(index);
+            this.#emit('lockchange', { scope: 'row', r: index, range, editable: !locked });
+        } else {
+            this.#renderColumn(index);
+            this.#emit('lockchange', { scope: 'column', c: index, range, editable: !locked });
+        }
+    }
+
+    // ----- Column and row resizing -----
+    // Drag handle on the right edge of a column header / the bottom edge of a row header
+    #buildResizeHandle(axis) {
+        const handle = document.createElement('div');
+        handle.className = axis === 'col' ? 'ct-col-resize' : 'ct-row-resize';
+        handle.title = axis === 'col' ? 'Drag to resize the column, double-click to fit its contents' : 'Drag to resize the row, double-click to fit its contents';
+        return handle;
+    }
+
+    // Size on screen (px) of a column or row
+    #renderedColumnWidth(c) {
+        if (this._virtual) return this.#columnWidth(c);
+        return this._theadEl?.querySelector(`th[data-c="${c}"]`)?.offsetWidth || this.#pxToNumber(this.model.columnStyles?.[c]?.width) || 0;
+    }
+
+    #renderedRowHeight(r) {
+        if (this._virtual) return this.#rowHeight(r);
+        return this.#rowEl(r)?.offsetHeight || this.#pxToNumber(this.model.rowStyles?.[r]?.height) || 0;
+    }
+
+    // The column/row follows the pointer while dragging (its style is changed in place, one repaint per frame);
+    // releasing it restores the style and applies the new size with setColumnWidth/setRowHeight as one undo step
+    #startHeaderResize(e, handle) {
+        const axis = handle.classList.contains('ct-col-resize') ? 'col' : 'row';
+        const index = axis === 'col' ? Number(handle.closest('th').dataset.c) : Number(handle.closest('tr').dataset.r);
+        const styles = axis === 'col' ? 'columnStyles' : 'rowStyles';
+        const prop = axis === 'col' ? 'width' : 'height';
+        const start = {
+            pos: axis === 'col' ? e.clientX : e.clientY,
+            size: axis === 'col' ? this.#renderedColumnWidth(index) : this.#renderedRowHeight(index)
+        };
+        if (!Array.isArray(this.model[styles])) this.model[styles] = Array.from({ length: axis === 'col' ? this.model.cols : this.model.rows }, () => null);
+        const model = this.model;
+        const original = model[styles][index];
+        // Cells of the default (non-virtual) layout have a minimum width in the stylesheet
+        const cell = axis === 'col' && !this._virtual ? this._tbodyEl?.querySelector('td.cell') : null;
+        const min = axis === 'col' ? Math.max(16, (cell && parseFloat(getComputedStyle(cell).minWidth)) || 0) : 12;
+        const raf = window.requestAnimationFrame?.bind(window) ?? ((fn) => setTimeout(fn, 16));
+        let size = start.size;
+        let frame = null;
+        let done = false;
+        const paint = () => {
+            frame = null;
+            if (done || this.model !== model) return;
+            model[styles][index] = { ...original, [prop]: `${size}px` };
+            if (axis === 'col') this.#renderColumn(index); else this.#renderRow(index);
+        };
+        const onMove = (ev) => {
+            size = Math.max(min, Math.round(start.size + (axis === 'col' ? ev.clientX : ev.clientY) - start.pos));
+            if (frame == null) frame = raf(paint);
+        };
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+            this._wrapEl?.classList.remove(`is-resizing-${axis}`);
+            done = true;
+            if (this.model !== model) return;
+            model[styles][index] = original;
+            const changed = size !== start.size;
+            if (changed && (axis === 'col' ? this.setColumnWidth(index, size) : this.setRowHeight(index, size))) return;
+            if (axis === 'col') this.#renderColumn(index); else this.#renderRow(index);
+        };
+        this._wrapEl?.classList.add(`is-resizing-${axis}`);
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    // Widest content of column c in px, or null when it has none. Hidden rows and cells merged across
+    // columns are left out, like Excel.
+    #fitColumnWidth(c) {
+        const items = [];
+        for (let r = 0; r < this.model.rows; r++) {
+            if (this.#isRowHidden(r)) continue;
+            const m = this.#mergeAt(r, c);
+            if (m && (m.start.c !== m.end.c || m.start.r !== r)) continue;
+            const text = this.#displayText(r, c);
+            if (text) items.push({ text, style: this.getEffectiveCellStyle(r, c) });
+        }
+        return this.#measureCellContents(items, 'width') || null;
+    }
+
+    // Tallest content of row r in px, wrapped at each column's width, or null when it has none. Hidden columns
+    // and cells merged across rows are left out.
+    #fitRowHeight(r) {
+        const items = [];
+        for (let c = 0; c < this.model.cols; c++) {
+            if (this.#isColumnHidden(c)) continue;
+            const m = this.#mergeAt(r, c);
+            if (m && (m.start.r !== m.end.r || m.start.c !== c)) continue;
+            const text = this.#displayText(r, c);
+            if (!text) continue;
+            let width = 0;
+            for (let k = c; k <= (m ? m.end.c : c); k++) width += this.#renderedColumnWidth(k);
+            items.push({ text, style: this.getEffectiveCellStyle(r, c), width });
+        }
+        return this.#measureCellContents(items, 'height') || null;
+    }
+
+    // Lay `items` ([{ text, style, width? }]) out off screen like cell contents (same font and padding) and
+    // return the widest ('width') or tallest ('height') one in px. Virtual mode cells only wrap when styled to.
+    #measureCellContents(items, axis) {
+        const wrap = this._wrapEl;
+        if (!items.length || !wrap) return 0;
+        const box = document.createElement('div');
+        box.className = `ct-measure is-${axis}`;
+        const seen = new Set();
+        for (const { text, style, width } of items) {
+            const font = ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight'].map(k => style?.[k] ?? '');
+            const whiteSpace = style?.whiteSpace ?? (this._virtual ? 'nowrap' : '');
+            // Equal texts in equal fonts measure the same (columns of repeated values)
+            const key = JSON.stringify([text, font, width, axis === 'height' ? whiteSpace : '']);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const el = document.createElement('div');
+            [el.style.fontFamily, el.style.fontSize, el.style.fontWeight, el.style.fontStyle, el.style.letterSpacing, el.style.lineHeight] = font;
+            if (axis === 'height') {
+                el.style.width = `${width}px`;
+                el.style.whiteSpace = whiteSpace;
+            }
+            el.textContent = text;
+            box.appendChild(el);
+        }
+        wrap.appendChild(box);
+        const size = axis === 'width' ? box.offsetWidth : box.offsetHeight;
+        box.remove();
+        return Math.ceil(size);
+    }
+
+    // ----- Hidden rows and columns -----
+    // model.hiddenRows / model.hiddenColumns are sorted index lists; hidden nodes get the `hidden`
+    // attribute (zero size in virtual mode) and the headers next to them a double-line marker
+
+    // Hidden by the user or by the AutoFilter
+    #isRowHidden(r) {
+        return !!this.model.hiddenRows?.includes(r) || !!this.model.filteredRows?.includes(r);
+    }
+
+    #isColumnHidden(c) {
+        return !!this.model.hiddenColumns?.includes(c);
+    }
+
+    #setHidden(axis, index, count, hidden) {
+        const size = axis === 'row' ? this.model.rows : this.model.cols;
+        if (!Number.isInteger(index) || index < 0 || index >= size || !Number.isInteger(count) || count < 1) return;
+        const key = axis === 'row' ? 'hiddenRows' : 'hiddenColumns';
+        const current = new Set(this.model[key] || []);
+        const next = new Set(current);
+        const end = Math.min(size, index + count);
+        for (let i = index; i < end; i++) {
+            if (hidden) next.add(i); else next.delete(i);
+        }
+        // Nothing changes, or nothing would stay visible
+        if (next.size === current.size && [...next].every(i => current.has(i))) return;
+        if (next.size >= size) return;
+        this.#endEdit();
+        this.#pushUndoSnapshot(hidden ? 'hide' : 'unhide');
+        this.model[key] = [...next].sort((a, b) => a - b);
+        this.#applyHidden();
+        this.#emit('hide', { axis: axis === 'row' ? 'row' : 'column', index, count: end - index, hidden });
+    }
+
+    // Sync the rendered nodes with the hidden lists (virtual mode: the metrics change, so rebuild)
+    #applyHidden() {
+        if (this._virtual) { this.#render(); return; }
+        for (const tr of this._tbodyEl.rows) {
+            if (tr.dataset.r) tr.hidden = this.#isRowHidden(Number(tr.dataset.r));
+        }
+        this._wrapEl.querySelectorAll('thead th[data-c], tbody td.cell').forEach((el) => {
+            el.hidden = this.#isColumnHidden(Number(el.dataset.c));
+        });
+        this.#markHiddenHeaders();
+        this.#applyFrozenPanes();
+        this.#applySelectionStyles();
+        this.#layoutDrawings();
+    }
+
+    // Headers next to hidden rows/columns show where they are
+    #markHiddenHeaders() {
+        for (const tr of this._tbodyEl.rows) {
+            if (!tr.dataset.r) continue;
+            const r = Number(tr.dataset.r);
+            tr.cells[0].classList.toggle('ct-hidden-before', r > 0 && this.#isRowHidden(r - 1));
+            tr.cells[0].classList.toggle('ct-hidden-after', this.#isRowHidden(r + 1));
+        }
+        this._theadEl.querySelectorAll('th[data-c]').forEach((th) => {
+            const c = Number(th.dataset.c);
+            th.classList.toggle('ct-hidden-before', c > 0 && this.#isColumnHidden(c - 1));
+            th.classList.toggle('ct-hidden-after', this.#isColumnHidden(c + 1));
+        });
+    }
+
+    // Hidden indexes inside [start, end] plus the hidden runs right before and after it (menu Unhide;
+    // rows hidden by the AutoFilter are left to it)
+    #hiddenAround(axis, start, end) {
+        const isHidden = (i) => (axis === 'row' ? !!this.model.hiddenRows?.includes(i) : this.#isColumnHidden(i));
+        let lo = start;
+        let hi = end;
+        while (lo > 0 && isHidden(lo - 1)) lo--;
+        while (isHidden(hi + 1)) hi++;
+        const out = [];
+        for (let i = lo; i <= hi; i++) if (isHidden(i)) out.push(i);
+        return out;
+    }
+
+    // ----- Frozen panes -----
+    // Frozen rows/columns are sticky cells inside .ctTable; their top/left offsets are measured from
+    // the rendered grid and cached in `_frozen` so repainted cells can get them back
+
+    // Frozen row/column counts of the active sheet (at least one row/column keeps scrolling)
+    #frozenRows() {
+        return Math.max(0, Math.min(this.model?.frozenRows || 0, this.model.rows - 1));
+    }
+
+    #frozenColumns() {
+        return Math.max(0, Math.min(this.model?.frozenColumns || 0, this.model.cols - 1));
+    }
+
+    // Toolbar action: unfreeze, or freeze the rows above and the columns left of the selection
+    // (top row when that leaves nothing to freeze)
+    #toggleFreezePanes() {
+        if (this.#frozenRows() || this.#frozenColumns()) { this.freezePanes(0, 0); return; }
+        const sel = this._selection;
+        const rows = sel && sel.type !== 'col' ? sel.r : 0;
+        const cols = sel && sel.type !== 'row' ? sel.c : 0;
+        if (rows || cols) this.freezePanes(rows, cols); else this.freezePanes(1, 0);
+    }
+
+    // Pin the frozen rows/columns after the grid (or part of it) was rebuilt, and keep the offsets
+    // up to date while frozen cells change size (typing widens auto-sized columns)
+    #applyFrozenPanes() {
+        this._frozenObserver?.disconnect();
+        this.#layoutFrozenPanes();
+        const { rows, cols } = this._frozen;
+        this._wrapEl?.querySelector('[data-action="freeze"]')?.classList.toggle('active', !!(rows || cols));
+        if ((!rows && !cols) || typeof ResizeObserver === 'undefined') return;
+        this._frozenObserver ??= new ResizeObserver(() => this.#layoutFrozenPanes());
+        this._frozenObserver.observe(this._theadEl.rows[0]);
+        for (let r = 0; r < rows; r++) {
+            const tr = this.#rowEl(r);
+            if (tr) this._frozenObserver.observe(tr);
+        }
+        this._theadEl.querySelectorAll('th[data-c]').forEach((th) => {
+            if (Number(th.dataset.c) < cols) this._frozenObserver.observe(th);
+        });
+    }
+
+    // Measure the frozen offsets and apply them to the headers and cells
+    #layoutFrozenPanes() {
+        const thead = this._theadEl;
+        const tbody = this._tbodyEl;
+        if (!thead || !tbody) return;
+        const rows = this.#frozenRows();
+        const cols = this.#frozenColumns();
+        const tops = [];
+        let top = thead.offsetHeight;
+        for (let r = 0; r < rows; r++) {
+            tops.push(top);
+            top += this.#rowEl(r)?.offsetHeight || 0;
+        }
+        const lefts = [];
+        let left = thead.rows[0]?.cells[0]?.offsetWidth || 0;
+        for (let c = 0; c < cols; c++) {
+            lefts.push(left);
+            left += thead.querySelector(`th[data-c="${c}"]`)?.offsetWidth || 0;
+        }
+        this._frozen = { rows, cols, tops, lefts };
+        thead.querySelectorAll('th[data-c]').forEach(th => this.#applyFrozenStyle(th, null, Number(th.dataset.c)));
+        for (const tr of tbody.rows) {
+            if (tr.dataset.r) this.#applyFrozenStyle(tr.cells[0], Number(tr.dataset.r), null);
+        }
+        tbody.querySelectorAll('td.cell').forEach(td => this.#applyFrozenStyle(td, Number(td.dataset.r), Number(td.dataset.c)));
+    }
+
+    // Sticky offset and classes of one cell; r is null for column headers and c for row headers
+    #applyFrozenStyle(el, r, c) {
+        const f = this._frozen;
+        const inRows = !!f && r != null && r < f.rows;
+        const inCols = !!f && c != null && c < f.cols;
+        // Cells that never were frozen are left untouched
+        if (!inRows && !inCols && !el.classList.contains('ct-frozen-row') && !el.classList.contains('ct-frozen-col')) return;
+        el.classList.toggle('ct-frozen-row', inRows);
+        el.classList.toggle('ct-frozen-col', inCols);
+        el.classList.toggle('ct-frozen-row-last', inRows && r + el.rowSpan >= f.rows);
+        el.classList.toggle('ct-frozen-col-last', inCols && c + el.colSpan >= f.cols);
+        el.style.top = inRows ? `${f.tops[r]}px` : '';
+        el.style.left = inCols ? `${f.lefts[c]}px` : '';
+    }
+
+    // ----- Virtual scrolling -----
+    // The window is the visible rows/columns plus a buffer, grown so no merged region crosses its edge.
+    // Spacer rows above/below and spacer columns left/right keep the scroll size of the whole sheet.
+
+    #buildVirtualMetrics() {
+        const { rows, cols } = this.model;
+        const rowTops = new Float64Array(rows + 1);
+        for (let r = 0; r < rows; r++) rowTops[r + 1] = rowTops[r] + this.#rowHeight(r);
+        const colLefts = new Float64Array(cols + 1);
+        for (let c = 0; c < cols; c++) colLefts[c + 1] = colLefts[c] + this.#columnWidth(c);
+        this._vMetrics = { rowTops, colLefts };
+    }
+
+    #rowHeight(r) {
+        if (this.#isRowHidden(r)) return 0;
+        return this.#pxToNumber(this.model.rowStyles?.[r]?.height) || this._virtual.rowHeight;
+    }
+
+    #columnWidth(c) {
+        if (this.#isColumnHidden(c)) return 0;
+        return this.#pxToNumber(this.model.columnStyles?.[c]?.width) || this._virtual.columnWidth;
+    }
+
+    // Index i with offsets[i] <= pos < offsets[i + 1], clamped to the last row/column
+    #offsetIndex(offsets, pos) {
+        let lo = 0;
+        let hi = offsets.length - 2;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (offsets[mid] <= pos) lo = mid; else hi = mid - 1;
+        }
+        return Math.max(0, lo);
+    }
+
+    // Visible body area in px (the sticky header row and row-head column cover part of the scroller)
+    #viewportSize() {
+        const el = this._scrollEl;
+        return {
+            height: Math.max(0, (el?.clientHeight || 600) - (this._theadEl?.offsetHeight || 0)),
+            width: Math.max(0, (el?.clientWidth || 1200) - this._virtual.rowHeaderWidth)
+        };
+    }
+
+    // Scrolling rows/columns currently in view (below/right of the frozen panes)
+    #visibleRect() {
+        const { rowTops, colLefts } = this._vMetrics;
+        const el = this._scrollEl;
+        const top = el?.scrollTop || 0;
+        const left = el?.scrollLeft || 0;
+        const { height, width } = this.#viewportSize();
+        return {
+            sr: this.#offsetIndex(rowTops, top + rowTops[this.#frozenRows()]), er: this.#offsetIndex(rowTops, top + height),
+            sc: this.#offsetIndex(colLefts, left + colLefts[this.#frozenColumns()]), ec: this.#offsetIndex(colLefts, left + width)
+        };
+    }
+
+    // Rows/columns to render: the whole sheet, or the visible rect plus the buffer in virtual mode
+    // (frozen rows/columns are always rendered; the window starts after them)
+    #gridWindow() {
+        if (!this._virtual) return { sr: 0, sc: 0, er: this.model.rows - 1, ec: this.model.cols - 1, fr: 0, fc: 0 };
+        const fr = this.#frozenRows();
+        const fc = this.#frozenColumns();
+        const vis = this.#visibleRect();
+        const rowBuffer = this._virtual.buffer;
+        const colBuffer = Math.ceil(rowBuffer / 2);
+        const rect = this.#growRectOverMerges({
+            sr: Math.max(0, vis.sr - rowBuffer), er: Math.min(this.model.rows - 1, vis.er + rowBuffer),
+            sc: Math.max(0, vis.sc - colBuffer), ec: Math.min(this.model.cols - 1, vis.ec + colBuffer)
+        });
+        const sr = Math.max(fr, rect.sr);
+        const sc = Math.max(fc, rect.sc);
+        // Frozen panes taller/wider than the viewport still leave one scrolling row/column rendered
+        return { sr, er: Math.max(sr, rect.er), sc, ec: Math.max(sc, rect.ec), fr, fc };
+    }
+
+    // Merged regions as rendered in the window: clipped to the frozen and the scrolling part, so a
+    // merge crossing the frozen edge shows as two pieces and the spacers never cut through a span
+    #windowMerges(win) {
+        const segments = (frozen, start, end) => (frozen > 0 && start > frozen ? [[0, frozen - 1], [start, end]] : [[frozen > 0 ? 0 : start, end]]);
+        const rowSegs = segments(win.fr, win.sr, win.er);
+        const colSegs = segments(win.fc, win.sc, win.ec);
+        const out = [];
+        for (const m of this.model.mergedCells || []) {
+            for (const [r0, r1] of rowSegs) {
+                for (const [c0, c1] of colSegs) {
+                    const sr = Math.max(m.start.r, r0);
+                    const er = Math.min(m.end.r, r1);
+                    const sc = Math.max(m.start.c, c0);
+                    const ec = Math.min(m.end.c, c1);
+                    if (sr <= er && sc <= ec && (sr < er || sc < ec)) out.push({ start: { r: sr, c: sc }, end: { r: er, c: ec } });
+                }
+            }
+        }
+        return out;
+    }
+
+    #buildSpacer(tag) {
+        const el = document.createElement(tag);
+        el.className = 'ct-spacer';
+        el.setAttribute('aria-hidden', 'true');
+        return el;
+    }
+
+    #buildSpacerRow(height, colSpan) {
+        const tr = document.createElement('tr');
+        tr.className = 'ct-spacer-row';
+        tr.style.height = `${height}px`;
+        const td = this.#buildSpacer('td');
+        td.colSpan = colSpan;
+        tr.appendChild(td);
+        return tr;
+    }
+
+    // Column widths of the window: row heads, frozen columns, left spacer, columns, right spacer, add-col
+    #renderColgroup(win) {
+        const { colLefts } = this._vMetrics;
+        const widths = [this._virtual.rowHeaderWidth];
+        for (let c = 0; c < win.fc; c++) widths.push(this.#columnWidth(c));
+        widths.push(colLefts[win.sc] - colLefts[win.fc]);
+        for (let c = win.sc; c <= win.ec; c++) widths.push(this.#columnWidth(c));
+        widths.push(colLefts[this.model.cols] - colLefts[win.ec + 1], 110);
+        this._colgroupEl.replaceChildren(...widths.map((w) => {
+            const col = document.createElement('col');
+            col.style.width = `${w}px`;
+            return col;
+        }));
+        this._colgroupEl.parentElement.style.width = `${widths.reduce((a, b) => a + b, 0)}px`;
+    }
+
+    #onScroll() {
+        if (this._scrollFrame) return;
+        const raf = window.requestAnimationFrame?.bind(window) ?? ((fn) => setTimeout(fn, 16));
+        this._scrollFrame = raf(() => {
+            this._scrollFrame = null;
+            this.#renderWindow();
+        });
+    }
+
+    // Re-render once the visible rect leaves the rendered window (scrolling within the buffer is free)
+    #renderWindow() {
+        if (!this._virtual || !this._wrapEl) return;
+        const vis = this.#visibleRect();
+        const cur = this._window;
+        if (cur && vis.sr >= cur.sr && vis.er <= cur.er && vis.sc >= cur.sc && vis.ec <= cur.ec) return;
+        const hadFocus = this._scrollEl.contains(document.activeElement);
+        // The edited cell may leave the window: commit it first
+        this.#endEdit();
+        this.#renderGrid(this.#gridWindow());
+        this.#applySelectionStyles();
+        if (!hadFocus) return;
+        const sel = this._selection;
+        const td = (sel?.type === 'cell' || sel?.type === 'range') ? this.#cellEl(sel.r, sel.c) : null;
+        (td ?? this._scrollEl).focus({ preventScroll: true });
+    }
+
+    // The td of cell (r, c); in virtual mode the scroller first moves it into view when it is not rendered
+    #revealCell(r, c) {
+        if (this._virtual && !this.#cellEl(r, c)) {
+            this.#scrollToCell(r, c);
+            this.#renderWindow();
+        }
+        return this.#cellEl(r, c);
+    }
+
+    // Frozen rows/columns never scroll; the others are brought out from under the frozen panes
+    #scrollToCell(r, c) {
+        const el = this._scrollEl;
+        const { rowTops, colLefts } = this._vMetrics;
+        const { height, width } = this.#viewportSize();
+        const frozenH = rowTops[this.#frozenRows()];
+        const frozenW = colLefts[this.#frozenColumns()];
+        if (r >= this.#frozenRows()) {
+            if (rowTops[r] < el.scrollTop + frozenH) el.scrollTop = rowTops[r] - frozenH;
+            else if (rowTops[r + 1] > el.scrollTop + height) el.scrollTop = rowTops[r + 1] - height;
+        }
+        if (c >= this.#frozenColumns()) {
+            if (colLefts[c] < el.scrollLeft + frozenW) el.scrollLeft = colLefts[c] - frozenW;
+            else if (colLefts[c + 1] > el.scrollLeft + width) el.scrollLeft = colLefts[c + 1] - width;
+        }
+    }
+
+    // ----- Event helpers -----
+    #emit(type, detail = {}) {
+        const set = this._listeners.get(type);
+        if (!set || !set.size) return;
+        const event = { type, sheet: this.sheets[this._activeSheet]?.name ?? null, ...detail };
+        for (const fn of [...set]) {
+            // A failing listener must not break the table
+            try { fn(event); } catch (err) { console.error(`CustomTable "${type}" listener failed`, err); }
+        }
+    }
+
+    // One 'cellchange' per cell whose raw input actually changed
+    #emitCellChanges(changes) {
+        if (changes.length && this.model.conditionalFormats?.length) this.#refreshConditionalFormats();
+        if (!this._listeners.get('cellchange')?.size) return;
+        for (const ch of changes) {
+            if (ch.oldValue !== ch.newValue) this.#emit('cellchange', ch);
+        }
+    }
 }
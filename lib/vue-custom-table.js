@@ -13,11 +13,24 @@
 //       table.setCellStyle(0, 0, { background: '#ffeeaa' });
 //     }
 //   });
+// Table events are re-emitted as component events with the same payload, e.g.
+//   <CustomTableVue @cellchange="onCell" @selectionchange="onSelect" />
 //   app.mount('#app');
 // </script>
 
 import { CustomTable } from './custom-table.js';
 
+// CustomTable events forwarded as component events
+const TABLE_EVENTS = [
+  'cellchange', 'stylechange', 'selectionchange',
+  'rowinsert', 'rowremove', 'colinsert', 'colremove',
+  'merge', 'undo', 'redo', 'load', 'sheetchange', 'freeze', 'hide', 'lockchange', 'sort', 'filter',
+  'validationchange', 'conditionalformat', 'hyperlinkchange', 'drawingchange', 'namechange'
+];
+// Events that modify the model and therefore trigger 'change'.
+// 'load' is excluded so that feeding 'change' back into the model/sheet prop does not loop.
+const CHANGE_EVENTS = TABLE_EVENTS.filter(type => type !== 'selectionchange' && type !== 'load');
+
 export function createCustomTableComponent(Vue) {
   const { defineComponent, h, ref, onMounted, onBeforeUnmount, watch, nextTick } = Vue;
 
@@ -35,11 +48,12 @@ export function createCustomTableComponent(Vue) {
       // Debounce time for change emits (ms)
       debounce: { type: Number, default: 100 }
     },
-    emits: ['ready', 'change'],
+    emits: ['ready', 'change', ...TABLE_EVENTS],
     setup(props, { emit, expose }) {
       const hostRef = ref(null);
       let table = null;
       let changeTimer = null;
+      let unsubscribers = [];
 
       const mountTable = () => {
         if (!hostRef.value) return;
@@ -49,36 +63,37 @@ export function createCustomTableComponent(Vue) {
         } else if (props.model) {
           table.setModel(props.model);
         }
-        if (props.emitChange) attachChangeListeners();
+        attachTableListeners();
         emit('ready', table);
       };
 
       const destroyTable = () => {
+        unsubscribers.forEach(off => off());
+        unsubscribers = [];
+        if (changeTimer) clearTimeout(changeTimer);
+        changeTimer = null;
         if (table && typeof table.destroy === 'function') {
           table.destroy();
         }
         table = null;
       };
 
-      const attachChangeListeners = () => {
-        // Generic input/click listeners on host to detect edits and style changes
-        const el = hostRef.value;
-        if (!el) return;
-        const scheduleEmit = () => {
-          if (!props.emitChange) return;
-          if (changeTimer) clearTimeout(changeTimer);
-          changeTimer = setTimeout(() => {
-            if (table) emit('change', table.getModel());
-          }, props.debounce);
-        };
-        el.addEventListener('input', scheduleEmit);
-        el.addEventListener('click', (e) => {
-          // Only debounce for toolbar/style actions and add/remove; ignore pure selection focus
-          const target = e.target;
-          if (target && (target.closest('.ct-toolbar') || target.closest('.add-col') || target.closest('.add-row') || target.closest('.remove-col') || target.closest('.row-head'))) {
-            scheduleEmit();
-          }
-        });
+      const scheduleChange = () => {
+        if (!props.emitChange) return;
+        if (changeTimer) clearTimeout(changeTimer);
+        changeTimer = setTimeout(() => {
+          changeTimer = null;
+          if (table) emit('change', table.getModel());
+        }, props.debounce);
+      };
+
+      const attachTableListeners = () => {
+        for (const type of TABLE_EVENTS) {
+          unsubscribers.push(table.on(type, (event) => {
+            emit(type, event);
+            if (CHANGE_EVENTS.includes(type)) scheduleChange();
+          }));
+        }
       };
 
       onMounted(() => {
@@ -100,6 +115,11 @@ export function createCustomTableComponent(Vue) {
         if (val && typeof table.setModel === 'function') table.setModel(val);
       }, { deep: true });
 
+      // options.readOnly can be toggled without recreating the table
+      watch(() => props.options?.readOnly, (val) => {
+        if (table) table.setReadOnly(!!val);
+      });
+
       // expose imperative API to parent via template ref
       expose({
         getInstance: () => table,